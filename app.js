@@ -5,6 +5,24 @@
 // Global state - holds all parsed book data
 let books = [];
 
+// Analytics display options
+let analyticsOptions = {
+    countRereads: false
+};
+
+// Yearly reading targets - null when not set
+let readingGoal = {
+    books: null,
+    pages: null
+};
+
+// Time step settings - reading speed (null uses the default) and
+// listening hours entered for audiobooks, keyed by getBookKey
+let timeSettings = {
+    pagesPerHour: null,
+    listeningHours: {}
+};
+
 // ============================================
 // Sample Data for Demo
 // ============================================
@@ -38,14 +56,19 @@ const SAMPLE_CSV_DATA = `Book Id,Title,Author,Author l-f,Additional Authors,ISBN
 /**
  * Normalises a raw CSV row into a clean, predictable book object.
  * Maps various field names and handles missing data gracefully.
+ * Dates are stored as ISO (YYYY-MM-DD) strings.
  * @param {Object} row - Raw CSV row from PapaParse
+ * @param {string} dateFormat - Day/month order for the file ('DMY' or 'MDY'), detected from the row if omitted
  * @returns {Object} Normalised book object
  */
-function normaliseBook(row) {
-    return {
+function normaliseBook(row, dateFormat = detectDateFormat([row['Date Read'], row['Date Added']])) {
+    const book = {
+        // Goodreads identifier - stable across exports
+        bookId: cleanString(row['Book Id'] || row.bookId || null),
+        
         // Core book info
         title: cleanString(row.Title || row.title || ''),
-        author: cleanString(row.Author || row.author || row.Authors || ''),
+        author: cleanString(row.Author || row.author || row.Authors || flipAuthorName(row['Author l-f']) || ''),
         
         // Numeric fields - safely parse with fallbacks
         pages: parseNumber(row['Number of Pages'] || row.pages),
@@ -53,16 +76,42 @@ function normaliseBook(row) {
         averageRating: parseFloatOrZero(row['Average Rating'] || row.averageRating),
         userRating: parseFloatOrZero(row['My Rating'] || row.userRating || row.Rating || row['My Rating']),
         
-        // Date fields
-        dateRead: cleanString(row['Date Read'] || row.dateRead || row['Date Finished'] || null),
-        dateAdded: cleanString(row['Date Added'] || row.dateAdded || row['Date Started'] || null),
+        // Date fields - ISO strings or null
+        dateRead: normaliseDate(row['Date Read'] || row.dateRead || row['Date Finished'] || null, dateFormat),
+        dateAdded: normaliseDate(row['Date Added'] || row.dateAdded || row['Date Started'] || null, dateFormat),
         
         // Categorisation
         shelves: cleanString(row.Bookshelves || row.shelves || ''),
+        exclusiveShelf: cleanString(row['Exclusive Shelf'] || row.exclusiveShelf || null),
+        
+        // Edition details
+        publisher: cleanString(row.Publisher || row.publisher || null),
+        binding: cleanString(row.Binding || row.binding || null),
         
         // ISBN - prefer 13, fallback to 10, clean Excel artifacts
         isbn: extractIsbn(row.ISBN13 || row.ISBN || row.isbn13 || row.isbn)
     };
+    
+    // Series name and number embedded in the title
+    book.series = parseSeries(book.title);
+    
+    // Hardcover, paperback, ebook or audio from the binding
+    book.format = getBookFormat(book.binding);
+    
+    // Everyone credited on the book, with their roles
+    book.contributors = parseContributors(book.author, row['Additional Authors'] || row.additionalAuthors);
+    
+    // Reading status from the exclusive shelf
+    book.status = deriveReadingStatus(book.exclusiveShelf, book.shelves, book.dateRead);
+    
+    // Your own words - Goodreads reviews contain HTML line breaks
+    book.review = stripHtml(row['My Review'] || row.review || null);
+    book.privateNotes = stripHtml(row['Private Notes'] || row.privateNotes || null);
+    
+    // Times read - a read book has been read at least once even if the column is missing
+    book.readCount = Math.max(parseNumber(row['Read Count'] || row.readCount), book.status === 'read' ? 1 : 0);
+    
+    return book;
 }
 
 // ============================================
@@ -100,6 +149,28 @@ function cleanString(value) {
     return cleaned.length > 0 ? cleaned : null;
 }
 
+/**
+ * Strips HTML tags and entities from exported text, keeping line breaks.
+ * @param {*} value - Raw text
+ * @returns {string|null} Plain text or null
+ */
+function stripHtml(value) {
+    const text = cleanString(value);
+    if (!text) return null;
+    
+    const plain = text
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'");
+    
+    return cleanString(plain);
+}
+
 /**
  * Extracts clean ISBN from value, removing Excel formula artifacts.
  * @param {*} value - Raw ISBN value (may contain ="..." format)
@@ -123,6 +194,170 @@ function extractIsbn(value) {
     return cleaned.length > 0 ? cleaned : null;
 }
 
+// ============================================
+// Reading Status
+// ============================================
+
+// Exclusive shelf names mapped onto reading statuses
+const STATUS_BY_SHELF = {
+    'read': 'read',
+    'currently-reading': 'currently-reading',
+    'to-read': 'to-read',
+    'want-to-read': 'to-read',
+    'dnf': 'dnf',
+    'did-not-finish': 'dnf',
+    'abandoned': 'dnf'
+};
+
+/**
+ * Derives a reading status from a book's exclusive shelf.
+ * Older exports without an Exclusive Shelf column fall back to an exact
+ * match on the Bookshelves list, then to whether the book has a read date.
+ * @param {string|null} exclusiveShelf - Goodreads Exclusive Shelf value
+ * @param {string|null} shelves - Comma-separated Bookshelves value
+ * @param {string|null} dateRead - ISO date read
+ * @returns {string} 'read', 'currently-reading', 'to-read', 'dnf' or 'custom'
+ */
+function deriveReadingStatus(exclusiveShelf, shelves, dateRead) {
+    const exclusive = (exclusiveShelf || '').trim().toLowerCase();
+    if (exclusive) {
+        return STATUS_BY_SHELF[exclusive] || 'custom';
+    }
+    
+    const shelfNames = (shelves || '').split(',').map(shelf => shelf.trim().toLowerCase());
+    const statusShelf = shelfNames.find(shelf => STATUS_BY_SHELF[shelf]);
+    if (statusShelf) {
+        return STATUS_BY_SHELF[statusShelf];
+    }
+    
+    return dateRead ? 'read' : 'to-read';
+}
+
+/**
+ * Gets a book's reading status, deriving it for books without one.
+ * @param {Object} book - Book
+ * @returns {string} Reading status
+ */
+function getReadingStatus(book) {
+    return book.status || deriveReadingStatus(book.exclusiveShelf, book.shelves, book.dateRead);
+}
+
+/**
+ * Checks whether a book has been read.
+ * @param {Object} book - Book
+ * @returns {boolean} True for read books
+ */
+function isReadBook(book) {
+    return getReadingStatus(book) === 'read';
+}
+
+/**
+ * Checks whether a book is on the want-to-read backlog.
+ * @param {Object} book - Book
+ * @returns {boolean} True for to-read books
+ */
+function isBacklogBook(book) {
+    return getReadingStatus(book) === 'to-read';
+}
+
+/**
+ * Counts books by reading status.
+ * @param {Array} libraryBooks - Books to count
+ * @returns {Object} Map of status -> count
+ */
+function countByStatus(libraryBooks) {
+    const counts = { 'read': 0, 'currently-reading': 0, 'to-read': 0, 'dnf': 0, 'custom': 0 };
+    libraryBooks.forEach(book => {
+        counts[getReadingStatus(book)]++;
+    });
+    return counts;
+}
+
+// ============================================
+// Date Normalisation
+// ============================================
+
+// Dates where day and month are both numbers, e.g. 15/01/2025 or 01-15-2025
+const DAY_MONTH_YEAR_PATTERN = /^(\d{1,2})[\/\-.](\d{1,2})[\/\-.](\d{4})$/;
+
+// Year-first dates, e.g. 2025/01/15 (Goodreads) or 2025-01-15T10:00:00 (Calibre)
+const YEAR_MONTH_DAY_PATTERN = /^(\d{4})[\/\-.](\d{1,2})[\/\-.](\d{1,2})(?:[T\s].*)?$/;
+
+/**
+ * Detects whether a file writes day-first or month-first dates.
+ * Looks at every date in the file: a first part over 12 means day-first,
+ * a second part over 12 means month-first. Ambiguous files default to day-first.
+ * @param {Array<string>} values - Raw date strings from every row
+ * @returns {string} 'DMY' or 'MDY'
+ */
+function detectDateFormat(values) {
+    let dayFirst = 0;
+    let monthFirst = 0;
+    
+    (values || []).forEach(value => {
+        const match = String(value || '').trim().match(DAY_MONTH_YEAR_PATTERN);
+        if (!match) return;
+        
+        if (parseInt(match[1], 10) > 12) dayFirst++;
+        if (parseInt(match[2], 10) > 12) monthFirst++;
+    });
+    
+    return monthFirst > dayFirst ? 'MDY' : 'DMY';
+}
+
+/**
+ * Converts a raw date string into an ISO (YYYY-MM-DD) date.
+ * @param {*} value - Raw date string
+ * @param {string} dateFormat - Day/month order for numeric dates ('DMY' or 'MDY')
+ * @returns {string|null} ISO date or null if unparseable
+ */
+function normaliseDate(value, dateFormat = 'DMY') {
+    const str = cleanString(value);
+    if (!str) return null;
+    
+    let year;
+    let month;
+    let day;
+    
+    const yearFirst = str.match(YEAR_MONTH_DAY_PATTERN);
+    const dayOrMonthFirst = str.match(DAY_MONTH_YEAR_PATTERN);
+    
+    if (yearFirst) {
+        [year, month, day] = yearFirst.slice(1, 4).map(part => parseInt(part, 10));
+    } else if (dayOrMonthFirst) {
+        const [first, second, third] = dayOrMonthFirst.slice(1, 4).map(part => parseInt(part, 10));
+        year = third;
+        month = dateFormat === 'MDY' ? first : second;
+        day = dateFormat === 'MDY' ? second : first;
+    } else if (/[a-z]/i.test(str)) {
+        // Written-out months, e.g. "May 15, 2023" or "15 May 2023"
+        const parsed = new Date(str);
+        if (isNaN(parsed.getTime())) return null;
+        year = parsed.getFullYear();
+        month = parsed.getMonth() + 1;
+        day = parsed.getDate();
+    } else {
+        return null;
+    }
+    
+    // Reject impossible dates such as 31/02/2025
+    const date = new Date(year, month - 1, day);
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+        return null;
+    }
+    
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Collects every raw date in a set of mapped rows, for format detection.
+ * @param {Array<Object>} rows - Rows mapped onto Goodreads columns
+ * @returns {Array<string>} Raw date strings
+ */
+function collectRawDates(rows) {
+    return rows.flatMap(row => [row['Date Read'], row['Date Added']]).filter(Boolean);
+}
+
 // ============================================
 // File Upload Handling
 // ============================================
@@ -135,12 +370,14 @@ function initUploadHandler() {
     const fileInput = document.getElementById('csv-input');
     const sampleDataBtn = document.getElementById('sample-data-btn');
     
-    fileInput.addEventListener('change', (event) => {
-        const file = event.target.files[0];
-        if (!file) return;
-        
-        processCSV(file);
-    });
+    if (fileInput) {
+        fileInput.addEventListener('change', (event) => {
+            const file = event.target.files[0];
+            if (!file) return;
+            
+            processCSV(file);
+        });
+    }
     
     // Handle sample data button
     if (sampleDataBtn) {
@@ -163,16 +400,23 @@ function loadSampleData() {
 }
 
 /**
- * Reads and parses the CSV file using PapaParse.
- * @param {File} file - The uploaded CSV file
+ * Reads and parses an uploaded library export.
+ * CSV and TSV files go through PapaParse (delimiter auto-detected);
+ * JSON files (LibraryThing) are flattened into rows.
+ * @param {File} file - The uploaded export file
  */
 function processCSV(file) {
     const reader = new FileReader();
     
     reader.onload = (event) => {
-        const csvText = event.target.result;
+        const text = event.target.result;
         
-        Papa.parse(csvText, {
+        if (isJsonExport(file.name, text)) {
+            handleParseComplete(parseJsonExport(text));
+            return;
+        }
+        
+        Papa.parse(text, {
             header: true,
             skipEmptyLines: true,
             complete: handleParseComplete,
@@ -182,6 +426,7 @@ function processCSV(file) {
     
     reader.onerror = () => {
         console.error('Error reading file');
+        renderImportReport(createFailedImportReport('The file could not be read. Please try selecting it again.'));
     };
     
     reader.readAsText(file);
@@ -197,16 +442,48 @@ function handleParseComplete(results) {
         console.warn('CSV parse errors:', results.errors);
     }
     
+    // Keep the previous library so a re-import can be compared against it
+    const previousBooks = books;
+    
+    // Detect the source service from the header row and map to Goodreads columns
+    const headers = results.meta && results.meta.fields ? results.meta.fields : Object.keys(results.data[0] || {});
+    const importer = detectImporter(headers);
+    const rows = results.data.map(row => importer.mapRow(row));
+    
+    // Decide day/month order once for the whole file
+    const dateFormat = detectDateFormat(collectRawDates(rows));
+    
+    // Report problems with the file, and stop if it isn't a book export at all
+    const report = validateImport(results, headers, importer, rows, dateFormat);
+    renderImportReport(report);
+    if (report.refused) {
+        return;
+    }
+    
     // Normalise all rows and store in global state
-    books = results.data.map(normaliseBook);
+    books = unifyAuthorNames(rows.map(row => normaliseBook(row, dateFormat)));
+    
+    // A new import starts a new recommendation session
+    decisionState.shownBooks.clear();
+    
+    // Report what changed since the last import (nothing to compare on first import)
+    const changes = previousBooks.length > 0 ? diffLibraries(previousBooks, books) : null;
+    renderImportChanges(changes);
+    
+    // Reuse Open Library lookups from earlier imports or a shared bundle
+    applyEnrichmentCache(books);
     
     // Log summary to console for verification
     console.log('Data Ingestion Complete');
+    console.log('Detected format:', importer.label);
     console.log('Total books parsed:', books.length);
     console.log('First 3 records:', books.slice(0, 3));
     
     // Initialise analytics layer
     initAnalytics();
+    
+    // Save to the local library store if the user opted in
+    persistLibrary();
 }
 
 /**
@@ -215,144 +492,834 @@ function handleParseComplete(results) {
  */
 function handleParseError(error) {
     console.error('CSV parse error:', error);
+    renderImportReport(createFailedImportReport(`The file could not be parsed: ${error.message || error}`));
 }
 
 // ============================================
-// Phase 2: Analytics Layer
+// Phase 1a: Importers
 // ============================================
 
 /**
- * Initialises the analytics layer.
- * Derives read/unread books, calculates metrics, and renders results.
+ * Importers for supported export formats, checked in order.
+ * Each one is detected by its required headers and maps a raw row onto
+ * Goodreads column names, so normaliseBook only has to understand one shape.
+ * knownHeaders lists every column the importer reads or deliberately ignores.
+ * Goodreads is last as it doubles as the fallback for unknown headers.
  */
-function initAnalytics() {
-    // Derive read and unread books based on dateRead field
-    const readBooks = books.filter(book => book.dateRead !== null);
-    const unreadBooks = books.filter(book => book.dateRead === null);
+const IMPORTERS = [
+    {
+        id: 'storygraph',
+        label: 'StoryGraph',
+        requiredHeaders: ['Title', 'Authors', 'Read Status', 'Star Rating'],
+        knownHeaders: [
+            'Title', 'Authors', 'Contributors', 'ISBN/UID', 'Format', 'Read Status', 'Date Added',
+            'Last Date Read', 'Dates Read', 'Read Count', 'Moods', 'Pace', 'Character- or Plot-Driven?',
+            'Strong Character Development?', 'Loveable Characters?', 'Diverse Characters?',
+            'Flawed Characters?', 'Star Rating', 'Review', 'Content Warnings',
+            'Content Warning Description', 'Tags', 'Owned?'
+        ],
+        mapRow: row => {
+            const authors = splitPeople(row.Authors, ',');
+            const status = mapReadStatus(row['Read Status']);
+            
+            return {
+                'Title': row.Title,
+                'Author': authors[0] || '',
+                'Additional Authors': authors.slice(1).join(', '),
+                'ISBN13': row['ISBN/UID'],
+                'My Rating': row['Star Rating'],
+                'Binding': row.Format,
+                'Date Read': row['Last Date Read'],
+                'Date Added': row['Date Added'],
+                'Read Count': row['Read Count'],
+                'My Review': row.Review,
+                'Exclusive Shelf': status,
+                'Bookshelves': joinShelves(status, row.Tags)
+            };
+        }
+    },
+    {
+        id: 'librarything-tsv',
+        label: 'LibraryThing (TSV)',
+        requiredHeaders: ['Title', 'Primary Author', 'Collections'],
+        knownHeaders: [
+            'Book Id', 'Title', 'Sort Character', 'Primary Author', 'Primary Author Role',
+            'Secondary Author', 'Secondary Author Roles', 'Publication', 'Date', 'Review', 'Rating',
+            'Comment', 'Private Comment', 'Summary', 'Media', 'Physical Description', 'Weight',
+            'Height', 'Thickness', 'Length', 'Dimensions', 'Page Count', 'LCCN', 'Acquired',
+            'Date Started', 'Date Read', 'Barcode', 'BCID', 'Tags', 'Collections', 'Languages',
+            'Original Languages', 'LC Classification', 'ISBN', 'ISBNs', 'Subjects', 'Dewey Decimal',
+            'Dewey Wording', 'Other Call Number', 'Copies', 'Source', 'Entry Date', 'From Where',
+            'OCLC', 'Work id', 'Lending Patron', 'Lending Status', 'Lending Start', 'Lending End'
+        ],
+        mapRow: row => {
+            const status = mapLibraryThingCollections(splitPeople(row.Collections, ','), row['Date Read'], row['Date Started']);
+            
+            return {
+                'Book Id': row['Book Id'],
+                'Title': row.Title,
+                'Author': flipAuthorName(row['Primary Author']),
+                'Additional Authors': flipAuthorName(row['Secondary Author']),
+                'ISBN': row.ISBN,
+                'My Rating': row.Rating,
+                'Publisher': row.Publication,
+                'Binding': row.Media,
+                'Number of Pages': row['Page Count'],
+                'Original Publication Year': row.Date,
+                'Date Read': row['Date Read'],
+                'Date Added': row['Entry Date'] || row.Acquired,
+                'My Review': row.Review,
+                'Private Notes': row['Private Comment'],
+                'Exclusive Shelf': status,
+                'Bookshelves': joinShelves(status, row.Tags)
+            };
+        }
+    },
+    {
+        id: 'librarything-json',
+        label: 'LibraryThing (JSON)',
+        requiredHeaders: ['title', 'primaryauthor', 'books_id'],
+        knownHeaders: [
+            'books_id', 'title', 'sortcharacter', 'primaryauthor', 'primaryauthorrole', 'secondaryauthor',
+            'secondaryauthorroles', 'authors', 'format', 'date', 'publication', 'isbn', 'isbns',
+            'originalisbn', 'pages', 'rating', 'review', 'privatecomment', 'comment', 'summary',
+            'entrydate', 'datestarted', 'dateread', 'datecaptured', 'dateacquired', 'collections',
+            'tags', 'genre', 'language', 'language_codeA', 'originallanguage', 'originallanguage_codeA',
+            'ddc', 'lcc', 'lccn', 'oclc', 'subject', 'series', 'awards', 'workcode', 'physical_description',
+            'weight', 'height', 'thickness', 'length', 'dimensions', 'copies', 'barcode', 'bcid', 'source',
+            'fromwhere', 'publicationDate'
+        ],
+        mapRow: row => {
+            const isbn = Array.isArray(row.isbn) ? row.isbn[0] : (row.isbn && typeof row.isbn === 'object' ? Object.values(row.isbn)[0] : row.isbn);
+            const secondaryAuthors = Array.isArray(row.authors)
+                ? row.authors.slice(1).map(author => author.fl || flipAuthorName(author.lf)).filter(Boolean)
+                : [];
+            const collections = Array.isArray(row.collections) ? row.collections : splitPeople(row.collections, ',');
+            const status = mapLibraryThingCollections(collections, row.dateread, row.datestarted);
+            const tags = Array.isArray(row.tags) ? row.tags.join(', ') : row.tags;
+            
+            return {
+                'Book Id': row.books_id,
+                'Title': row.title,
+                'Author': flipAuthorName(row.primaryauthor),
+                'Additional Authors': secondaryAuthors.join(', '),
+                'ISBN': isbn || row.originalisbn,
+                'My Rating': row.rating,
+                'Publisher': row.publication,
+                'Binding': Array.isArray(row.format) && row.format[0] ? row.format[0].text : row.format,
+                'Number of Pages': row.pages,
+                'Original Publication Year': row.date,
+                'Date Read': row.dateread,
+                'Date Added': row.entrydate,
+                'My Review': row.review,
+                'Private Notes': row.privatecomment,
+                'Exclusive Shelf': status,
+                'Bookshelves': joinShelves(status, tags)
+            };
+        }
+    },
+    {
+        id: 'calibre',
+        label: 'Calibre',
+        requiredHeaders: ['title', 'authors', 'author_sort', 'uuid'],
+        knownHeaders: [
+            'author_sort', 'authors', 'comments', 'cover', 'formats', 'id', 'identifiers', 'isbn',
+            'languages', 'library_name', 'pubdate', 'publisher', 'rating', 'series', 'series_index',
+            'size', 'tags', 'timestamp', 'title', 'title_sort', 'uuid', 'last_modified'
+        ],
+        // Calibre custom columns are prefixed with '#'
+        knownHeaderPattern: /^#/,
+        mapRow: row => {
+            const authors = splitPeople(row.authors, '&');
+            const tags = splitPeople(row.tags, ',');
+            const markedRead = ['true', 'yes', '1'].includes(String(row['#read'] || '').toLowerCase()) ||
+                tags.some(tag => tag.toLowerCase() === 'read');
+            const status = markedRead ? 'read' : 'to-read';
+            const rating = parseFloat(row.rating);
+            
+            return {
+                'Book Id': row.id,
+                'Title': row.title,
+                'Author': authors[0] || '',
+                'Additional Authors': authors.slice(1).join(', '),
+                'ISBN': row.isbn,
+                // Calibre stores ratings out of 10
+                'My Rating': isNaN(rating) ? '' : String(rating / 2),
+                'Publisher': row.publisher,
+                'Binding': row.formats,
+                'Original Publication Year': extractYear(row.pubdate),
+                'Date Read': row['#date_read'],
+                'Date Added': row.timestamp,
+                'Exclusive Shelf': status,
+                'Bookshelves': joinShelves(status, tags.filter(tag => tag.toLowerCase() !== 'read').join(', '))
+            };
+        }
+    },
+    {
+        id: 'goodreads',
+        label: 'Goodreads',
+        requiredHeaders: ['Title', 'Author'],
+        knownHeaders: [
+            'Book Id', 'Title', 'Author', 'Author l-f', 'Additional Authors', 'ISBN', 'ISBN13',
+            'My Rating', 'Average Rating', 'Publisher', 'Binding', 'Number of Pages', 'Year Published',
+            'Original Publication Year', 'Date Read', 'Date Added', 'Bookshelves',
+            'Bookshelves with positions', 'Exclusive Shelf', 'My Review', 'Spoiler', 'Private Notes',
+            'Read Count', 'Recommended For', 'Recommended By', 'Owned Copies', 'Original Purchase Date',
+            'Original Purchase Location', 'Condition', 'Condition Description', 'BCID'
+        ],
+        mapRow: row => row
+    }
+];
+
+/**
+ * Picks the importer matching an export's header row.
+ * Falls back to the Goodreads importer when nothing matches.
+ * @param {Array<string>} headers - Header row
+ * @returns {Object} Matching importer
+ */
+function detectImporter(headers) {
+    const fallback = IMPORTERS[IMPORTERS.length - 1];
+    return IMPORTERS.find(importer => hasHeaders(headers || [], importer.requiredHeaders)) || fallback;
+}
+
+/**
+ * Checks that every required header is present (ignoring surrounding whitespace).
+ * @param {Array<string>} headers - Header row
+ * @param {Array<string>} required - Headers that must be present
+ * @returns {boolean} True if all are present
+ */
+function hasHeaders(headers, required) {
+    const trimmed = headers.map(header => String(header).trim());
+    return required.every(header => trimmed.includes(header));
+}
+
+/**
+ * Splits a delimited list of names or tags into trimmed, non-empty entries.
+ * @param {*} value - Raw delimited value
+ * @param {string} separator - Delimiter
+ * @returns {Array<string>} Entries
+ */
+function splitPeople(value, separator) {
+    if (!value) return [];
+    return String(value)
+        .split(separator)
+        .map(entry => entry.trim())
+        .filter(entry => entry.length > 0);
+}
+
+/**
+ * Turns a "Last, First" name into "First Last". Other names pass through.
+ * @param {*} name - Raw author name
+ * @returns {string} Display name
+ */
+function flipAuthorName(name) {
+    const cleaned = cleanString(name);
+    if (!cleaned) return '';
     
-    // Filter to only "want to read" books for backlog intelligence
-    const wantToReadBooks = unreadBooks.filter(book => {
-        if (!book.shelves) return false;
-        const shelves = book.shelves.toLowerCase();
-        return shelves.includes('to-read') || shelves.includes('want-to-read');
-    });
+    const parts = cleaned.split(',').map(part => part.trim());
+    if (parts.length !== 2 || !parts[1]) return cleaned;
     
-    // Calculate all metrics
-    const metrics = calculateMetrics(readBooks, unreadBooks, wantToReadBooks);
+    return `${parts[1]} ${parts[0]}`;
+}
+
+/**
+ * Maps a StoryGraph read status onto a Goodreads shelf name.
+ * @param {*} status - Raw read status
+ * @returns {string} Shelf name
+ */
+function mapReadStatus(status) {
+    const value = String(status || '').trim().toLowerCase();
+    if (value === 'did-not-finish') return 'dnf';
+    return value || 'to-read';
+}
+
+/**
+ * Derives a Goodreads shelf name from LibraryThing collections and dates.
+ * @param {Array<string>} collections - Collection names
+ * @param {*} dateRead - Date finished
+ * @param {*} dateStarted - Date started
+ * @returns {string} Shelf name
+ */
+function mapLibraryThingCollections(collections, dateRead, dateStarted) {
+    const lower = collections.map(collection => collection.toLowerCase());
     
-    // Render analytics to the DOM
-    renderAnalytics(metrics);
+    if (cleanString(dateRead) || lower.includes('read') || lower.includes('read but unowned')) return 'read';
+    if (lower.includes('currently reading') || cleanString(dateStarted)) return 'currently-reading';
     
-    // Initialise decision engine
-    initDecisionEngine(wantToReadBooks);
+    // "Your library", "To read" and "Wishlist" are all still unread
+    return 'to-read';
 }
 
 /**
- * Calculates summary metrics from read and unread book arrays.
- * @param {Array} readBooks - Books that have been read
- * @param {Array} unreadBooks - Books not yet read
- * @param {Array} wantToReadBooks - Books marked as "want to read"
- * @returns {Object} Calculated metrics
+ * Joins an exclusive shelf and extra tags into a Goodreads Bookshelves value.
+ * @param {string} status - Exclusive shelf name
+ * @param {*} tags - Comma-separated tags
+ * @returns {string} Bookshelves value
  */
-function calculateMetrics(readBooks, unreadBooks, wantToReadBooks) {
-    return {
-        totalBooks: books.length,
-        booksRead: readBooks.length,
-        booksUnread: unreadBooks.length,
-        averagePages: average(readBooks.map(b => b.pages).filter(p => p > 0)),
-        averageUserRating: average(readBooks.map(b => b.userRating).filter(r => r > 0)),
-        medianPublicationYear: median(readBooks.map(b => b.publicationYear).filter(y => y > 0)),
-        topAuthors: getTopAuthors(readBooks.map(b => b.author).filter(a => a !== null), 3),
-        booksPerYear: groupByYear(readBooks),
-        tasteProfile: calculateTasteProfile(readBooks),
-        backlogInsights: calculateBacklogInsights(wantToReadBooks)
-    };
+function joinShelves(status, tags) {
+    return [status, ...splitPeople(tags, ',')].join(', ');
 }
 
 /**
- * Renders analytics metrics to the analytics section.
- * @param {Object} metrics - Metrics object from calculateMetrics
+ * Checks whether an uploaded file is a JSON export.
+ * @param {string} fileName - Uploaded file name
+ * @param {string} text - File contents
+ * @returns {boolean} True for JSON exports
  */
-function renderAnalytics(metrics) {
-    const analyticsSection = document.getElementById('analytics-section');
-    const analyticsContent = document.getElementById('analytics-content');
+function isJsonExport(fileName, text) {
+    if (fileName && fileName.toLowerCase().endsWith('.json')) return true;
+    const start = String(text).trimStart();
+    return start.startsWith('{') || start.startsWith('[');
+}
+
+/**
+ * Parses a JSON export into the same shape as a PapaParse result.
+ * LibraryThing exports an object keyed by book id; arrays are accepted too.
+ * @param {string} text - JSON text
+ * @returns {Object} Results object with data, errors and meta.fields
+ */
+function parseJsonExport(text) {
+    try {
+        const parsed = JSON.parse(text);
+        const data = Array.isArray(parsed) ? parsed : Object.values(parsed || {});
+        const rows = data.filter(row => row && typeof row === 'object');
+        
+        return { data: rows, errors: [], meta: { fields: Object.keys(rows[0] || {}) } };
+    } catch (error) {
+        return { data: [], errors: [{ type: 'JSON', message: error.message }], meta: { fields: [] } };
+    }
+}
+
+// ============================================
+// Phase 1c: Import Validation
+// ============================================
+
+// Maximum number of problems listed per category in the report
+const IMPORT_REPORT_LIMIT = 10;
+
+/**
+ * Validates a parsed export and collects everything worth telling the user.
+ * @param {Object} results - PapaParse-shaped results (data, errors)
+ * @param {Array<string>} headers - Header row
+ * @param {Object} importer - Detected importer
+ * @param {Array<Object>} rows - Rows mapped onto Goodreads columns
+ * @param {string} dateFormat - Day/month order detected for the file
+ * @returns {Object} Import report
+ */
+function validateImport(results, headers, importer, rows, dateFormat = detectDateFormat(collectRawDates(rows))) {
+    const trimmedHeaders = headers.map(header => String(header).trim());
     
-    // Show the analytics section
-    analyticsSection.classList.remove('hidden');
+    const report = {
+        format: importer.label,
+        totalRows: rows.length,
+        malformedRows: [],
+        unrecognisedHeaders: [],
+        missingColumns: importer.requiredHeaders.filter(header => !trimmedHeaders.includes(header)),
+        invalidDates: [],
+        invalidPages: [],
+        refused: false,
+        refusalReason: null
+    };
     
-    // Build HTML content
-    let html = `
-        <div class="metrics-grid">
-            <div class="metric-card">
-                <h3>Library Overview</h3>
-                <p class="metric-description">Your complete book collection</p>
-                <p><strong>Total Books:</strong> ${metrics.totalBooks}</p>
-                <p><strong>Books Read:</strong> ${metrics.booksRead}</p>
-                <p><strong>Books Unread:</strong> ${metrics.booksUnread}</p>
-            </div>
-            
-            <div class="metric-card">
-                <h3>Reading Stats</h3>
-                <p class="metric-description">Analysis of books you've read</p>
-                <p><strong>Average No. of Pages:</strong> ${formatNumber(metrics.averagePages)}</p>
-                <p><strong>Your Average Rating:</strong> ${formatNumber(metrics.averageUserRating, 2)}</p>
-                <p><strong>Median Pub Year:</strong> ${formatNumber(metrics.medianPublicationYear, 0)}</p>
-            </div>
-            
-            <div class="metric-card">
-                <h3>Top Authors</h3>
-                <p class="metric-description">Most-read authors from your finished books</p>
-                ${metrics.topAuthors.length === 0 ? '<p>N/A</p>' : 
-                  '<ul>' + metrics.topAuthors.map(a => 
-                    `<li>${a.author}: ${a.count} book${a.count !== 1 ? 's' : ''} read</li>`
-                  ).join('') + '</ul>'}
-            </div>
-            
-            <div class="metric-card">
-                <h3>Reading by Year</h3>
-                <p class="metric-description">Your book totals for the last five years</p>
-    `;
+    report.unrecognisedHeaders = trimmedHeaders.filter(header => header && !isKnownHeader(importer, header));
     
-    // Add books per year (last 5 years only)
-    const currentYear = new Date().getFullYear();
-    const yearEntries = Object.entries(metrics.booksPerYear)
-        .filter(([year]) => year >= currentYear - 4)
-        .sort((a, b) => b[0] - a[0]);
+    // PapaParse row indexes are zero-based and exclude the header line
+    report.malformedRows = (results.errors || []).map(error => ({
+        row: typeof error.row === 'number' ? error.row + 2 : null,
+        message: error.message
+    }));
     
-    if (yearEntries.length === 0) {
-        html += '<p>No reading data available</p>';
-    } else {
-        html += '<ul>';
-        yearEntries.forEach(([year, count]) => {
-            const isCurrentYear = parseInt(year) === currentYear;
-            const suffix = isCurrentYear ? ' so far' : '';
-            html += `<li>${year}${suffix}: ${count} book${count !== 1 ? 's' : ''}</li>`;
+    rows.forEach((row, index) => {
+        const rowNumber = index + 2;
+        const title = cleanString(row.Title) || 'Untitled';
+        
+        ['Date Read', 'Date Added'].forEach(field => {
+            const value = cleanString(row[field]);
+            if (value && normaliseDate(value, dateFormat) === null) {
+                report.invalidDates.push({ row: rowNumber, title, field, value });
+            }
         });
-        html += '</ul>';
+        
+        const pages = cleanString(row['Number of Pages']);
+        if (pages && isNaN(parseInt(pages, 10))) {
+            report.invalidPages.push({ row: rowNumber, title, value: pages });
+        }
+    });
+    
+    // Refuse files that clearly aren't book exports
+    const titledRows = rows.filter(row => cleanString(row.Title)).length;
+    const jsonError = (results.errors || []).find(error => error.type === 'JSON');
+    if (jsonError) {
+        report.refused = true;
+        report.refusalReason = `The file is not valid JSON: ${jsonError.message}`;
+    } else if (rows.length === 0) {
+        report.refused = true;
+        report.refusalReason = 'The file contains no rows.';
+    } else if (titledRows === 0) {
+        report.refused = true;
+        report.refusalReason = 'No book titles were found. This does not look like a Goodreads, StoryGraph, LibraryThing or Calibre export.';
     }
     
-    html += `
-            </div>
-        </div>
-        
-        <div class="taste-profile">
-            <h3>Taste Profile</h3>
-            <p class="section-description">Your reading patterns and preferences based on books you've finished</p>
-            
-            <div class="metrics-grid">
-                <div class="metric-card">
-                    <h4>Book Length Preference</h4>
-                    <p class="metric-description">Page count distribution of finished books</p>
-                    ${metrics.booksRead === 0 ? '<p>No read books</p>' : `
-                        <ul>
-                            <li>Short (&lt;300p): ${metrics.tasteProfile.lengthDistribution.short.count} (${metrics.tasteProfile.lengthDistribution.short.percentage}%)</li>
-                            <li>Medium (300-500p): ${metrics.tasteProfile.lengthDistribution.medium.count} (${metrics.tasteProfile.lengthDistribution.medium.percentage}%)</li>
-                            <li>Long (500-800p): ${metrics.tasteProfile.lengthDistribution.long.count} (${metrics.tasteProfile.lengthDistribution.long.percentage}%)</li>
-                            <li>Epic (800p+): ${metrics.tasteProfile.lengthDistribution.epic.count} (${metrics.tasteProfile.lengthDistribution.epic.percentage}%)</li>
-                        </ul>
-                    `}
-                </div>
-                
+    return report;
+}
+
+/**
+ * Checks whether an importer understands a column.
+ * @param {Object} importer - Importer definition
+ * @param {string} header - Column name
+ * @returns {boolean} True if the column is known
+ */
+function isKnownHeader(importer, header) {
+    if (importer.knownHeaders.includes(header)) return true;
+    return Boolean(importer.knownHeaderPattern && importer.knownHeaderPattern.test(header));
+}
+
+/**
+ * Builds a refusal report for files that could not be read or parsed.
+ * @param {string} reason - Message shown to the user
+ * @returns {Object} Import report
+ */
+function createFailedImportReport(reason) {
+    return {
+        format: null,
+        totalRows: 0,
+        malformedRows: [],
+        unrecognisedHeaders: [],
+        missingColumns: [],
+        invalidDates: [],
+        invalidPages: [],
+        refused: true,
+        refusalReason: reason
+    };
+}
+
+/**
+ * Counts the problems in an import report.
+ * @param {Object} report - Import report
+ * @returns {number} Total problems
+ */
+function countImportProblems(report) {
+    return report.malformedRows.length + report.unrecognisedHeaders.length + report.missingColumns.length +
+        report.invalidDates.length + report.invalidPages.length;
+}
+
+/**
+ * Renders the import report in the upload card.
+ * @param {Object} report - Import report
+ */
+function renderImportReport(report) {
+    const reportEl = document.getElementById('import-report');
+    if (!reportEl) return;
+    
+    reportEl.classList.remove('hidden', 'refused', 'clean');
+    
+    if (report.refused) {
+        reportEl.classList.add('refused');
+        reportEl.innerHTML = `
+            <h4>Import Refused</h4>
+            <p>${escapeHtml(report.refusalReason)}</p>
+            <p class="import-report-hint">Check that you selected the library export file and try again. Your current library has not been changed.</p>
+        `;
+        return;
+    }
+    
+    const problemCount = countImportProblems(report);
+    if (problemCount === 0) {
+        reportEl.classList.add('clean');
+        reportEl.innerHTML = `<p>Imported ${report.totalRows} books from a ${escapeHtml(report.format)} export. No problems found.</p>`;
+        return;
+    }
+    
+    const renderList = (items, describe) => {
+        const shown = items.slice(0, IMPORT_REPORT_LIMIT).map(item => `<li>${escapeHtml(describe(item))}</li>`).join('');
+        const more = items.length > IMPORT_REPORT_LIMIT ? `<li>+${items.length - IMPORT_REPORT_LIMIT} more</li>` : '';
+        return `<ul>${shown}${more}</ul>`;
+    };
+    
+    const sections = [];
+    
+    if (report.missingColumns.length > 0) {
+        sections.push(`<h5>Missing required columns</h5>${renderList(report.missingColumns, column => column)}`);
+    }
+    if (report.malformedRows.length > 0) {
+        sections.push(`<h5>Malformed rows (${report.malformedRows.length})</h5>${renderList(report.malformedRows, item => `${item.row ? `Row ${item.row}` : 'File'}: ${item.message}`)}`);
+    }
+    if (report.invalidDates.length > 0) {
+        sections.push(`<h5>Unparseable dates (${report.invalidDates.length})</h5>${renderList(report.invalidDates, item => `Row ${item.row} (${item.title}): ${item.field} "${item.value}"`)}`);
+    }
+    if (report.invalidPages.length > 0) {
+        sections.push(`<h5>Unparseable page counts (${report.invalidPages.length})</h5>${renderList(report.invalidPages, item => `Row ${item.row} (${item.title}): "${item.value}"`)}`);
+    }
+    if (report.unrecognisedHeaders.length > 0) {
+        sections.push(`<h5>Unrecognised columns (ignored)</h5>${renderList(report.unrecognisedHeaders, header => header)}`);
+    }
+    
+    reportEl.innerHTML = `
+        <h4>Import Report</h4>
+        <p>Imported ${report.totalRows} books from a ${escapeHtml(report.format)} export with ${problemCount} issue${problemCount !== 1 ? 's' : ''}. Affected values were left blank.</p>
+        ${sections.join('')}
+    `;
+}
+
+/**
+ * Escapes text for safe insertion into HTML.
+ * @param {*} value - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// ============================================
+// Phase 1b: Re-import Diffing
+// ============================================
+
+/**
+ * Builds the key used to match a book across imports.
+ * Prefers the Goodreads Book Id, falling back to title and author.
+ * @param {Object} book - Normalised book
+ * @returns {string} Matching key
+ */
+function getBookKey(book) {
+    if (book.bookId) {
+        return `id:${book.bookId}`;
+    }
+    return `title:${(book.title || '').toLowerCase()}|${(book.author || '').toLowerCase()}`;
+}
+
+/**
+ * Compares a new import against the previous library.
+ * @param {Array} previousBooks - Books from the last import
+ * @param {Array} nextBooks - Books from the new import
+ * @returns {Object} Added, finished, first-rated, re-rated, unrated, re-shelved and removed books
+ */
+function diffLibraries(previousBooks, nextBooks) {
+    const previousByKey = new Map(previousBooks.map(book => [getBookKey(book), book]));
+    const nextKeys = new Set();
+    
+    const changes = {
+        added: [],
+        finished: [],
+        rated: [],
+        rerated: [],
+        unrated: [],
+        reshelved: [],
+        removed: []
+    };
+    
+    nextBooks.forEach(book => {
+        const key = getBookKey(book);
+        nextKeys.add(key);
+        
+        const previous = previousByKey.get(key);
+        if (!previous) {
+            changes.added.push(book);
+            return;
+        }
+        
+        if (!isReadBook(previous) && isReadBook(book)) {
+            changes.finished.push(book);
+        }
+        // A first rating is not a change of mind, so it is listed on its own
+        if (previous.userRating !== book.userRating) {
+            if (previous.userRating > 0 && book.userRating > 0) {
+                changes.rerated.push({ book, previousRating: previous.userRating });
+            } else if (book.userRating > 0) {
+                changes.rated.push(book);
+            } else {
+                changes.unrated.push({ book, previousRating: previous.userRating });
+            }
+        }
+        if (getReadingStatus(previous) !== getReadingStatus(book) || (previous.shelves || '') !== (book.shelves || '')) {
+            changes.reshelved.push({ book, previousShelves: previous.shelves });
+        }
+    });
+    
+    previousBooks.forEach(book => {
+        if (!nextKeys.has(getBookKey(book))) {
+            changes.removed.push(book);
+        }
+    });
+    
+    return changes;
+}
+
+/**
+ * Counts the total number of changes in a diff.
+ * @param {Object} changes - Result of diffLibraries
+ * @returns {number} Total number of changes
+ */
+function countLibraryChanges(changes) {
+    return changes.added.length + changes.finished.length + changes.rated.length +
+        changes.rerated.length + changes.unrated.length + changes.reshelved.length + changes.removed.length;
+}
+
+/**
+ * Renders the re-import change summary above the analytics.
+ * Hidden on a first import.
+ * @param {Object|null} changes - Result of diffLibraries or null
+ */
+function renderImportChanges(changes) {
+    const changesEl = document.getElementById('import-changes');
+    if (!changesEl) return;
+    
+    if (!changes) {
+        changesEl.innerHTML = '';
+        changesEl.classList.add('hidden');
+        return;
+    }
+    
+    changesEl.classList.remove('hidden');
+    
+    if (countLibraryChanges(changes) === 0) {
+        changesEl.innerHTML = `
+            <h3>Changes Since Last Import</h3>
+            <p class="section-description">No changes - this export matches your stored library.</p>
+        `;
+        return;
+    }
+    
+    const renderTitles = (items, describe) => {
+        if (items.length === 0) return '<p>None</p>';
+        const shown = items.slice(0, 5).map(item => `<li>${describe(item)}</li>`).join('');
+        const more = items.length > 5 ? `<li>+${items.length - 5} more</li>` : '';
+        return `<ul>${shown}${more}</ul>`;
+    };
+    
+    changesEl.innerHTML = `
+        <h3>Changes Since Last Import</h3>
+        <p class="section-description">What changed between your previous and latest export</p>
+        
+        <div class="metrics-grid">
+            <div class="metric-card">
+                <h4>Added (${changes.added.length})</h4>
+                ${renderTitles(changes.added, book => escapeHtml(book.title || 'Unknown'))}
+            </div>
+            
+            <div class="metric-card">
+                <h4>Finished (${changes.finished.length})</h4>
+                ${renderTitles(changes.finished, book => escapeHtml(book.title || 'Unknown'))}
+            </div>
+            
+            <div class="metric-card">
+                <h4>First rated (${changes.rated.length})</h4>
+                ${renderTitles(changes.rated, book => `${escapeHtml(book.title || 'Unknown')}: ${book.userRating}★`)}
+            </div>
+            
+            <div class="metric-card">
+                <h4>Re-rated (${changes.rerated.length})</h4>
+                ${renderTitles(changes.rerated, item => `${escapeHtml(item.book.title || 'Unknown')}: ${item.previousRating} → ${item.book.userRating}`)}
+            </div>
+            
+            <div class="metric-card">
+                <h4>Rating removed (${changes.unrated.length})</h4>
+                ${renderTitles(changes.unrated, item => `${escapeHtml(item.book.title || 'Unknown')}: was ${item.previousRating}★`)}
+            </div>
+            
+            <div class="metric-card">
+                <h4>Re-shelved (${changes.reshelved.length})</h4>
+                ${renderTitles(changes.reshelved, item => `${escapeHtml(item.book.title || 'Unknown')}: ${escapeHtml(item.book.shelves || 'no shelves')}`)}
+            </div>
+            
+            <div class="metric-card">
+                <h4>Removed (${changes.removed.length})</h4>
+                ${renderTitles(changes.removed, book => escapeHtml(book.title || 'Unknown'))}
+            </div>
+        </div>
+    `;
+}
+
+// ============================================
+// Phase 2: Analytics Layer
+// ============================================
+
+/**
+ * Initialises the analytics layer.
+ * Derives read/unread books, calculates metrics, and renders results.
+ */
+function initAnalytics() {
+    refreshAnalytics();
+    
+    // Annual summary for the most recent year read
+    initYearInReview();
+    
+    // Per-author deep-dive
+    initAuthorExplorer();
+    
+    // Show every book in the library table
+    initLibraryTable();
+    
+    // Initialise decision engine
+    initDecisionEngine(books.filter(isBacklogBook));
+}
+
+/**
+ * Recalculates and renders the analytics without touching the decision funnel.
+ * Used when analytics options change.
+ */
+function refreshAnalytics() {
+    // Derive read and unread books from reading status
+    const readBooks = books.filter(isReadBook);
+    const unreadBooks = books.filter(book => !isReadBook(book));
+    
+    // Only "want to read" books feed backlog intelligence
+    const wantToReadBooks = books.filter(isBacklogBook);
+    const currentlyReadingBooks = books.filter(book => getReadingStatus(book) === 'currently-reading');
+    
+    // Calculate all metrics
+    const metrics = calculateMetrics(readBooks, unreadBooks, wantToReadBooks, currentlyReadingBooks);
+    
+    // Render analytics to the DOM
+    renderAnalytics(metrics);
+}
+
+/**
+ * Calculates summary metrics from read and unread book arrays.
+ * @param {Array} readBooks - Books that have been read
+ * @param {Array} unreadBooks - Books not yet read
+ * @param {Array} wantToReadBooks - Books marked as "want to read"
+ * @param {Array} currentlyReadingBooks - Books on the currently-reading shelf
+ * @returns {Object} Calculated metrics
+ */
+function calculateMetrics(readBooks, unreadBooks, wantToReadBooks, currentlyReadingBooks = []) {
+    // One entry per read when re-reads are counted, one per book otherwise
+    const readEvents = analyticsOptions.countRereads ? expandRereads(readBooks) : readBooks;
+    const booksPerYear = groupByYear(readBooks);
+    const pace = calculatePaceInsights(readBooks);
+    
+    return {
+        totalBooks: books.length,
+        booksRead: readBooks.length,
+        booksUnread: unreadBooks.length,
+        statusCounts: countByStatus(books),
+        averagePages: average(readBooks.map(b => b.pages).filter(p => p > 0)),
+        averageUserRating: average(readBooks.map(b => b.userRating).filter(r => r > 0)),
+        medianPublicationYear: median(readBooks.map(b => b.publicationYear).filter(y => y > 0)),
+        topAuthors: getTopAuthors(readEvents.flatMap(b => getBookContributors(b, CONTRIBUTOR_SCOPES.topAuthors)), 3),
+        booksPerYear: booksPerYear,
+        tasteProfile: calculateTasteProfile(readEvents),
+        mostReread: findMostRereadBooks(readBooks, 3),
+        reviews: calculateReviewInsights(books),
+        series: calculateSeriesProgress(books),
+        charts: buildChartData(readBooks, wantToReadBooks, booksPerYear),
+        formats: calculateFormatSplit(readBooks, wantToReadBooks),
+        publishers: calculatePublisherInsights(readBooks),
+        pace: pace,
+        goal: calculateGoalProgress(readingGoal, booksPerYear, pace.pagesPerYear, wantToReadBooks),
+        calibration: calculateRatingCalibration(readBooks, wantToReadBooks),
+        backlogInsights: calculateBacklogInsights(wantToReadBooks),
+        currentlyReading: calculateCurrentlyReadingInsights(currentlyReadingBooks, readBooks)
+    };
+}
+
+/**
+ * Renders analytics metrics to the analytics section.
+ * @param {Object} metrics - Metrics object from calculateMetrics
+ */
+function renderAnalytics(metrics) {
+    const analyticsSection = document.getElementById('analytics-section');
+    const analyticsContent = document.getElementById('analytics-content');
+    
+    // Show the analytics section
+    analyticsSection.classList.remove('hidden');
+    
+    // Build HTML content
+    let html = `
+        <div class="metrics-grid">
+            <div class="metric-card">
+                <h3>Library Overview</h3>
+                <p class="metric-description">Your complete book collection</p>
+                <p><strong>Total Books:</strong> ${metrics.totalBooks}</p>
+                <p><strong>Books Read:</strong> ${metrics.booksRead}</p>
+                <p><strong>Books Unread:</strong> ${metrics.booksUnread}</p>
+                <p><strong>Currently Reading:</strong> ${metrics.statusCounts['currently-reading']}</p>
+                <p><strong>Want to Read:</strong> ${metrics.statusCounts['to-read']}</p>
+                <p><strong>Did Not Finish:</strong> ${metrics.statusCounts.dnf}</p>
+                ${metrics.statusCounts.custom > 0 ? `<p><strong>Other Shelves:</strong> ${metrics.statusCounts.custom}</p>` : ''}
+            </div>
+            
+            <div class="metric-card">
+                <h3>Reading Stats</h3>
+                <p class="metric-description">Analysis of books you've read</p>
+                <p><strong>Average No. of Pages:</strong> ${formatNumber(metrics.averagePages)}</p>
+                <p><strong>Your Average Rating:</strong> ${formatNumber(metrics.averageUserRating, 2)}</p>
+                <p><strong>Median Pub Year:</strong> ${formatNumber(metrics.medianPublicationYear, 0)}</p>
+            </div>
+            
+            <div class="metric-card">
+                <h3>Top Authors</h3>
+                <p class="metric-description">Most-read authors from your finished books</p>
+                ${metrics.topAuthors.length === 0 ? '<p>N/A</p>' : 
+                  '<ul>' + metrics.topAuthors.map(a => 
+                    `<li>${escapeHtml(a.author)}: ${a.count} ${analyticsOptions.countRereads ? 'read' : 'book'}${a.count !== 1 ? 's' : ''}</li>`
+                  ).join('') + '</ul>'}
+            </div>
+            
+            <div class="metric-card">
+                <h3>Most Re-read</h3>
+                <p class="metric-description">Books you keep coming back to</p>
+                ${metrics.mostReread.length === 0 ? '<p>No re-reads yet</p>' : 
+                  '<ul>' + metrics.mostReread.map(b => 
+                    `<li>${escapeHtml(b.title)}: read ${b.readCount} times</li>`
+                  ).join('') + '</ul>'}
+            </div>
+            
+            <div class="metric-card">
+                <h3>Reading by Year</h3>
+                <p class="metric-description">Your book totals for the last five years</p>
+    `;
+    
+    // Add books per year (last 5 years only)
+    const currentYear = new Date().getFullYear();
+    const yearEntries = Object.entries(metrics.booksPerYear)
+        .filter(([year]) => year >= currentYear - 4)
+        .sort((a, b) => b[0] - a[0]);
+    
+    if (yearEntries.length === 0) {
+        html += '<p>No reading data available</p>';
+    } else {
+        html += '<ul>';
+        yearEntries.forEach(([year, count]) => {
+            const isCurrentYear = parseInt(year) === currentYear;
+            const suffix = isCurrentYear ? ' so far' : '';
+            html += `<li>${year}${suffix}: ${count} book${count !== 1 ? 's' : ''}</li>`;
+        });
+        html += '</ul>';
+    }
+    
+    html += `
+            </div>
+        </div>
+        
+        ${renderGoalPanel(metrics.goal)}
+        
+        ${renderChartsPanel(metrics.charts)}
+        
+        ${renderPacePanel(metrics.pace)}
+        
+        <div class="taste-profile">
+            <h3>Taste Profile</h3>
+            <p class="section-description">Your reading patterns and preferences based on books you've finished</p>
+            
+            <div class="metrics-grid">
+                <div class="metric-card">
+                    <h4>Book Length Preference</h4>
+                    <p class="metric-description">Page count distribution of finished books</p>
+                    ${metrics.booksRead === 0 ? '<p>No read books</p>' : `
+                        <ul>
+                            <li>Short (&lt;300p): ${metrics.tasteProfile.lengthDistribution.short.count} (${metrics.tasteProfile.lengthDistribution.short.percentage}%)</li>
+                            <li>Medium (300-500p): ${metrics.tasteProfile.lengthDistribution.medium.count} (${metrics.tasteProfile.lengthDistribution.medium.percentage}%)</li>
+                            <li>Long (500-800p): ${metrics.tasteProfile.lengthDistribution.long.count} (${metrics.tasteProfile.lengthDistribution.long.percentage}%)</li>
+                            <li>Epic (800p+): ${metrics.tasteProfile.lengthDistribution.epic.count} (${metrics.tasteProfile.lengthDistribution.epic.percentage}%)</li>
+                        </ul>
+                    `}
+                </div>
+                
                 <div class="metric-card">
                     <h4>Era Preference</h4>
                     <p class="metric-description">When your finished books were published</p>
@@ -467,7 +1434,16 @@ function renderAnalytics(metrics) {
         </div>
     `;
     
+    html += renderCurrentlyReadingPanel(metrics.currentlyReading);
+    html += renderSeriesPanel(metrics.series);
+    html += renderFormatsPanel(metrics.formats, metrics.publishers);
+    html += renderCalibrationPanel(metrics.calibration);
+    html += renderReviewsPanel(metrics.reviews);
+    
     analyticsContent.innerHTML = html;
+    
+    initReviewSearch(metrics.reviews.reviewedBooks);
+    initGoalControls();
 }
 
 /**
@@ -547,7 +1523,8 @@ function getTopAuthors(arr, n = 3) {
 
 /**
  * Groups read books by the year they were read.
- * Extracts year from dateRead field.
+ * Extracts year from dateRead field. Exports only date the latest read, so
+ * each book counts once, in that year - earlier reads have no year to go in.
  * @param {Array} readBooks - Books with dateRead values
  * @returns {Object} Map of year -> count
  */
@@ -557,8 +1534,8 @@ function groupByYear(readBooks) {
     readBooks.forEach(book => {
         if (!book.dateRead) return;
         
-        // Extract year from dateRead (handles various formats)
-        const year = extractYear(book.dateRead);
+        const parsedDate = parseDateSafe(book.dateRead);
+        const year = parsedDate ? parsedDate.getFullYear() : null;
         if (year) {
             yearCount[year] = (yearCount[year] || 0) + 1;
         }
@@ -712,1071 +1689,5316 @@ function calculateRatingBehaviour(readBooks) {
  * @returns {number} Diversity score (unique authors / total books)
  */
 function calculateAuthorDiversity(readBooks) {
-    const authors = readBooks.map(b => b.author).filter(a => a !== null);
+    const authors = readBooks.flatMap(b => getBookContributors(b, CONTRIBUTOR_SCOPES.authorDiversity));
     const uniqueAuthors = new Set(authors).size;
     return authors.length > 0 ? (uniqueAuthors / authors.length).toFixed(2) : 0;
 }
 
 // ============================================
-// Phase 4: Backlog Intelligence
+// Phase 2b: Charts
 // ============================================
 
+// SVG charts are drawn in a fixed coordinate space and scaled by CSS
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 200;
+
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const LENGTH_CATEGORIES = [
+    { key: 'short', label: 'Short (<300p)' },
+    { key: 'medium', label: 'Medium (300-500p)' },
+    { key: 'long', label: 'Long (500-800p)' },
+    { key: 'epic', label: 'Epic (800p+)' }
+];
+
+const ERA_CATEGORIES = [
+    { key: 'classic', label: 'Classic (pre-1950)' },
+    { key: 'late20th', label: 'Late 20th C. (1950-1999)' },
+    { key: 'modern', label: 'Modern (2000+)' }
+];
+
 /**
- * Calculates backlog insights from unread books.
- * @param {Array} unreadBooks - Books not yet read
- * @returns {Object} Backlog intelligence metrics
+ * Builds the data behind every analytics chart.
+ * @param {Array} readBooks - Books that have been read
+ * @param {Array} backlogBooks - Books on the want-to-read shelf
+ * @param {Object} booksPerYear - Map of year -> count from groupByYear
+ * @returns {Object} Chart series
  */
-function calculateBacklogInsights(unreadBooks) {
-    if (!unreadBooks || unreadBooks.length === 0) {
-        return {
-            totalUnread: 0,
-            oldestUnread: null,
-            averageAge: null,
-            longestUnread: null,
-            shortestUnread: null,
-            highestRatedUnread: null,
-            eraDistribution: {},
-            lengthDistribution: {}
-        };
-    }
-    
+function buildChartData(readBooks, backlogBooks, booksPerYear) {
     return {
-        totalUnread: unreadBooks.length,
-        oldestUnread: findOldestUnread(unreadBooks),
-        averageAge: calculateAverageBacklogAge(unreadBooks),
-        longestUnread: findLongestUnread(unreadBooks),
-        shortestUnread: findShortestUnread(unreadBooks),
-        highestRatedUnread: findHighestRatedUnread(unreadBooks),
-        eraDistribution: calculateBacklogEraDistribution(unreadBooks),
-        lengthDistribution: calculateBacklogLengthDistribution(unreadBooks)
+        booksPerYear: buildYearSeries(booksPerYear),
+        length: buildDistributionComparison(readBooks, backlogBooks, 'length', LENGTH_CATEGORIES,
+            book => book.pages > 0 ? getLengthCategory(book.pages) : null),
+        era: buildDistributionComparison(readBooks, backlogBooks, 'era', ERA_CATEGORIES,
+            book => book.publicationYear > 0 ? getEraCategory(book.publicationYear) : null),
+        ratings: buildRatingHistogram(readBooks),
+        heatmap: buildMonthlyHeatmap(readBooks)
     };
 }
 
 /**
- * Parses a date string safely, handling various formats.
- * @param {string} dateStr - Date string to parse
- * @returns {Date|null} Parsed date or null
+ * Turns a year -> count map into a continuous series, filling empty years with zero.
+ * @param {Object} booksPerYear - Map of year -> count
+ * @returns {Array} Points with label, value and library filters
  */
-function parseDateSafe(dateStr) {
-    if (!dateStr) return null;
+function buildYearSeries(booksPerYear) {
+    const years = Object.keys(booksPerYear).map(Number).filter(year => year > 0);
+    if (years.length === 0) return [];
     
-    // Handle YYYY/MM/DD format from Goodreads
-    if (/^\d{4}\/\d{2}\/\d{2}$/.test(dateStr)) {
-        const parts = dateStr.split('/');
-        return new Date(parseInt(parts[0]), parseInt(parts[1]) - 1, parseInt(parts[2]));
+    const series = [];
+    for (let year = Math.min(...years); year <= Math.max(...years); year++) {
+        series.push({
+            label: String(year),
+            value: booksPerYear[year] || 0,
+            filters: { status: 'read', readPeriod: String(year) }
+        });
     }
     
-    // Handle standard Date parsing
-    const parsed = new Date(dateStr);
-    return isNaN(parsed.getTime()) ? null : parsed;
+    return series;
 }
 
 /**
- * Finds the oldest unread book by dateAdded.
- * @param {Array} unreadBooks - Unread books
- * @returns {Object|null} Oldest book or null
+ * Counts read and backlog books per category so they can be compared side by side.
+ * @param {Array} readBooks - Books that have been read
+ * @param {Array} backlogBooks - Books on the want-to-read shelf
+ * @param {string} filterKey - Library table filter the categories map onto
+ * @param {Array} categories - { key, label } category definitions
+ * @param {Function} categoryOf - Returns a book's category key, or null if unknown
+ * @returns {Array} One group per shelf, each with a segment per category
  */
-function findOldestUnread(unreadBooks) {
-    const booksWithDates = unreadBooks
-        .filter(b => b.dateAdded)
-        .map(b => ({ ...b, parsedDate: parseDateSafe(b.dateAdded) }))
-        .filter(b => b.parsedDate !== null);
+function buildDistributionComparison(readBooks, backlogBooks, filterKey, categories, categoryOf) {
+    const groups = [
+        { label: 'Read', status: 'read', groupBooks: readBooks },
+        { label: 'Backlog', status: 'to-read', groupBooks: backlogBooks }
+    ];
     
-    if (booksWithDates.length === 0) {
-        return null;
-    }
+    return groups.map(group => ({
+        label: group.label,
+        segments: categories.map(category => ({
+            label: category.label,
+            value: group.groupBooks.filter(book => categoryOf(book) === category.key).length,
+            filters: { status: group.status, [filterKey]: category.key }
+        }))
+    }));
+}
+
+/**
+ * Counts read books by star rating.
+ * @param {Array} readBooks - Books that have been read
+ * @returns {Array} Points for 1 to 5 stars
+ */
+function buildRatingHistogram(readBooks) {
+    return [1, 2, 3, 4, 5].map(rating => ({
+        label: `${rating}★`,
+        value: readBooks.filter(book => Math.round(book.userRating || 0) === rating).length,
+        filters: { status: 'read', rating: String(rating) }
+    }));
+}
+
+/**
+ * Counts books finished in each month of each year.
+ * @param {Array} readBooks - Books that have been read
+ * @returns {Object} { rows: [{ year, months }], max } with newest year first
+ */
+function buildMonthlyHeatmap(readBooks) {
+    const counts = {};
     
-    const sorted = booksWithDates.sort((a, b) => a.parsedDate - b.parsedDate);
+    readBooks.forEach(book => {
+        const parsedDate = parseDateSafe(book.dateRead);
+        if (!parsedDate) return;
+        
+        const year = parsedDate.getFullYear();
+        if (!counts[year]) {
+            counts[year] = new Array(12).fill(0);
+        }
+        counts[year][parsedDate.getMonth()]++;
+    });
     
-    const oldest = sorted[0];
+    const rows = Object.keys(counts)
+        .sort((a, b) => b - a)
+        .map(year => ({ year: parseInt(year, 10), months: counts[year] }));
     
     return {
-        title: oldest.title || 'Unknown',
-        author: oldest.author || 'Unknown',
-        dateAdded: oldest.dateAdded
+        rows,
+        max: Math.max(0, ...rows.flatMap(row => row.months))
     };
 }
 
 /**
- * Calculates average age of backlog in years.
- * @param {Array} unreadBooks - Unread books
- * @returns {number|null} Average age or null
+ * Renders the charts panel.
+ * @param {Object} charts - Chart data from buildChartData
+ * @returns {string} HTML string
  */
-function calculateAverageBacklogAge(unreadBooks) {
-    const now = new Date();
-    const validBooks = unreadBooks
-        .map(b => ({ ...b, parsedDate: parseDateSafe(b.dateAdded) }))
-        .filter(b => b.parsedDate !== null);
+function renderChartsPanel(charts) {
+    return `
+        <div class="reading-charts">
+            <h3>Charts</h3>
+            <p class="section-description">Hover for details, click to see the matching books in your library</p>
+            
+            <div class="chart-grid">
+                <div class="metric-card chart-card wide">
+                    <h4>Books Read per Year</h4>
+                    ${renderBarChart(charts.booksPerYear)}
+                </div>
+                
+                <div class="metric-card chart-card">
+                    <h4>Length: Read vs Backlog</h4>
+                    ${renderStackedBars(charts.length)}
+                </div>
+                
+                <div class="metric-card chart-card">
+                    <h4>Era: Read vs Backlog</h4>
+                    ${renderStackedBars(charts.era)}
+                </div>
+                
+                <div class="metric-card chart-card">
+                    <h4>Your Ratings</h4>
+                    ${renderBarChart(charts.ratings)}
+                </div>
+                
+                <div class="metric-card chart-card">
+                    <h4>Monthly Reading</h4>
+                    ${renderHeatmap(charts.heatmap)}
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Renders a vertical bar chart.
+ * @param {Array} series - Points with label, value and filters
+ * @param {string} unit - What the values count, for tooltips (default 'book')
+ * @returns {string} SVG markup
+ */
+function renderBarChart(series, unit = 'book') {
+    if (series.length === 0 || series.every(point => point.value === 0)) {
+        return '<p>No reading data available</p>';
+    }
     
-    if (validBooks.length === 0) return null;
+    const max = Math.max(...series.map(point => point.value));
+    const plotHeight = CHART_HEIGHT - 24;
+    const slot = CHART_WIDTH / series.length;
+    const barWidth = Math.max(2, slot * 0.7);
     
-    const totalYears = validBooks.reduce((sum, book) => {
-        const years = (now - book.parsedDate) / (1000 * 60 * 60 * 24 * 365.25);
-        return sum + years;
-    }, 0);
+    // Keep axis labels readable on long histories
+    const labelEvery = Math.ceil(series.length / 12);
     
-    return (totalYears / validBooks.length).toFixed(1);
+    const bars = series.map((point, i) => {
+        const height = (point.value / max) * (plotHeight - 8);
+        const x = i * slot;
+        
+        return `
+            <g class="chart-item" data-chart-filter="${escapeHtml(JSON.stringify(point.filters))}">
+                <title>${escapeHtml(point.label)}: ${point.value.toLocaleString()} ${unit}${point.value !== 1 ? 's' : ''}</title>
+                <rect class="chart-hit" x="${x.toFixed(1)}" y="0" width="${slot.toFixed(1)}" height="${plotHeight}"></rect>
+                <rect class="chart-bar" x="${(x + (slot - barWidth) / 2).toFixed(1)}" y="${(plotHeight - height).toFixed(1)}" width="${barWidth.toFixed(1)}" height="${height.toFixed(1)}"></rect>
+                ${i % labelEvery === 0 ? `<text class="chart-label" x="${(x + slot / 2).toFixed(1)}" y="${CHART_HEIGHT - 6}" text-anchor="middle">${escapeHtml(point.label)}</text>` : ''}
+            </g>
+        `;
+    }).join('');
+    
+    return `<svg class="chart" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img">${bars}</svg>`;
 }
 
 /**
- * Finds the longest unread book by page count.
- * @param {Array} unreadBooks - Unread books
- * @returns {Object|null} Longest book or null
+ * Renders one 100% stacked horizontal bar per group, with a legend.
+ * @param {Array} groups - Groups from buildDistributionComparison
+ * @returns {string} SVG markup and legend
  */
-function findLongestUnread(unreadBooks) {
-    const booksWithPages = unreadBooks.filter(b => b.pages > 0);
-    if (booksWithPages.length === 0) return null;
+function renderStackedBars(groups) {
+    const labelWidth = 90;
+    const barHeight = 36;
+    const rowHeight = 56;
+    const barWidth = CHART_WIDTH - labelWidth;
+    const height = groups.length * rowHeight;
     
-    const sorted = booksWithPages.sort((a, b) => b.pages - a.pages);
-    const longest = sorted[0];
+    const rows = groups.map((group, row) => {
+        const y = row * rowHeight + 8;
+        const total = group.segments.reduce((sum, segment) => sum + segment.value, 0);
+        let offset = labelWidth;
+        
+        const segments = total === 0 ? `<text class="chart-label" x="${labelWidth}" y="${y + barHeight / 2 + 5}">No books</text>` :
+            group.segments.map((segment, i) => {
+                const width = (segment.value / total) * barWidth;
+                const x = offset;
+                offset += width;
+                if (segment.value === 0) return '';
+                
+                return `
+                    <g class="chart-item" data-chart-filter="${escapeHtml(JSON.stringify(segment.filters))}">
+                        <title>${escapeHtml(group.label)} · ${escapeHtml(segment.label)}: ${segment.value} (${Math.round((segment.value / total) * 100)}%)</title>
+                        <rect class="chart-segment-${i}" x="${x.toFixed(1)}" y="${y}" width="${width.toFixed(1)}" height="${barHeight}"></rect>
+                    </g>
+                `;
+            }).join('');
+        
+        return `
+            <text class="chart-label" x="0" y="${y + barHeight / 2 + 5}">${escapeHtml(group.label)}</text>
+            ${segments}
+        `;
+    }).join('');
     
-    return {
-        title: longest.title || 'Unknown',
-        author: longest.author || 'Unknown',
-        pages: longest.pages
-    };
+    const legend = groups.length === 0 ? '' : groups[0].segments.map((segment, i) =>
+        `<span><i class="chart-swatch-${i}"></i>${escapeHtml(segment.label)}</span>`
+    ).join('');
+    
+    return `
+        <svg class="chart" viewBox="0 0 ${CHART_WIDTH} ${height}" role="img">${rows}</svg>
+        <p class="chart-legend">${legend}</p>
+    `;
 }
 
 /**
- * Finds the shortest unread book by page count.
- * @param {Array} unreadBooks - Unread books
- * @returns {Object|null} Shortest book or null
+ * Renders a year-by-month heatmap of finished books.
+ * @param {Object} heatmap - Data from buildMonthlyHeatmap
+ * @returns {string} SVG markup
  */
-function findShortestUnread(unreadBooks) {
-    const booksWithPages = unreadBooks.filter(b => b.pages > 0);
-    if (booksWithPages.length === 0) return null;
+function renderHeatmap(heatmap) {
+    if (heatmap.rows.length === 0) {
+        return '<p>No reading data available</p>';
+    }
     
-    const sorted = booksWithPages.sort((a, b) => a.pages - b.pages);
-    const shortest = sorted[0];
+    const labelWidth = 48;
+    const headerHeight = 20;
+    const cellWidth = (CHART_WIDTH - labelWidth) / 12;
+    const cellHeight = 24;
+    const height = headerHeight + heatmap.rows.length * cellHeight;
     
-    return {
-        title: shortest.title || 'Unknown',
-        author: shortest.author || 'Unknown',
-        pages: shortest.pages
-    };
+    const header = MONTH_LABELS.map((month, i) =>
+        `<text class="chart-label" x="${(labelWidth + i * cellWidth + cellWidth / 2).toFixed(1)}" y="14" text-anchor="middle">${month}</text>`
+    ).join('');
+    
+    const rows = heatmap.rows.map((row, r) => {
+        const y = headerHeight + r * cellHeight;
+        
+        const cells = row.months.map((count, m) => {
+            const opacity = count === 0 ? 0.06 : 0.25 + 0.75 * (count / heatmap.max);
+            const period = `${row.year}-${String(m + 1).padStart(2, '0')}`;
+            
+            return `
+                <g class="chart-item" data-chart-filter="${escapeHtml(JSON.stringify({ status: 'read', readPeriod: period }))}">
+                    <title>${MONTH_LABELS[m]} ${row.year}: ${count} book${count !== 1 ? 's' : ''}</title>
+                    <rect class="chart-cell" x="${(labelWidth + m * cellWidth + 1).toFixed(1)}" y="${y + 1}" width="${(cellWidth - 2).toFixed(1)}" height="${cellHeight - 2}" fill-opacity="${opacity.toFixed(2)}"></rect>
+                </g>
+            `;
+        }).join('');
+        
+        return `
+            <text class="chart-label" x="0" y="${y + cellHeight / 2 + 5}">${row.year}</text>
+            ${cells}
+        `;
+    }).join('');
+    
+    return `<svg class="chart" viewBox="0 0 ${CHART_WIDTH} ${height}" role="img">${header}${rows}</svg>`;
 }
 
 /**
- * Finds the highest rated unread book.
- * @param {Array} unreadBooks - Unread books
- * @returns {Object|null} Highest rated book or null
+ * Opens the matching books in the library table when a chart element is clicked.
+ * Bound once on the chart containers, which keep their listeners across re-renders.
  */
-function findHighestRatedUnread(unreadBooks) {
-    const booksWithRatings = unreadBooks.filter(b => b.averageRating > 0);
-    if (booksWithRatings.length === 0) return null;
-    
-    const sorted = booksWithRatings.sort((a, b) => b.averageRating - a.averageRating);
-    const highest = sorted[0];
-    
+function initChartClickThrough() {
+    ['analytics-content', 'year-review-content'].forEach(id => {
+        const container = document.getElementById(id);
+        if (!container) return;
+        
+        container.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-chart-filter]');
+            if (!item) return;
+            
+            showLibraryBooks(JSON.parse(item.dataset.chartFilter));
+        });
+    });
+}
+
+// ============================================
+// Phase 2c: Pages & Pace
+// ============================================
+
+// Number of months in the rolling trend window
+const ROLLING_WINDOW_MONTHS = 12;
+
+/**
+ * Calculates pages and pace insights from read books.
+ * @param {Array} readBooks - Books that have been read
+ * @param {Date} now - Reference date for the rolling trend (defaults to today)
+ * @returns {Object} Pages per period, reading speed and rolling trend
+ */
+function calculatePaceInsights(readBooks, now = new Date()) {
     return {
-        title: highest.title || 'Unknown',
-        author: highest.author || 'Unknown',
-        averageRating: highest.averageRating.toFixed(2)
+        pagesPerYear: groupPagesByPeriod(readBooks, 'year'),
+        pagesPerMonth: groupPagesByPeriod(readBooks, 'month'),
+        speed: calculateReadingSpeed(readBooks),
+        rolling: calculateRollingTrend(readBooks, now)
     };
 }
 
 /**
- * Calculates era distribution for unread books.
- * @param {Array} unreadBooks - Unread books
- * @returns {Object} Era distribution counts
+ * Sums pages read per year or per month, keyed by the ISO date prefix.
+ * @param {Array} readBooks - Books that have been read
+ * @param {string} period - 'year' (YYYY) or 'month' (YYYY-MM)
+ * @returns {Object} Map of period -> pages
  */
-function calculateBacklogEraDistribution(unreadBooks) {
-    const buckets = { classic: 0, late20th: 0, modern: 0 };
+function groupPagesByPeriod(readBooks, period = 'month') {
+    const keyLength = period === 'year' ? 4 : 7;
+    const pagesByPeriod = {};
     
-    unreadBooks.forEach(book => {
-        if (!book.publicationYear || book.publicationYear <= 0) return;
-        if (book.publicationYear < 1950) buckets.classic++;
-        else if (book.publicationYear <= 1999) buckets.late20th++;
-        else buckets.modern++;
+    readBooks.forEach(book => {
+        if (!book.dateRead || !(book.pages > 0)) return;
+        
+        const key = book.dateRead.slice(0, keyLength);
+        pagesByPeriod[key] = (pagesByPeriod[key] || 0) + book.pages;
     });
     
-    return buckets;
+    return pagesByPeriod;
 }
 
 /**
- * Calculates length distribution for unread books.
- * @param {Array} unreadBooks - Unread books
- * @returns {Object} Length distribution counts
+ * Measures each read book from Date Added to Date Read.
+ * Exports have no start date, so the span is an upper bound on reading time.
+ * @param {Array} readBooks - Books that have been read
+ * @returns {Array} { book, days, pages, pagesPerDay } for books with both dates
  */
-function calculateBacklogLengthDistribution(unreadBooks) {
-    const buckets = { short: 0, medium: 0, long: 0, epic: 0 };
-    
-    unreadBooks.forEach(book => {
-        if (book.pages <= 0) return;
-        if (book.pages < 300) buckets.short++;
-        else if (book.pages <= 500) buckets.medium++;
-        else if (book.pages <= 800) buckets.long++;
-        else buckets.epic++;
-    });
-    
-    return buckets;
+function getReadingSpans(readBooks) {
+    return readBooks
+        .map(book => {
+            const added = parseDateSafe(book.dateAdded);
+            const read = parseDateSafe(book.dateRead);
+            if (!added || !read || read < added) return null;
+            
+            const days = Math.max(1, daysBetween(added, read));
+            return {
+                book,
+                days,
+                pages: book.pages,
+                pagesPerDay: book.pages > 0 ? book.pages / days : null
+            };
+        })
+        .filter(span => span !== null);
 }
 
-// ============================================
-
-// ============================================
-// Phase 5: Behavioural Decision Funnel
-// ============================================
-
-// Global state for decision flow
-let decisionState = {
-    currentStep: 1,
-    selections: {
-        timeInvestment: '',
-        behaviourPreference: '',
-        backlogPreference: '',
-        riskPreference: ''
-    },
-    candidates: [],
-    allBooks: [],
-    behaviourProfile: null
-};
-
 /**
- * Initialises the behavioural decision funnel.
- * @param {Array} wantToReadBooks - Books marked as "want to read"
+ * Estimates reading speed and finds the longest and fastest reads.
+ * @param {Array} readBooks - Books that have been read
+ * @returns {Object} Median and average pages per day, longest and fastest reads (null when unknown)
  */
-function initDecisionEngine(wantToReadBooks) {
-    const decisionSection = document.getElementById('decision-engine-section');
+function calculateReadingSpeed(readBooks) {
+    const spans = getReadingSpans(readBooks);
+    const paced = spans.filter(span => span.pagesPerDay !== null);
     
-    // Show the decision engine section
-    decisionSection.classList.remove('hidden');
+    if (paced.length === 0) {
+        return { medianPagesPerDay: null, averagePagesPerDay: null, longestRead: null, fastestRead: null, measuredBooks: 0 };
+    }
     
-    // Store books and derive behaviour profile
-    decisionState.allBooks = wantToReadBooks;
-    decisionState.candidates = [...wantToReadBooks];
-    decisionState.behaviourProfile = deriveBehaviourProfile();
+    const longestRead = spans.reduce((longest, span) => span.days > longest.days ? span : longest);
+    const fastestRead = paced.reduce((fastest, span) => span.pagesPerDay > fastest.pagesPerDay ? span : fastest);
     
-    // Reset state
-    decisionState.currentStep = 1;
-    decisionState.selections = {
-        timeInvestment: '',
-        behaviourPreference: '',
-        backlogPreference: '',
-        riskPreference: ''
+    return {
+        medianPagesPerDay: median(paced.map(span => span.pagesPerDay)),
+        averagePagesPerDay: average(paced.map(span => span.pagesPerDay)),
+        longestRead,
+        fastestRead,
+        measuredBooks: paced.length
     };
+}
+
+/**
+ * Builds books and pages for each of the last twelve months, and compares
+ * the last twelve months with the twelve before.
+ * @param {Array} readBooks - Books that have been read
+ * @param {Date} now - Reference date (defaults to today)
+ * @returns {Object} { months: [{ month, books, pages }], current, previous, bookChange, pageChange }
+ */
+function calculateRollingTrend(readBooks, now = new Date()) {
+    const monthKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
     
-    // Setup step buttons
-    setupStepButtons();
+    // Oldest first, ending with the current month
+    const windowMonths = [];
+    for (let offset = ROLLING_WINDOW_MONTHS * 2 - 1; offset >= 0; offset--) {
+        windowMonths.push(monthKey(new Date(now.getFullYear(), now.getMonth() - offset, 1)));
+    }
     
-    // Setup back buttons
-    setupBackButtons();
+    const totals = {};
+    windowMonths.forEach(month => {
+        totals[month] = { month, books: 0, pages: 0 };
+    });
     
-    // Setup start over button
-    const startOverBtn = document.getElementById('start-over-btn');
-    if (startOverBtn) {
-        startOverBtn.addEventListener('click', () => {
-            resetDecisionFlow();
-        });
-    }
+    readBooks.forEach(book => {
+        if (!book.dateRead) return;
+        
+        const entry = totals[book.dateRead.slice(0, 7)];
+        if (!entry) return;
+        
+        entry.books++;
+        entry.pages += book.pages > 0 ? book.pages : 0;
+    });
     
-    // Show step 1
-    showStep(1);
-    updateCandidateCount();
+    const sum = (entries, field) => entries.reduce((total, entry) => total + entry[field], 0);
+    const previousMonths = windowMonths.slice(0, ROLLING_WINDOW_MONTHS).map(month => totals[month]);
+    const currentMonths = windowMonths.slice(ROLLING_WINDOW_MONTHS).map(month => totals[month]);
+    
+    const current = { books: sum(currentMonths, 'books'), pages: sum(currentMonths, 'pages') };
+    const previous = { books: sum(previousMonths, 'books'), pages: sum(previousMonths, 'pages') };
+    
+    return {
+        months: currentMonths,
+        current,
+        previous,
+        bookChange: calculatePercentChange(previous.books, current.books),
+        pageChange: calculatePercentChange(previous.pages, current.pages)
+    };
 }
 
 /**
- * Sets up step button event listeners.
+ * Calculates the percentage change between two totals.
+ * @param {number} before - Earlier total
+ * @param {number} after - Later total
+ * @returns {number|null} Rounded percentage change, or null when there is no earlier total
  */
-function setupStepButtons() {
-    document.querySelectorAll('.step-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            const step = e.target.dataset.step;
-            const value = e.target.dataset.value;
-            
-            // Store selection
-            decisionState.selections[step] = value;
-            
-            // Handle based on current step
-            if (decisionState.currentStep === 1) {
-                // Apply time filter
-                const filtered = applyTimeFilter(decisionState.candidates, value);
-                if (filtered.length === 0) {
-                    showNoCandidatesMessage();
-                    return;
-                }
-                decisionState.candidates = filtered;
-                advanceStep(2);
-            } else if (decisionState.currentStep === 2) {
-                advanceStep(3);
-            } else if (decisionState.currentStep === 3) {
-                advanceStep(4);
-            } else if (decisionState.currentStep === 4) {
-                // Final step - run recommendation
-                runRecommendation();
-            }
-        });
-    });
+function calculatePercentChange(before, after) {
+    if (!before) return null;
+    return Math.round(((after - before) / before) * 100);
 }
 
 /**
- * Sets up back button event listeners.
+ * Describes a percentage change for display.
+ * @param {number|null} change - Percentage change
+ * @returns {string} e.g. "+12%", "-5%" or "no earlier data"
  */
-function setupBackButtons() {
-    document.querySelectorAll('.back-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            const targetStep = parseInt(e.target.dataset.step);
-            
-            // Clear filters from steps we're going back past
-            if (targetStep < decisionState.currentStep) {
-                if (decisionState.currentStep > 3) {
-                    decisionState.selections.riskPreference = '';
-                }
-                if (decisionState.currentStep > 2) {
-                    decisionState.selections.backlogPreference = '';
-                }
-                if (decisionState.currentStep > 1) {
-                    decisionState.selections.behaviourPreference = '';
-                }
-            }
-            
-            // If going back to step 1, reset candidates
-            if (targetStep === 1) {
-                decisionState.candidates = [...decisionState.allBooks];
-                decisionState.selections.timeInvestment = '';
-            }
-            
-            // Remove summary displays
-            document.querySelectorAll('.selections-summary').forEach(el => el.remove());
-            
-            advanceStep(targetStep);
-        });
-    });
+function formatChange(change) {
+    if (change === null) return 'no earlier data';
+    return `${change > 0 ? '+' : ''}${change}%`;
 }
 
 /**
- * Applies time investment filter.
- * @param {Array} books - Books to filter
- * @param {string} selection - User selection
- * @returns {Array} Filtered books
+ * Renders the pages and pace panel.
+ * @param {Object} pace - Result of calculatePaceInsights
+ * @returns {string} Panel HTML
  */
-function applyTimeFilter(books, selection) {
-    if (!selection || selection === 'any') {
-        return books;
-    }
+function renderPacePanel(pace) {
+    const yearSeries = Object.keys(pace.pagesPerYear).sort().map(year => ({
+        label: year,
+        value: pace.pagesPerYear[year],
+        filters: { status: 'read', readPeriod: year }
+    }));
     
-    return books.filter(book => {
-        if (book.pages <= 0) return selection === 'any';
-        
-        if (selection === 'quick') return book.pages < 300;
-        if (selection === 'moderate') return book.pages >= 300 && book.pages <= 500;
-        if (selection === 'long') return book.pages > 500;
-        return true;
-    });
+    const monthSeries = pace.rolling.months.map(entry => ({
+        label: MONTH_LABELS[parseInt(entry.month.slice(5), 10) - 1],
+        value: entry.pages,
+        filters: { status: 'read', readPeriod: entry.month }
+    }));
+    
+    const { speed, rolling } = pace;
+    
+    return `
+        <div class="reading-pace">
+            <h3>Pages & Pace</h3>
+            <p class="section-description">Pace is estimated from Date Added to Date Read, so it is slower than your true reading speed</p>
+            
+            <div class="chart-grid">
+                <div class="metric-card chart-card">
+                    <h4>Pages Read per Year</h4>
+                    ${renderBarChart(yearSeries, 'page')}
+                </div>
+                
+                <div class="metric-card chart-card">
+                    <h4>Pages Read, Last 12 Months</h4>
+                    ${renderBarChart(monthSeries, 'page')}
+                </div>
+            </div>
+            
+            <div class="metrics-grid">
+                <div class="metric-card">
+                    <h4>Reading Speed</h4>
+                    ${speed.medianPagesPerDay === null ? '<p>Not enough dated books</p>' : `
+                        <p><strong>Typical:</strong> ${formatNumber(speed.medianPagesPerDay)} pages/day</p>
+                        <p><strong>Average:</strong> ${formatNumber(speed.averagePagesPerDay)} pages/day</p>
+                        <p>From ${speed.measuredBooks} book${speed.measuredBooks !== 1 ? 's' : ''}</p>
+                    `}
+                </div>
+                
+                <div class="metric-card">
+                    <h4>Longest Read</h4>
+                    ${!speed.longestRead ? '<p>N/A</p>' : `
+                        <p><strong>${escapeHtml(speed.longestRead.book.title)}</strong></p>
+                        <p>${speed.longestRead.days} days</p>
+                    `}
+                </div>
+                
+                <div class="metric-card">
+                    <h4>Fastest Read</h4>
+                    ${!speed.fastestRead ? '<p>N/A</p>' : `
+                        <p><strong>${escapeHtml(speed.fastestRead.book.title)}</strong></p>
+                        <p>${formatNumber(speed.fastestRead.pagesPerDay)} pages/day over ${speed.fastestRead.days} day${speed.fastestRead.days !== 1 ? 's' : ''}</p>
+                    `}
+                </div>
+                
+                <div class="metric-card">
+                    <h4>Rolling 12 Months</h4>
+                    <p><strong>Books:</strong> ${rolling.current.books} (${formatChange(rolling.bookChange)})</p>
+                    <p><strong>Pages:</strong> ${rolling.current.pages.toLocaleString()} (${formatChange(rolling.pageChange)})</p>
+                    <p>Compared with the 12 months before</p>
+                </div>
+            </div>
+        </div>
+    `;
 }
 
+// ============================================
+// Phase 2d: Reading Goal
+// ============================================
+
+// Most backlog books suggested for reaching a goal
+const GOAL_SUGGESTION_LIMIT = 10;
+
 /**
- * Derives user's reading behaviour profile from read books.
- * @returns {Object} Behaviour profile
+ * Calculates progress towards this year's reading goal.
+ * @param {Object} goal - { books, pages } targets (null when not set)
+ * @param {Object} booksPerYear - Map of year -> books read, from groupByYear
+ * @param {Object} pagesPerYear - Map of year -> pages read, from groupPagesByPeriod
+ * @param {Array} backlogBooks - Books on the want-to-read shelf
+ * @param {Date} now - Reference date (defaults to today)
+ * @returns {Object} Progress, projections and suggested short backlog books
  */
-function deriveBehaviourProfile() {
-    const readBooks = books.filter(b => b.dateRead !== null);
+function calculateGoalProgress(goal, booksPerYear, pagesPerYear, backlogBooks, now = new Date()) {
+    const year = now.getFullYear();
+    const startOfYear = new Date(year, 0, 1);
+    const daysInYear = daysBetween(startOfYear, new Date(year + 1, 0, 1));
+    const dayOfYear = Math.min(daysInYear, daysBetween(startOfYear, now) + 1);
+    const daysLeft = daysInYear - dayOfYear;
     
-    if (readBooks.length === 0) {
-        return { dominantLength: null, dominantEra: null, topAuthors: [] };
-    }
+    const booksRead = booksPerYear[year] || 0;
+    const pagesRead = pagesPerYear[year] || 0;
     
-    // Find dominant length bucket
-    const lengthCounts = { quick: 0, moderate: 0, long: 0 };
-    readBooks.forEach(book => {
-        if (book.pages > 0) {
-            if (book.pages < 300) lengthCounts.quick++;
-            else if (book.pages <= 500) lengthCounts.moderate++;
-            else lengthCounts.long++;
-        }
-    });
-    const dominantLength = Object.entries(lengthCounts)
-        .sort((a, b) => b[1] - a[1])[0][0];
+    const buildTarget = (target, done) => {
+        if (!target) return null;
+        
+        const projected = Math.round((done / dayOfYear) * daysInYear);
+        return {
+            target,
+            done,
+            remaining: Math.max(0, target - done),
+            percentage: Math.min(100, Math.round((done / target) * 100)),
+            projected,
+            onTrack: projected >= target
+        };
+    };
     
-    // Find dominant era bucket
-    const eraCounts = { classic: 0, late20th: 0, modern: 0 };
-    readBooks.forEach(book => {
-        if (book.publicationYear > 0) {
-            if (book.publicationYear < 1950) eraCounts.classic++;
-            else if (book.publicationYear <= 1999) eraCounts.late20th++;
-            else eraCounts.modern++;
-        }
-    });
-    const dominantEra = Object.entries(eraCounts)
-        .sort((a, b) => b[1] - a[1])[0][0];
+    const bookTarget = buildTarget(goal.books, booksRead);
     
-    // Find top authors
-    const authorCounts = {};
-    readBooks.forEach(book => {
-        if (book.author) {
-            authorCounts[book.author] = (authorCounts[book.author] || 0) + 1;
-        }
-    });
-    const topAuthors = Object.entries(authorCounts)
-        .sort((a, b) => b[1] - a[1])
-        .slice(0, 5)
-        .map(([author]) => author);
+    // Shortest backlog books first - the quickest route to the book count
+    const suggestions = !bookTarget || bookTarget.remaining === 0 ? [] : backlogBooks
+        .filter(book => book.pages > 0)
+        .sort((a, b) => a.pages - b.pages)
+        .slice(0, Math.min(bookTarget.remaining, GOAL_SUGGESTION_LIMIT));
     
-    return { dominantLength, dominantEra, topAuthors, avgRating: average(readBooks.map(b => b.averageRating).filter(r => r > 0)) };
+    const suggestedPages = suggestions.reduce((sum, book) => sum + book.pages, 0);
+    
+    return {
+        year,
+        daysLeft,
+        booksRead,
+        pagesRead,
+        books: bookTarget,
+        pages: buildTarget(goal.pages, pagesRead),
+        suggestions,
+        suggestedPages,
+        pagesPerDayNeeded: suggestions.length > 0 && daysLeft > 0 ? suggestedPages / daysLeft : null
+    };
 }
 
 /**
- * Advances to specified step.
- * @param {number} stepNumber - Step to show
+ * Parses a goal input value.
+ * @param {string} value - Raw input value
+ * @returns {number|null} Positive whole number, or null when cleared
  */
-function advanceStep(stepNumber) {
-    // Hide current step
-    const currentStepEl = document.getElementById(`step-${decisionState.currentStep}`);
-    if (currentStepEl) {
-        currentStepEl.classList.add('hidden');
-    }
-    
-    // Show new step
-    decisionState.currentStep = stepNumber;
-    showStep(stepNumber);
-    updateCandidateCount();
+function parseGoalValue(value) {
+    const parsed = parseInt(value, 10);
+    return parsed > 0 ? parsed : null;
 }
 
 /**
- * Shows specified step.
- * @param {number} stepNumber - Step to show
+ * Renders the reading goal panel.
+ * @param {Object} progress - Result of calculateGoalProgress
+ * @returns {string} Panel HTML
  */
-function showStep(stepNumber) {
-    // Hide all steps
-    document.querySelectorAll('.decision-step').forEach(el => {
-        el.classList.add('hidden');
-    });
-    
-    // Show target step
-    const stepEl = document.getElementById(`step-${stepNumber}`);
-    if (stepEl) {
-        stepEl.classList.remove('hidden');
+function renderGoalPanel(progress) {
+    const renderTarget = (label, unit, target) => {
+        if (!target) return '';
         
-        // Add selected preferences summary for steps 2-4, placed after options
-        if (stepNumber >= 2 && stepNumber <= 4) {
-            const existingSummary = stepEl.querySelector('.selections-summary');
-            if (existingSummary) {
-                existingSummary.remove();
-            }
-            
-            const summary = document.createElement('div');
-            summary.className = 'selections-summary';
-            summary.style.cssText = 'background: rgba(16, 185, 129, 0.15); border: 1px solid rgba(16, 185, 129, 0.3); padding: 0.75rem; border-radius: 4px; margin-top: 1rem; font-size: 0.9rem;';
-            
-            let summaryText = '<strong>Your preferences so far:</strong><br>';
-            if (decisionState.selections.timeInvestment) {
-                const timeLabels = { quick: 'Quick read', moderate: 'Moderate', long: 'Long immersion', any: 'Any length' };
-                summaryText += `• Time: ${timeLabels[decisionState.selections.timeInvestment] || decisionState.selections.timeInvestment}<br>`;
-            }
-            if (decisionState.selections.behaviourPreference && stepNumber > 2) {
-                const behLabels = { familiar: 'Stick to what I love', different: 'Try something different', any: 'No preference' };
-                summaryText += `• Style: ${behLabels[decisionState.selections.behaviourPreference] || decisionState.selections.behaviourPreference}<br>`;
-            }
-            if (decisionState.selections.backlogPreference && stepNumber > 3) {
-                const backLabels = { old: 'Clear something old', new: 'Read something new', any: 'No preference' };
-                summaryText += `• Backlog: ${backLabels[decisionState.selections.backlogPreference] || decisionState.selections.backlogPreference}<br>`;
-            }
+        return `
+            <div class="metric-card${target.onTrack ? '' : ' behind-goal'}">
+                <h4>${label}</h4>
+                <p><strong>${target.done.toLocaleString()}</strong> of ${target.target.toLocaleString()} ${unit} (${target.percentage}%)</p>
+                <div class="goal-progress"><span style="width: ${target.percentage}%"></span></div>
+                <p>Projected by year end: ${target.projected.toLocaleString()} ${unit}</p>
+                <p>${target.remaining === 0 ? 'Goal reached 🎉' : target.onTrack ? 'On track' : `Behind pace - ${target.remaining.toLocaleString()} ${unit} to go`}</p>
+            </div>
+        `;
+    };
+    
+    const hasGoal = progress.books || progress.pages;
+    
+    return `
+        <div class="reading-goal">
+            <h3>${progress.year} Reading Goal</h3>
+            <p class="section-description">Set a book and/or page target for the year</p>
             
-            summary.innerHTML = summaryText;
+            <div class="goal-inputs">
+                <label>Books <input type="number" id="goal-books-input" min="0" value="${progress.books ? progress.books.target : ''}" /></label>
+                <label>Pages <input type="number" id="goal-pages-input" min="0" value="${progress.pages ? progress.pages.target : ''}" /></label>
+            </div>
             
-            // Insert after the options div
-            const optionsDiv = stepEl.querySelector('.step-options');
-            if (optionsDiv) {
-                optionsDiv.after(summary);
-            }
-        }
-    }
+            ${!hasGoal ? `<p>So far this year: ${progress.booksRead} books, ${progress.pagesRead.toLocaleString()} pages</p>` : `
+                <div class="metrics-grid">
+                    ${renderTarget('Books', 'books', progress.books)}
+                    ${renderTarget('Pages', 'pages', progress.pages)}
+                    
+                    ${progress.suggestions.length === 0 ? '' : `
+                        <div class="metric-card">
+                            <h4>Books You Could Finish</h4>
+                            <p class="metric-description">The shortest books on your list</p>
+                            <ul>
+                                ${progress.suggestions.map(book => `<li>${escapeHtml(book.title)} (${book.pages}p)</li>`).join('')}
+                            </ul>
+                            ${progress.pagesPerDayNeeded === null ? '' : `<p>About ${formatNumber(progress.pagesPerDayNeeded)} pages a day for the ${progress.daysLeft} days left</p>`}
+                        </div>
+                    `}
+                </div>
+            `}
+        </div>
+    `;
 }
 
 /**
- * Updates candidate count display.
+ * Wires the goal inputs. Called after every analytics render.
  */
-function updateCandidateCount() {
-    // Only show count for step 1 (actual filtering)
-    if (decisionState.currentStep !== 1) {
-        return;
-    }
-    
-    const count = decisionState.candidates.length;
-    const stepEl = document.getElementById(`step-${decisionState.currentStep}`);
-    if (stepEl) {
-        const countEl = stepEl.querySelector('.candidate-count');
-        if (countEl) {
-            countEl.textContent = `${count} book${count !== 1 ? 's' : ''} available`;
-        }
-    }
+function initGoalControls() {
+    [['books', 'goal-books-input'], ['pages', 'goal-pages-input']].forEach(([field, id]) => {
+        const input = document.getElementById(id);
+        if (!input) return;
+        
+        input.addEventListener('change', () => {
+            readingGoal[field] = parseGoalValue(input.value);
+            persistLibrary();
+            refreshAnalytics();
+        });
+    });
 }
 
-/**
- * Shows message when no candidates remain.
- */
-function showNoCandidatesMessage() {
-    const stepEl = document.getElementById(`step-${decisionState.currentStep}`);
-    const countEl = stepEl.querySelector('.candidate-count');
-    if (countEl) {
-        countEl.innerHTML = `No books match. <button onclick="relaxConstraint()" class="step-btn" style="margin-top: 0.5rem;">Relax Previous Choice</button>`;
-    }
-}
+// ============================================
+// Phase 2e: Year in Review
+// ============================================
+
+// Whether the year selector listener has been bound
+let yearReviewListenerBound = false;
 
 /**
- * Relaxes the previous constraint.
+ * Lists every year that appears in a Date Read value.
+ * @param {Array} libraryBooks - Books to scan
+ * @returns {Array<number>} Years, newest first
  */
-function relaxConstraint() {
-    // Reset candidates to all books
-    decisionState.candidates = [...decisionState.allBooks];
+function getReadYears(libraryBooks) {
+    const years = new Set();
     
-    // Clear previous selection
-    if (decisionState.currentStep === 2) {
-        decisionState.selections.timeInvestment = '';
-    }
+    libraryBooks.forEach(book => {
+        if (!isReadBook(book)) return;
+        
+        const year = extractYear(book.dateRead);
+        if (year) years.add(year);
+    });
     
-    updateCandidateCount();
+    return Array.from(years).sort((a, b) => b - a);
 }
 
 /**
- * Runs final recommendation scoring.
+ * Builds the year-in-review summary for one year.
+ * @param {Array} libraryBooks - Every book in the library
+ * @param {number} year - Year to summarise
+ * @returns {Object} Totals, highlights, breakdowns and backlog change for the year
  */
-function runRecommendation() {
-    const resultDiv = document.getElementById('recommendation-result');
-    
-    // Hide step 4, show result
-    document.getElementById('step-4').classList.add('hidden');
-    document.getElementById('step-result').classList.remove('hidden');
-    
-    // Check candidates
-    if (decisionState.candidates.length === 0) {
-        resultDiv.innerHTML = '<p class="no-match">No books match your criteria.</p>';
-        return;
-    }
+function calculateYearInReview(libraryBooks, year) {
+    const prefix = String(year);
+    const yearBooks = libraryBooks.filter(book => isReadBook(book) && (book.dateRead || '').startsWith(prefix));
+    const ratedBooks = yearBooks.filter(book => book.userRating > 0);
+    const pagedBooks = yearBooks.filter(book => book.pages > 0);
     
-    // Score all candidates
-    const scored = decisionState.candidates.map(book => ({
-        book: book,
-        score: calculateFinalScore(book)
-    }));
-    
-    // Sort and select winner
-    scored.sort((a, b) => b.score - a.score);
-    
-    // Mild randomness for tie-breaking (if within 0.5 points)
-    let winner = scored[0];
-    if (scored.length > 1 && scored[1].score >= winner.score - 0.5) {
-        const candidates = scored.filter(s => s.score >= winner.score - 0.5);
-        winner = candidates[Math.floor(Math.random() * candidates.length)];
-    }
+    // Everything shelved during the year grows the list; every finish shrinks it
+    const booksAdded = libraryBooks.filter(book => (book.dateAdded || '').startsWith(prefix)).length;
     
-    renderRecommendation({
-        book: winner.book,
-        score: winner.score,
-        totalCandidates: scored.length
+    const months = new Array(12).fill(0);
+    yearBooks.forEach(book => {
+        months[parseInt(book.dateRead.slice(5, 7), 10) - 1]++;
     });
+    
+    return {
+        year,
+        booksRead: yearBooks.length,
+        pagesRead: pagedBooks.reduce((sum, book) => sum + book.pages, 0),
+        averageRating: average(ratedBooks.map(book => book.userRating)),
+        topAuthors: getTopAuthors(yearBooks.flatMap(book => getBookContributors(book, CONTRIBUTOR_SCOPES.topAuthors)), 3),
+        highestRated: ratedBooks.length === 0 ? null : ratedBooks.reduce((best, book) => book.userRating > best.userRating ? book : best),
+        lowestRated: ratedBooks.length === 0 ? null : ratedBooks.reduce((worst, book) => book.userRating < worst.userRating ? book : worst),
+        longestBook: pagedBooks.length === 0 ? null : pagedBooks.reduce((longest, book) => book.pages > longest.pages ? book : longest),
+        lengthDistribution: calculateLengthDistribution(yearBooks),
+        eraDistribution: calculateEraDistribution(yearBooks),
+        months,
+        backlog: {
+            added: booksAdded,
+            finished: yearBooks.length,
+            netChange: booksAdded - yearBooks.length
+        }
+    };
 }
 
 /**
- * Calculates final score for a book.
- * @param {Object} book - Book to score
- * @returns {number} Score
+ * Fills the year selector and shows the most recent year.
  */
-function calculateFinalScore(book) {
-    let score = book.averageRating || 0;
-    const profile = decisionState.behaviourProfile;
+function initYearInReview() {
+    const section = document.getElementById('year-review-section');
+    const select = document.getElementById('year-review-select');
+    if (!section || !select) return;
     
-    // Step 2: Behaviour alignment
-    if (profile && decisionState.selections.behaviourPreference) {
-        score += applyBehaviourScoring(book, profile, decisionState.selections.behaviourPreference);
+    const years = getReadYears(books);
+    if (years.length === 0) {
+        section.classList.add('hidden');
+        return;
     }
     
-    // Step 3: Backlog age
-    if (decisionState.selections.backlogPreference) {
-        score += applyBacklogScoring(book, decisionState.selections.backlogPreference);
-    }
+    const selectedYear = years.includes(parseInt(select.value, 10)) ? parseInt(select.value, 10) : years[0];
+    select.innerHTML = years.map(year => `<option value="${year}">${year}</option>`).join('');
+    select.value = String(selectedYear);
     
-    // Step 4: Risk preference
-    if (decisionState.selections.riskPreference) {
-        score += applyRiskScoring(book, decisionState.selections.riskPreference, profile);
+    if (!yearReviewListenerBound) {
+        select.addEventListener('change', () => {
+            renderYearInReview(calculateYearInReview(books, parseInt(select.value, 10)));
+        });
+        yearReviewListenerBound = true;
     }
     
-    return score;
+    section.classList.remove('hidden');
+    renderYearInReview(calculateYearInReview(books, selectedYear));
 }
 
 /**
- * Applies behaviour alignment scoring.
- * @param {Object} book - Book to score
- * @param {Object} profile - User behaviour profile
- * @param {string} preference - User preference
- * @returns {number} Bonus score
+ * Renders the year-in-review report.
+ * @param {Object} review - Result of calculateYearInReview
  */
-function applyBehaviourScoring(book, profile, preference) {
-    if (!profile.dominantLength && !profile.dominantEra) return 0;
+function renderYearInReview(review) {
+    const content = document.getElementById('year-review-content');
+    if (!content) return;
     
-    let bonus = 0;
+    const monthSeries = review.months.map((count, i) => ({
+        label: MONTH_LABELS[i],
+        value: count,
+        filters: { status: 'read', readPeriod: `${review.year}-${String(i + 1).padStart(2, '0')}` }
+    }));
     
-    if (preference === 'familiar') {
-        // Bonus for matching dominant patterns
-        if (profile.dominantLength && book.pages > 0) {
-            const bookLength = book.pages < 300 ? 'quick' : book.pages <= 500 ? 'moderate' : 'long';
-            if (bookLength === profile.dominantLength) bonus += 1.5;
-        }
-        if (profile.dominantEra && book.publicationYear > 0) {
-            const bookEra = book.publicationYear < 1950 ? 'classic' : book.publicationYear <= 1999 ? 'late20th' : 'modern';
-            if (bookEra === profile.dominantEra) bonus += 1.5;
-        }
-        if (profile.topAuthors.includes(book.author)) {
-            bonus += 0.5;
-        }
-    } else if (preference === 'different') {
-        // Bonus for NOT matching dominant patterns
-        if (profile.dominantLength && book.pages > 0) {
-            const bookLength = book.pages < 300 ? 'quick' : book.pages <= 500 ? 'moderate' : 'long';
-            if (bookLength !== profile.dominantLength) bonus += 1;
-        }
-        if (profile.dominantEra && book.publicationYear > 0) {
-            const bookEra = book.publicationYear < 1950 ? 'classic' : book.publicationYear <= 1999 ? 'late20th' : 'modern';
-            if (bookEra !== profile.dominantEra) bonus += 1;
-        }
-        if (!profile.topAuthors.includes(book.author)) {
-            bonus += 0.5;
-        }
+    const { backlog } = review;
+    const backlogVerdict = backlog.netChange > 0
+        ? `Your list grew by ${backlog.netChange}`
+        : backlog.netChange < 0 ? `Your list shrank by ${-backlog.netChange}` : 'Your list held steady';
+    
+    const renderBook = (book, detail) => !book ? '<p>N/A</p>' : `
+        <p><strong>${escapeHtml(book.title)}</strong></p>
+        <p>by ${escapeHtml(book.author || 'Unknown')}</p>
+        <p>${detail}</p>
+    `;
+    
+    content.innerHTML = `
+        <div class="wrapped-stats">
+            <div class="wrapped-stat">
+                <span class="wrapped-number">${review.booksRead}</span>
+                <span class="wrapped-label">books read</span>
+            </div>
+            <div class="wrapped-stat">
+                <span class="wrapped-number">${review.pagesRead.toLocaleString()}</span>
+                <span class="wrapped-label">pages turned</span>
+            </div>
+            <div class="wrapped-stat">
+                <span class="wrapped-number">${formatNumber(review.averageRating, 2)}</span>
+                <span class="wrapped-label">average rating</span>
+            </div>
+        </div>
+        
+        <div class="metrics-grid">
+            <div class="metric-card">
+                <h4>Top Authors</h4>
+                ${review.topAuthors.length === 0 ? '<p>N/A</p>' :
+                  '<ul>' + review.topAuthors.map(a => `<li>${escapeHtml(a.author)}: ${a.count} book${a.count !== 1 ? 's' : ''}</li>`).join('') + '</ul>'}
+            </div>
+            
+            <div class="metric-card">
+                <h4>Highest Rated</h4>
+                ${renderBook(review.highestRated, review.highestRated ? `${review.highestRated.userRating}★` : '')}
+            </div>
+            
+            <div class="metric-card">
+                <h4>Lowest Rated</h4>
+                ${renderBook(review.lowestRated, review.lowestRated ? `${review.lowestRated.userRating}★` : '')}
+            </div>
+            
+            <div class="metric-card">
+                <h4>Longest Book</h4>
+                ${renderBook(review.longestBook, review.longestBook ? `${review.longestBook.pages} pages` : '')}
+            </div>
+            
+            <div class="metric-card">
+                <h4>Length</h4>
+                <ul>
+                    ${LENGTH_CATEGORIES.map(c => `<li>${escapeHtml(c.label)}: ${review.lengthDistribution[c.key].count}</li>`).join('')}
+                </ul>
+            </div>
+            
+            <div class="metric-card">
+                <h4>Era</h4>
+                <ul>
+                    ${ERA_CATEGORIES.map(c => `<li>${escapeHtml(c.label)}: ${review.eraDistribution[c.key].count}</li>`).join('')}
+                </ul>
+            </div>
+            
+            <div class="metric-card">
+                <h4>Backlog</h4>
+                <p><strong>Added:</strong> ${backlog.added}</p>
+                <p><strong>Finished:</strong> ${backlog.finished}</p>
+                <p>${backlogVerdict}</p>
+            </div>
+        </div>
+        
+        <div class="metric-card chart-card">
+            <h4>Month by Month</h4>
+            ${renderBarChart(monthSeries)}
+        </div>
+    `;
+}
+
+// ============================================
+// Phase 2f: Rating Calibration
+// ============================================
+
+// Average deviations smaller than this count as rating in line with the crowd
+const CALIBRATION_THRESHOLD = 0.25;
+
+// Fewest rated books an author needs before their own bias is trusted
+const CALIBRATION_MIN_BOOKS = 2;
+
+// Number of disagreements listed in each direction
+const CALIBRATION_DISAGREEMENT_COUNT = 3;
+
+// Number of backlog books listed with a predicted rating
+const CALIBRATION_PREDICTION_COUNT = 10;
+
+/**
+ * Compares your ratings with the Goodreads average.
+ * @param {Array} readBooks - Books that have been read
+ * @param {Array} backlogBooks - Books on the want-to-read shelf (for predictions)
+ * @returns {Object} Overall bias, biggest disagreements, bias by group and top backlog predictions
+ */
+function calculateRatingCalibration(readBooks, backlogBooks) {
+    const rated = readBooks
+        .filter(book => book.userRating > 0 && book.averageRating > 0)
+        .map(book => ({ book, deviation: book.userRating - book.averageRating }));
+    
+    if (rated.length === 0) {
+        return { ratedBooks: 0, meanDeviation: null, label: null, aboveCrowd: [], belowCrowd: [], byEra: {}, byLength: {}, byAuthor: {}, predictions: [] };
     }
     
-    return bonus;
+    const meanDeviation = average(rated.map(entry => entry.deviation));
+    const byDeviation = [...rated].sort((a, b) => b.deviation - a.deviation);
+    
+    const byEra = groupDeviations(rated, book => book.publicationYear > 0 ? getEraCategory(book.publicationYear) : null);
+    const byLength = groupDeviations(rated, book => book.pages > 0 ? getLengthCategory(book.pages) : null);
+    const byAuthor = groupDeviations(rated, book => getBookContributors(book, CONTRIBUTOR_SCOPES.ratingCalibration)[0], CALIBRATION_MIN_BOOKS);
+    
+    const calibration = {
+        ratedBooks: rated.length,
+        meanDeviation,
+        label: getCalibrationLabel(meanDeviation),
+        aboveCrowd: byDeviation.filter(entry => entry.deviation > 0).slice(0, CALIBRATION_DISAGREEMENT_COUNT),
+        belowCrowd: byDeviation.filter(entry => entry.deviation < 0).reverse().slice(0, CALIBRATION_DISAGREEMENT_COUNT),
+        byEra,
+        byLength,
+        byAuthor
+    };
+    
+    calibration.predictions = backlogBooks
+        .filter(book => book.averageRating > 0)
+        .map(book => ({ book, predictedRating: predictUserRating(book, calibration) }))
+        .sort((a, b) => b.predictedRating - a.predictedRating)
+        .slice(0, CALIBRATION_PREDICTION_COUNT);
+    
+    return calibration;
 }
 
 /**
- * Applies backlog age scoring.
- * @param {Object} book - Book to score
- * @param {string} preference - User preference
- * @returns {number} Bonus score
+ * Averages rating deviations per group.
+ * @param {Array} rated - { book, deviation } entries
+ * @param {Function} groupOf - Returns a book's group key, or null to skip it
+ * @param {number} minBooks - Fewest books a group needs to be included (default 1)
+ * @returns {Object} Map of group -> { count, meanDeviation, label }
  */
-function applyBacklogScoring(book, preference) {
-    if (!book.dateAdded) return 0;
+function groupDeviations(rated, groupOf, minBooks = 1) {
+    const groups = {};
     
-    const yearsSinceAdded = (new Date() - new Date(book.dateAdded)) / (1000 * 60 * 60 * 24 * 365);
+    rated.forEach(({ book, deviation }) => {
+        const key = groupOf(book);
+        if (!key) return;
+        
+        if (!groups[key]) groups[key] = [];
+        groups[key].push(deviation);
+    });
     
-    if (preference === 'old') {
-        // Bonus for older books
-        if (yearsSinceAdded >= 3) return 2;
-        if (yearsSinceAdded >= 1) return 1;
-    } else if (preference === 'new') {
-        // Bonus for newer books
-        if (yearsSinceAdded < 1) return 2;
-        if (yearsSinceAdded < 3) return 1;
-    }
+    const result = {};
+    Object.entries(groups).forEach(([key, deviations]) => {
+        if (deviations.length < minBooks) return;
+        
+        const meanDeviation = average(deviations);
+        result[key] = { count: deviations.length, meanDeviation, label: getCalibrationLabel(meanDeviation) };
+    });
     
-    return 0;
+    return result;
 }
 
 /**
- * Applies risk preference scoring.
- * @param {Object} book - Book to score
- * @param {string} preference - User preference
- * @param {Object} profile - User behaviour profile
- * @returns {number} Bonus score
+ * Describes a mean deviation from the crowd.
+ * @param {number} meanDeviation - Your rating minus the average rating
+ * @returns {string} 'generous', 'harsh' or 'in line'
  */
-function applyRiskScoring(book, preference, profile) {
-    const rating = book.averageRating || 0;
+function getCalibrationLabel(meanDeviation) {
+    if (meanDeviation > CALIBRATION_THRESHOLD) return 'generous';
+    if (meanDeviation < -CALIBRATION_THRESHOLD) return 'harsh';
+    return 'in line';
+}
+
+/**
+ * Predicts your rating for an unread book from the crowd average and your bias.
+ * Uses your bias for the author when you have rated enough of their books,
+ * otherwise the average of your era and length biases, otherwise your overall bias.
+ * @param {Object} book - Book to predict
+ * @param {Object} calibration - Result of calculateRatingCalibration
+ * @returns {number} Predicted rating between 1 and 5
+ */
+function predictUserRating(book, calibration) {
+    let bias = calibration.meanDeviation || 0;
     
-    if (preference === 'safe') {
-        // Heavily weight high ratings
-        return rating * 0.5;
-    } else if (preference === 'risky') {
-        // Prefer near user's average, avoid top 10%
-        if (profile && profile.avgRating > 0) {
-            const distanceFromAvg = Math.abs(rating - profile.avgRating);
-            if (rating < profile.avgRating * 1.1 && rating >= 3.7 && rating <= 4.1) {
-                return 1.5 - (distanceFromAvg * 0.3);
-            }
+    const authorBias = calibration.byAuthor[book.author];
+    if (authorBias) {
+        bias = authorBias.meanDeviation;
+    } else {
+        const groupBiases = [
+            book.publicationYear > 0 ? calibration.byEra[getEraCategory(book.publicationYear)] : null,
+            book.pages > 0 ? calibration.byLength[getLengthCategory(book.pages)] : null
+        ].filter(group => group);
+        
+        if (groupBiases.length > 0) {
+            bias = average(groupBiases.map(group => group.meanDeviation));
         }
     }
     
-    return 0;
+    return Math.min(5, Math.max(1, book.averageRating + bias));
 }
 
 /**
- * Renders the recommendation to the DOM.
- * @param {Object} recommendation - Recommendation result
+ * Formats a rating deviation with its sign.
+ * @param {number} deviation - Rating difference
+ * @returns {string} e.g. "+0.42" or "-1.10"
  */
-function renderRecommendation(recommendation) {
-    const resultDiv = document.getElementById('recommendation-result');
-    
-    if (!recommendation || !recommendation.book) {
-        resultDiv.innerHTML = '<p class="no-match">No recommendation available.</p>';
-        return;
+function formatDeviation(deviation) {
+    return `${deviation > 0 ? '+' : ''}${deviation.toFixed(2)}`;
+}
+
+/**
+ * Renders the rating calibration panel.
+ * @param {Object} calibration - Result of calculateRatingCalibration
+ * @returns {string} Panel HTML
+ */
+function renderCalibrationPanel(calibration) {
+    if (calibration.ratedBooks === 0) {
+        return `
+        <div class="rating-calibration">
+            <h3>Rating Calibration</h3>
+            <p class="section-description">Rate some books to compare yourself with the Goodreads average</p>
+        </div>
+        `;
     }
     
-    const book = recommendation.book;
+    const renderDisagreements = (entries) => entries.length === 0 ? '<p>None</p>' :
+        '<ul>' + entries.map(({ book, deviation }) =>
+            `<li>${escapeHtml(book.title)}: you ${book.userRating}★, crowd ${formatNumber(book.averageRating, 2)} (${formatDeviation(deviation)})</li>`
+        ).join('') + '</ul>';
     
-    // Build cover HTML
-    let coverHtml = '';
-    if (book.isbn) {
-        const isbn = book.isbn.replace(/[^0-9X]/gi, '');
-        coverHtml = `
-            <div class="book-cover-container">
-                <img 
-                    src="https://covers.openlibrary.org/b/isbn/${isbn}-L.jpg" 
-                    alt="Cover for ${book.title || 'Unknown Title'}"
-                    class="book-cover"
-                    loading="lazy"
-                    onerror="this.style.display='none'; this.parentElement.classList.add('cover-error');"
-                />
-            </div>
-        `;
-    } else {
-        coverHtml = `
-            <div class="book-cover-container cover-placeholder">
-                <div class="cover-placeholder-content">
-                    <span class="cover-placeholder-icon">📚</span>
-                    <p class="cover-placeholder-title">${book.title || 'Unknown Title'}</p>
-                    <p class="cover-placeholder-author">${book.author || 'Unknown Author'}</p>
-                </div>
-            </div>
-        `;
-    }
+    const renderGroups = (groups, labels = {}) => {
+        const entries = Object.entries(groups);
+        if (entries.length === 0) return '<p>Not enough rated books</p>';
+        
+        return '<ul>' + entries
+            .sort((a, b) => b[1].meanDeviation - a[1].meanDeviation)
+            .map(([key, group]) => `<li>${escapeHtml(labels[key] || key)}: ${group.label} (${formatDeviation(group.meanDeviation)}, ${group.count} book${group.count !== 1 ? 's' : ''})</li>`)
+            .join('') + '</ul>';
+    };
     
-    resultDiv.innerHTML = `
-        <div class="recommendation-card">
-            <h4>Recommended Book</h4>
-            ${coverHtml}
-            <div class="book-details">
-                <p class="book-title">${book.title || 'Unknown Title'}</p>
-                <p class="book-author">by ${book.author || 'Unknown Author'}</p>
-                <div class="book-meta">
-                    ${book.publicationYear ? `<span>Published: ${book.publicationYear}</span>` : ''}
-                    ${book.pages ? `<span>Pages: ${book.pages}</span>` : ''}
-                    ${book.averageRating ? `<span>Rating: ${book.averageRating.toFixed(2)}</span>` : ''}
+    const labelsOf = (categories) => Object.fromEntries(categories.map(c => [c.key, c.label]));
+    
+    return `
+        <div class="rating-calibration">
+            <h3>Rating Calibration</h3>
+            <p class="section-description">How your ratings compare with the Goodreads average, from ${calibration.ratedBooks} rated books</p>
+            
+            <div class="metrics-grid">
+                <div class="metric-card">
+                    <h4>Your Bias</h4>
+                    <p><strong>${formatDeviation(calibration.meanDeviation)}</strong> stars on average</p>
+                    <p>${calibration.label === 'in line' ? 'Your ratings are in line with the crowd' : `You are a ${calibration.label} rater`}</p>
+                </div>
+                
+                <div class="metric-card">
+                    <h4>You Liked More</h4>
+                    ${renderDisagreements(calibration.aboveCrowd)}
+                </div>
+                
+                <div class="metric-card">
+                    <h4>You Liked Less</h4>
+                    ${renderDisagreements(calibration.belowCrowd)}
+                </div>
+                
+                <div class="metric-card">
+                    <h4>By Era</h4>
+                    ${renderGroups(calibration.byEra, labelsOf(ERA_CATEGORIES))}
+                </div>
+                
+                <div class="metric-card">
+                    <h4>By Length</h4>
+                    ${renderGroups(calibration.byLength, labelsOf(LENGTH_CATEGORIES))}
+                </div>
+                
+                <div class="metric-card">
+                    <h4>By Author</h4>
+                    <p class="metric-description">Authors with ${CALIBRATION_MIN_BOOKS}+ rated books</p>
+                    ${renderGroups(calibration.byAuthor)}
                 </div>
-                <p class="book-score">Selected from ${recommendation.totalCandidates} candidates</p>
             </div>
+            
+            ${calibration.predictions.length === 0 ? '' : `
+                <h4 class="prediction-heading">Highest Predicted Ratings in Your Backlog</h4>
+                <ul class="prediction-list">
+                    ${calibration.predictions.map(({ book, predictedRating }) => `
+                        <li><span>${escapeHtml(book.title)} <em>by ${escapeHtml(book.author || 'Unknown')}</em></span>
+                            <span>${formatNumber(predictedRating, 1)}★ <em>(crowd ${formatNumber(book.averageRating, 2)})</em></span></li>
+                    `).join('')}
+                </ul>
+            `}
         </div>
     `;
 }
 
+// ============================================
+// Phase 2g: Authors
+// ============================================
+
+// Whether the author selector listener has been bound
+let authorExplorerListenerBound = false;
+
+// Contributor roles that count as writing the book
+const WRITER_ROLES = ['author', 'co-author'];
+
+// Which contributors each metric counts:
+// 'primary' - the Author column only
+// 'writers' - the author and co-authors
+// 'all'     - everyone credited, including translators, illustrators and editors
+const CONTRIBUTOR_SCOPES = {
+    topAuthors: 'writers',
+    familiarAuthor: 'writers',
+    authorDiversity: 'all',
+    authorProfile: 'all',
+    ratingCalibration: 'primary'
+};
+
 /**
- * Resets the decision flow to start over.
+ * Builds the contributor list from the Author and Additional Authors columns.
+ * Additional authors may carry a role in brackets, e.g. "Edith Grossman (Translator)".
+ * @param {string} primaryAuthor - Value of the Author column
+ * @param {string} additionalAuthors - Comma-separated Additional Authors value
+ * @returns {Array} { name, role } entries, primary author first
  */
-function resetDecisionFlow() {
-    // Reset state
-    decisionState.currentStep = 1;
-    decisionState.selections = {
-        timeInvestment: '',
-        behaviourPreference: '',
-        backlogPreference: '',
-        riskPreference: ''
+function parseContributors(primaryAuthor, additionalAuthors) {
+    const contributors = primaryAuthor ? [{ name: primaryAuthor, role: 'author' }] : [];
+    
+    splitPeople(additionalAuthors, ',').forEach(entry => {
+        const match = entry.match(/^(.*?)\s*\(([^)]+)\)$/);
+        const name = cleanString(match ? match[1] : entry);
+        if (!name) return;
+        
+        // Skip people already credited, e.g. the primary author repeated.
+        // Keys are never empty for a name, so only true repeats match
+        const key = getAuthorKey(name);
+        if (contributors.some(contributor => getAuthorKey(contributor.name) === key)) return;
+        
+        contributors.push({ name, role: match ? normaliseContributorRole(match[2]) : 'co-author' });
+    });
+    
+    return contributors;
+}
+
+/**
+ * Maps a bracketed role onto a consistent name.
+ * @param {string} role - Raw role, e.g. "Translator" or "Goodreads Author"
+ * @returns {string} Normalised role
+ */
+function normaliseContributorRole(role) {
+    const lower = role.trim().toLowerCase();
+    
+    if (lower.includes('translat')) return 'translator';
+    if (lower.includes('illustrat')) return 'illustrator';
+    if (lower.includes('narrat') || lower.includes('reader')) return 'narrator';
+    if (lower.includes('edit')) return 'editor';
+    if (lower.includes('author')) return 'co-author';
+    return lower;
+}
+
+/**
+ * Lists the names credited on a book for a contributor scope.
+ * @param {Object} book - Book to read contributors from
+ * @param {string} scope - 'primary', 'writers' or 'all' (see CONTRIBUTOR_SCOPES)
+ * @returns {Array<string>} Contributor names
+ */
+function getBookContributors(book, scope) {
+    if (scope === 'primary' || !book.contributors) {
+        return book.author ? [book.author] : [];
+    }
+    
+    return book.contributors
+        .filter(contributor => scope === 'all' || WRITER_ROLES.includes(contributor.role))
+        .map(contributor => contributor.name);
+}
+
+/**
+ * Builds a matching key for an author name, so spelling variants resolve to one author.
+ * Accepts "Last, First" (the Author l-f column), ignores case, accents, punctuation
+ * and the middle initials of a full first name: "Octavia E. Butler", "Octavia Butler"
+ * and "Butler, Octavia E." all give "octavia butler". Names written as initials keep
+ * every initial ("j r r tolkien"), and letters from every script are kept.
+ * @param {string} name - Author name
+ * @returns {string} Matching key ('' for no name)
+ */
+function getAuthorKey(name) {
+    const flipped = flipAuthorName(name);
+    const tokens = flipped
+        .normalize('NFD')
+        .replace(/([a-z])[\u0300-\u036f]+/gi, '$1')
+        .normalize('NFC')
+        .toLowerCase()
+        .replace(/[.\-]/g, ' ')
+        .replace(/[^\p{L}\p{M}\p{N}\s]/gu, '')
+        .split(/\s+/)
+        .filter(token => token);
+    
+    // Nothing left after stripping punctuation - match on the name as written
+    if (tokens.length === 0) return flipped.trim().toLowerCase();
+    if (tokens.length <= 2 || tokens[0].length === 1) return tokens.join(' ');
+    
+    // Keep first and last names, drop single-letter middle initials
+    const middle = tokens.slice(1, -1).filter(token => token.length > 1);
+    return [tokens[0], ...middle, tokens[tokens.length - 1]].join(' ');
+}
+
+/**
+ * Rewrites every spelling of an author to one display name.
+ * The most common spelling wins, then the longest (usually the most complete).
+ * @param {Array} libraryBooks - Books to update in place
+ * @returns {Array} The same books
+ */
+function unifyAuthorNames(libraryBooks) {
+    const spellings = {};
+    const countSpelling = name => {
+        const key = getAuthorKey(name);
+        if (!key) return;
+        
+        if (!spellings[key]) spellings[key] = {};
+        spellings[key][name] = (spellings[key][name] || 0) + 1;
     };
-    decisionState.candidates = [...decisionState.allBooks];
     
-    // Hide result
-    document.getElementById('step-result').classList.add('hidden');
+    libraryBooks.forEach(book => {
+        if (book.contributors) {
+            book.contributors.forEach(contributor => countSpelling(contributor.name));
+        } else {
+            countSpelling(book.author);
+        }
+    });
     
-    // Clear selections
-    document.querySelectorAll('.step-btn').forEach(btn => {
-        btn.classList.remove('selected');
+    const displayNames = {};
+    Object.entries(spellings).forEach(([key, counts]) => {
+        displayNames[key] = Object.entries(counts)
+            .sort((a, b) => b[1] - a[1] || b[0].length - a[0].length)[0][0];
+    });
+    
+    const displayNameOf = name => displayNames[getAuthorKey(name)] || name;
+    
+    libraryBooks.forEach(book => {
+        if (book.author) book.author = displayNameOf(book.author);
+        if (book.contributors) {
+            book.contributors.forEach(contributor => {
+                contributor.name = displayNameOf(contributor.name);
+            });
+        }
+    });
+    
+    return libraryBooks;
+}
+
+/**
+ * Lists every author in the library.
+ * @param {Array} libraryBooks - Books to scan
+ * @returns {Array} { key, name, bookCount, readCount }, most books first
+ */
+function listAuthors(libraryBooks) {
+    const authors = {};
+    
+    libraryBooks.forEach(book => {
+        getBookContributors(book, CONTRIBUTOR_SCOPES.authorProfile).forEach(name => {
+            const key = getAuthorKey(name);
+            if (!key) return;
+            
+            if (!authors[key]) {
+                authors[key] = { key, name, bookCount: 0, readCount: 0 };
+            }
+            authors[key].bookCount++;
+            if (isReadBook(book)) authors[key].readCount++;
+        });
+    });
+    
+    return Object.values(authors)
+        .sort((a, b) => b.bookCount - a.bookCount || a.name.localeCompare(b.name));
+}
+
+/**
+ * Gathers everything about one author in the library.
+ * @param {Array} libraryBooks - Every book in the library
+ * @param {string} authorKey - Key from getAuthorKey
+ * @returns {Object|null} Read and backlog books, ratings, completion and timeline
+ */
+function calculateAuthorProfile(libraryBooks, authorKey) {
+    const authorBooks = libraryBooks.filter(book => getBookContributors(book, CONTRIBUTOR_SCOPES.authorProfile)
+        .some(name => getAuthorKey(name) === authorKey));
+    if (authorBooks.length === 0) return null;
+    
+    const name = getBookContributors(authorBooks[0], CONTRIBUTOR_SCOPES.authorProfile)
+        .find(contributor => getAuthorKey(contributor) === authorKey);
+    
+    const readBooks = authorBooks.filter(isReadBook);
+    const ratedBooks = readBooks.filter(book => book.userRating > 0);
+    
+    // Dated reads in order, undated reads at the end
+    const timeline = [...readBooks].sort((a, b) => {
+        if (!a.dateRead || !b.dateRead) return !a.dateRead - !b.dateRead;
+        return a.dateRead.localeCompare(b.dateRead);
+    });
+    
+    return {
+        key: authorKey,
+        name,
+        totalBooks: authorBooks.length,
+        readBooks,
+        backlogBooks: authorBooks.filter(isBacklogBook),
+        otherBooks: authorBooks.filter(book => !isReadBook(book) && !isBacklogBook(book)),
+        averageUserRating: average(ratedBooks.map(book => book.userRating)),
+        averageCrowdRating: average(authorBooks.map(book => book.averageRating).filter(r => r > 0)),
+        completion: Math.round((readBooks.length / authorBooks.length) * 100),
+        timeline
+    };
+}
+
+/**
+ * Fills the author selector and shows the most-shelved author.
+ */
+function initAuthorExplorer() {
+    const section = document.getElementById('author-section');
+    const select = document.getElementById('author-select');
+    if (!section || !select) return;
+    
+    const authors = listAuthors(books);
+    if (authors.length === 0) {
+        section.classList.add('hidden');
+        return;
+    }
+    
+    const selectedKey = authors.some(author => author.key === select.value) ? select.value : authors[0].key;
+    select.innerHTML = authors.map(author =>
+        `<option value="${escapeHtml(author.key)}">${escapeHtml(author.name)} (${author.bookCount})</option>`
+    ).join('');
+    select.value = selectedKey;
+    
+    if (!authorExplorerListenerBound) {
+        select.addEventListener('change', () => {
+            renderAuthorProfile(calculateAuthorProfile(books, select.value));
+        });
+        authorExplorerListenerBound = true;
+    }
+    
+    section.classList.remove('hidden');
+    renderAuthorProfile(calculateAuthorProfile(books, selectedKey));
+}
+
+/**
+ * Renders the author deep-dive.
+ * @param {Object|null} profile - Result of calculateAuthorProfile
+ */
+function renderAuthorProfile(profile) {
+    const content = document.getElementById('author-detail');
+    if (!content) return;
+    
+    if (!profile) {
+        content.innerHTML = '<p>No books by this author</p>';
+        return;
+    }
+    
+    // Show the role on books they didn't write as the main author
+    const roleOf = book => {
+        const credit = (book.contributors || []).find(contributor => getAuthorKey(contributor.name) === profile.key);
+        return credit && credit.role !== 'author' ? ` <em>(${escapeHtml(credit.role)})</em>` : '';
+    };
+    
+    const renderList = (list, describe) => list.length === 0 ? '<p>None</p>' :
+        '<ul>' + list.map(book => `<li>${escapeHtml(book.title || 'Unknown')}${roleOf(book)}${describe(book)}</li>`).join('') + '</ul>';
+    
+    content.innerHTML = `
+        <h3>${escapeHtml(profile.name)}</h3>
+        
+        <div class="metrics-grid">
+            <div class="metric-card">
+                <h4>Completion</h4>
+                <p><strong>${profile.completion}%</strong> of their ${profile.totalBooks} book${profile.totalBooks !== 1 ? 's' : ''} in your library read</p>
+                <div class="goal-progress"><span style="width: ${profile.completion}%"></span></div>
+            </div>
+            
+            <div class="metric-card">
+                <h4>Ratings</h4>
+                <p><strong>Your average:</strong> ${formatNumber(profile.averageUserRating, 2)}</p>
+                <p><strong>Goodreads average:</strong> ${formatNumber(profile.averageCrowdRating, 2)}</p>
+            </div>
+            
+            <div class="metric-card">
+                <h4>Read (${profile.readBooks.length})</h4>
+                ${renderList(profile.timeline, book => `${book.dateRead ? ` · ${book.dateRead}` : ''}${book.userRating ? ` · ${book.userRating}★` : ''}`)}
+            </div>
+            
+            <div class="metric-card">
+                <h4>Backlog (${profile.backlogBooks.length})</h4>
+                ${renderList(profile.backlogBooks, book => book.pages ? ` · ${book.pages}p` : '')}
+            </div>
+            
+            ${profile.otherBooks.length === 0 ? '' : `
+                <div class="metric-card">
+                    <h4>Other Shelves (${profile.otherBooks.length})</h4>
+                    ${renderList(profile.otherBooks, book => ` · ${escapeHtml(getReadingStatus(book))}`)}
+                </div>
+            `}
+        </div>
+    `;
+}
+
+// ============================================
+// Phase 3: Re-read History
+// ============================================
+
+// Lowest rating that makes a read book a favourite worth re-reading
+const REREAD_MIN_RATING = 4;
+
+/**
+ * Repeats each read book once per time it was read.
+ * @param {Array} readBooks - Books that have been read
+ * @returns {Array} One entry per read
+ */
+function expandRereads(readBooks) {
+    return readBooks.flatMap(book => Array(Math.max(1, book.readCount || 1)).fill(book));
+}
+
+/**
+ * Finds the books read the most times.
+ * @param {Array} readBooks - Books that have been read
+ * @param {number} n - Number of books to return
+ * @returns {Array<{title: string, author: string, readCount: number}>} Most re-read books
+ */
+function findMostRereadBooks(readBooks, n = 3) {
+    return readBooks
+        .filter(book => (book.readCount || 1) > 1)
+        .sort((a, b) => b.readCount - a.readCount)
+        .slice(0, n)
+        .map(book => ({
+            title: book.title || 'Unknown',
+            author: book.author || 'Unknown',
+            readCount: book.readCount
+        }));
+}
+
+/**
+ * Picks read books worth recommending for a re-read.
+ * Favourites are rated 4+ or, when unrated, already read more than once.
+ * @param {Array} libraryBooks - All books
+ * @returns {Array} Re-read candidates
+ */
+function getRereadCandidates(libraryBooks) {
+    return libraryBooks.filter(book => {
+        if (!isReadBook(book)) return false;
+        if (book.userRating > 0) return book.userRating >= REREAD_MIN_RATING;
+        return (book.readCount || 1) > 1;
+    });
+}
+
+/**
+ * Initialises the "count re-reads" analytics option.
+ */
+function initAnalyticsOptions() {
+    const countRereadsInput = document.getElementById('count-rereads-input');
+    if (!countRereadsInput) return;
+    
+    countRereadsInput.checked = analyticsOptions.countRereads;
+    countRereadsInput.addEventListener('change', () => {
+        analyticsOptions.countRereads = countRereadsInput.checked;
+        if (books.length > 0) {
+            refreshAnalytics();
+        }
+    });
+}
+
+// ============================================
+// Phase 3b: Reviews & Private Notes
+// ============================================
+
+// Small local sentiment lexicons - no external services involved
+const POSITIVE_WORDS = [
+    'amazing', 'beautiful', 'beautifully', 'best', 'brilliant', 'captivating', 'charming', 'clever',
+    'compelling', 'delight', 'delightful', 'enjoy', 'enjoyed', 'excellent', 'fantastic', 'fascinating',
+    'favourite', 'favorite', 'fun', 'funny', 'gorgeous', 'gripping', 'great', 'incredible', 'insightful',
+    'love', 'loved', 'lovely', 'masterpiece', 'moving', 'perfect', 'powerful', 'recommend', 'riveting',
+    'stunning', 'superb', 'wonderful', 'wow'
+];
+
+const NEGATIVE_WORDS = [
+    'annoying', 'awful', 'bad', 'bland', 'bored', 'boring', 'confusing', 'disappointed', 'disappointing',
+    'dnf', 'drag', 'dragged', 'dull', 'flat', 'hate', 'hated', 'meh', 'mediocre', 'messy', 'overrated',
+    'pointless', 'poor', 'predictable', 'repetitive', 'shallow', 'slog', 'slow', 'tedious', 'terrible',
+    'tiresome', 'unconvincing', 'weak', 'worst'
+];
+
+const STOP_WORDS = [
+    'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'because', 'been',
+    'book', 'books', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'even', 'for', 'from', 'had', 'has',
+    'have', 'he', 'her', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'like', 'me',
+    'more', 'most', 'my', 'not', 'of', 'on', 'one', 'only', 'or', 'other', 'our', 'out', 'read', 'really',
+    'she', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they',
+    'this', 'those', 'to', 'too', 'very', 'was', 'way', 'we', 'were', 'what', 'when', 'which', 'while',
+    'who', 'will', 'with', 'would', 'you', 'your'
+];
+
+/**
+ * Splits text into lowercase words.
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Words
+ */
+function tokenise(text) {
+    return (String(text || '').toLowerCase().match(/[a-z']+/g) || [])
+        .map(word => word.replace(/^'+|'+$/g, ''))
+        .filter(word => word.length > 0);
+}
+
+/**
+ * Scores the sentiment of a piece of text using the local lexicons.
+ * @param {string} text - Text to score
+ * @returns {number} Score from -1 (negative) to 1 (positive), 0 when neutral
+ */
+function scoreSentiment(text) {
+    const words = tokenise(text);
+    const positive = words.filter(word => POSITIVE_WORDS.includes(word)).length;
+    const negative = words.filter(word => NEGATIVE_WORDS.includes(word)).length;
+    
+    if (positive + negative === 0) return 0;
+    return (positive - negative) / (positive + negative);
+}
+
+/**
+ * Labels a sentiment score.
+ * @param {number} score - Score from scoreSentiment
+ * @returns {string} 'positive', 'negative' or 'neutral'
+ */
+function getSentimentLabel(score) {
+    if (score > 0.2) return 'positive';
+    if (score < -0.2) return 'negative';
+    return 'neutral';
+}
+
+/**
+ * Finds the most used meaningful words across texts.
+ * @param {Array<string>} texts - Texts to analyse
+ * @param {number} n - Number of keywords to return
+ * @returns {Array<{word: string, count: number}>} Top keywords
+ */
+function extractKeywords(texts, n = 10) {
+    const counts = {};
+    
+    texts.forEach(text => {
+        tokenise(text)
+            .filter(word => word.length > 2 && !STOP_WORDS.includes(word))
+            .forEach(word => {
+                counts[word] = (counts[word] || 0) + 1;
+            });
+    });
+    
+    return Object.entries(counts)
+        .map(([word, count]) => ({ word, count }))
+        .sort((a, b) => b.count - a.count || a.word.localeCompare(b.word))
+        .slice(0, n);
+}
+
+/**
+ * Calculates review statistics, keywords and sentiment.
+ * @param {Array} libraryBooks - All books
+ * @returns {Object} Review insights
+ */
+function calculateReviewInsights(libraryBooks) {
+    const reviewedBooks = libraryBooks
+        .filter(book => book.review || book.privateNotes)
+        .map(book => ({
+            book,
+            wordCount: tokenise(book.review).length,
+            sentiment: book.review ? scoreSentiment(book.review) : 0
+        }));
+    
+    const withReview = reviewedBooks.filter(entry => entry.book.review);
+    const sentimentCounts = { positive: 0, neutral: 0, negative: 0 };
+    withReview.forEach(entry => {
+        sentimentCounts[getSentimentLabel(entry.sentiment)]++;
+    });
+    
+    const longest = withReview.reduce((best, entry) => (!best || entry.wordCount > best.wordCount ? entry : best), null);
+    
+    return {
+        reviewedBooks,
+        reviewCount: withReview.length,
+        notesCount: reviewedBooks.filter(entry => entry.book.privateNotes).length,
+        averageWords: average(withReview.map(entry => entry.wordCount)),
+        longestReview: longest ? { title: longest.book.title || 'Unknown', wordCount: longest.wordCount } : null,
+        sentimentCounts,
+        keywords: extractKeywords(withReview.map(entry => entry.book.review), 10)
+    };
+}
+
+/**
+ * Finds authors whose read books have positive reviews.
+ * @param {Array} readBooks - Books that have been read
+ * @returns {Array<string>} Author names
+ */
+function findPositivelyReviewedAuthors(readBooks) {
+    const authors = new Set();
+    
+    readBooks.forEach(book => {
+        if (book.author && book.review && getSentimentLabel(scoreSentiment(book.review)) === 'positive') {
+            authors.add(book.author);
+        }
+    });
+    
+    return Array.from(authors);
+}
+
+/**
+ * Renders the reviews panel.
+ * @param {Object} insights - Result of calculateReviewInsights
+ * @returns {string} Panel HTML
+ */
+function renderReviewsPanel(insights) {
+    if (insights.reviewedBooks.length === 0) {
+        return `
+        <div class="reviews-panel">
+            <h3>Your Reviews</h3>
+            <p class="section-description">No reviews or private notes in this export</p>
+        </div>
+        `;
+    }
+    
+    return `
+        <div class="reviews-panel">
+            <h3>Your Reviews</h3>
+            <p class="section-description">What you wrote about your books, analysed locally</p>
+            
+            <div class="metrics-grid">
+                <div class="metric-card">
+                    <h4>Review Stats</h4>
+                    <p><strong>Reviews:</strong> ${insights.reviewCount}</p>
+                    <p><strong>Private notes:</strong> ${insights.notesCount}</p>
+                    <p><strong>Average length:</strong> ${formatNumber(insights.averageWords, 0)} words</p>
+                    ${insights.longestReview ? `<p><strong>Longest:</strong> ${escapeHtml(insights.longestReview.title)} (${insights.longestReview.wordCount} words)</p>` : ''}
+                </div>
+                
+                <div class="metric-card">
+                    <h4>Sentiment</h4>
+                    <ul>
+                        <li>Positive: ${insights.sentimentCounts.positive}</li>
+                        <li>Neutral: ${insights.sentimentCounts.neutral}</li>
+                        <li>Negative: ${insights.sentimentCounts.negative}</li>
+                    </ul>
+                </div>
+                
+                <div class="metric-card">
+                    <h4>Keywords</h4>
+                    ${insights.keywords.length === 0 ? '<p>N/A</p>' : `
+                        <p class="review-keywords">${insights.keywords.map(k => `<span>${escapeHtml(k.word)} (${k.count})</span>`).join(' ')}</p>
+                    `}
+                </div>
+            </div>
+            
+            <input type="search" id="review-search-input" class="review-search" placeholder="Search reviews, notes, titles and authors" />
+            <ul id="review-list" class="review-list"></ul>
+        </div>
+    `;
+}
+
+/**
+ * Renders the reviewed books matching a search query.
+ * @param {Array} reviewedBooks - Entries from calculateReviewInsights
+ * @param {string} query - Search text
+ * @returns {string} List items HTML
+ */
+function renderReviewList(reviewedBooks, query) {
+    const needle = (query || '').trim().toLowerCase();
+    const matches = reviewedBooks.filter(({ book }) => {
+        if (!needle) return true;
+        return [book.title, book.author, book.review, book.privateNotes]
+            .some(text => text && text.toLowerCase().includes(needle));
+    });
+    
+    if (matches.length === 0) {
+        return '<li class="no-match">No reviews match your search</li>';
+    }
+    
+    return matches.map(({ book, sentiment }) => `
+        <li>
+            <p><strong>${escapeHtml(book.title || 'Unknown')}</strong> by ${escapeHtml(book.author || 'Unknown')}
+                ${book.userRating ? ` · ${book.userRating}★` : ''}
+                ${book.review ? ` · <span class="sentiment-${getSentimentLabel(sentiment)}">${getSentimentLabel(sentiment)}</span>` : ''}</p>
+            ${book.review ? `<p class="review-text">${escapeHtml(book.review)}</p>` : ''}
+            ${book.privateNotes ? `<p class="review-notes">Private note: ${escapeHtml(book.privateNotes)}</p>` : ''}
+        </li>
+    `).join('');
+}
+
+/**
+ * Wires the review search box to the rendered review list.
+ * @param {Array} reviewedBooks - Entries from calculateReviewInsights
+ */
+function initReviewSearch(reviewedBooks) {
+    const searchInput = document.getElementById('review-search-input');
+    const list = document.getElementById('review-list');
+    if (!searchInput || !list) return;
+    
+    list.innerHTML = renderReviewList(reviewedBooks, '');
+    searchInput.addEventListener('input', () => {
+        list.innerHTML = renderReviewList(reviewedBooks, searchInput.value);
+    });
+}
+
+// ============================================
+// Phase 3c: Series
+// ============================================
+
+// Series entry in a Goodreads title, e.g. "The Broken Earth, #1" or "Discworld #2.5"
+const SERIES_ENTRY_PATTERN = /^(.+?),?\s+#(\d+(?:\.\d+)?)(?:\s*-\s*\d+(?:\.\d+)?)?$/;
+
+// A series untouched for this long with books left is treated as abandoned
+const SERIES_ABANDONED_DAYS = 365;
+
+/**
+ * Parses series info from a Goodreads title.
+ * "The Fifth Season (The Broken Earth, #1)" gives { name: 'The Broken Earth', number: 1 }.
+ * Titles in several series list them with semicolons; the first is used.
+ * @param {string} title - Book title
+ * @returns {Object|null} { name, number }, or null for standalone books
+ */
+function parseSeries(title) {
+    const bracketMatch = String(title || '').match(/\(([^()]+)\)\s*$/);
+    if (!bracketMatch) return null;
+    
+    const entryMatch = bracketMatch[1].split(';')[0].trim().match(SERIES_ENTRY_PATTERN);
+    if (!entryMatch) return null;
+    
+    return {
+        name: entryMatch[1].trim(),
+        number: parseFloat(entryMatch[2])
+    };
+}
+
+/**
+ * Groups the library into series and works out how far through each one you are.
+ * @param {Array} libraryBooks - Every book in the library
+ * @param {Date} now - Reference date (defaults to today)
+ * @returns {Array} Series progress, most recently read first
+ */
+function calculateSeriesProgress(libraryBooks, now = new Date()) {
+    const seriesMap = {};
+    
+    libraryBooks.forEach(book => {
+        if (!book.series) return;
+        
+        const key = book.series.name.toLowerCase();
+        if (!seriesMap[key]) {
+            seriesMap[key] = { name: book.series.name, books: [] };
+        }
+        seriesMap[key].books.push(book);
+    });
+    
+    return Object.values(seriesMap)
+        .map(series => {
+            const seriesBooks = [...series.books].sort((a, b) => a.series.number - b.series.number);
+            const readBooks = seriesBooks.filter(isReadBook);
+            const unreadBooks = seriesBooks.filter(book => !isReadBook(book));
+            const lastReadDate = readBooks.map(book => book.dateRead).filter(date => date).sort().pop() || null;
+            const lastRead = parseDateSafe(lastReadDate);
+            const highestRead = readBooks.reduce((highest, book) => Math.max(highest, book.series.number), 0);
+            
+            // Next is the first backlog book after the furthest one read
+            const next = seriesBooks.find(book => isBacklogBook(book) && book.series.number > highestRead) || null;
+            
+            let status = 'not started';
+            if (readBooks.length > 0 && unreadBooks.length === 0) {
+                status = 'finished';
+            } else if (readBooks.length > 0) {
+                const hasDnf = unreadBooks.some(book => getReadingStatus(book) === 'dnf');
+                const isStale = lastRead && daysBetween(lastRead, now) > SERIES_ABANDONED_DAYS;
+                status = hasDnf || isStale ? 'abandoned' : 'in progress';
+            }
+            
+            return {
+                name: series.name,
+                books: seriesBooks,
+                readCount: readBooks.length,
+                unreadCount: unreadBooks.length,
+                averageRating: average(readBooks.map(book => book.userRating).filter(r => r > 0)),
+                lastReadDate,
+                status,
+                next
+            };
+        })
+        .sort((a, b) => (b.lastReadDate || '').localeCompare(a.lastReadDate || ''));
+}
+
+/**
+ * Finds the next backlog book in every series you started and rated well.
+ * @param {Array} seriesProgress - Result of calculateSeriesProgress
+ * @returns {Array} { series, book } suggestions, best-rated series first
+ */
+function findNextInSeries(seriesProgress) {
+    return seriesProgress
+        .filter(series => series.status !== 'finished' && series.next && series.averageRating >= REREAD_MIN_RATING)
+        .sort((a, b) => b.averageRating - a.averageRating)
+        .map(series => ({ series, book: series.next }));
+}
+
+/**
+ * Applies a bonus to backlog books that continue a series you rated well.
+ * @param {Object} book - Book to score
+ * @param {Object} profile - User behaviour profile
+ * @param {Array} reasons - Collects an explanation of the bonus (optional)
+ * @returns {number} Bonus score
+ */
+function applySeriesScoring(book, profile, reasons = []) {
+    const nextInSeries = profile.nextInSeries || [];
+    if (!nextInSeries.includes(getBookKey(book))) return 0;
+    
+    reasons.push(`Next in ${book.series ? book.series.name : 'a series'}, which you rated well (+1)`);
+    return 1;
+}
+
+/**
+ * Renders the series progress panel.
+ * @param {Array} seriesProgress - Result of calculateSeriesProgress
+ * @returns {string} Panel HTML
+ */
+function renderSeriesPanel(seriesProgress) {
+    const started = seriesProgress.filter(series => series.status !== 'not started');
+    if (started.length === 0) {
+        return `
+        <div class="series-progress">
+            <h3>Series</h3>
+            <p class="section-description">No series started yet - series are read from titles like "The Fifth Season (The Broken Earth, #1)"</p>
+        </div>
+        `;
+    }
+    
+    const nextUp = findNextInSeries(seriesProgress);
+    const byStatus = status => started.filter(series => series.status === status);
+    
+    const renderSeriesList = (list) => list.length === 0 ? '<p>None</p>' :
+        '<ul>' + list.map(series =>
+            `<li>${escapeHtml(series.name)}: ${series.readCount} of ${series.books.length} read${series.averageRating ? ` · ${formatNumber(series.averageRating)}★` : ''}</li>`
+        ).join('') + '</ul>';
+    
+    return `
+        <div class="series-progress">
+            <h3>Series</h3>
+            <p class="section-description">Series you have started, based on the books in your library</p>
+            
+            <div class="metrics-grid">
+                <div class="metric-card">
+                    <h4>Next in Series</h4>
+                    <p class="metric-description">Continue a series you rated ${REREAD_MIN_RATING}★ or more</p>
+                    ${nextUp.length === 0 ? '<p>Nothing queued up</p>' :
+                      '<ul>' + nextUp.map(({ series, book }) =>
+                        `<li><strong>${escapeHtml(book.title)}</strong> (#${book.series.number} of ${escapeHtml(series.name)})</li>`
+                      ).join('') + '</ul>'}
+                </div>
+                
+                <div class="metric-card">
+                    <h4>In Progress</h4>
+                    ${renderSeriesList(byStatus('in progress'))}
+                </div>
+                
+                <div class="metric-card">
+                    <h4>Finished</h4>
+                    ${renderSeriesList(byStatus('finished'))}
+                </div>
+                
+                <div class="metric-card">
+                    <h4>Abandoned</h4>
+                    <p class="metric-description">Books left but none read for a year, or a DNF</p>
+                    ${renderSeriesList(byStatus('abandoned'))}
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+// ============================================
+// Phase 3d: Formats & Publishers
+// ============================================
+
+// Formats a binding is grouped into, in display order
+const FORMAT_CATEGORIES = [
+    { key: 'hardcover', label: 'Hardcover' },
+    { key: 'paperback', label: 'Paperback' },
+    { key: 'ebook', label: 'Ebook' },
+    { key: 'audio', label: 'Audiobook' },
+    { key: 'other', label: 'Other' }
+];
+
+// Binding text patterns, checked in order - "Audible Audio" is audio, not print
+const FORMAT_PATTERNS = [
+    { format: 'audio', pattern: /audio|audible|mp3|\bcd\b/ },
+    { format: 'ebook', pattern: /kindle|e-?book|epub|mobi|azw|pdf|digital|nook|kobo/ },
+    { format: 'hardcover', pattern: /hardcover|hardback|hard cover|library binding|board book/ },
+    { format: 'paperback', pattern: /paperback|softcover|soft cover|mass market|trade paper/ }
+];
+
+// Funnel format choices - odd print bindings like "Leather Bound" count as print
+const FUNNEL_FORMATS = {
+    print: ['hardcover', 'paperback', 'other'],
+    ebook: ['ebook'],
+    audio: ['audio']
+};
+
+// Imprints of the largest publishing houses, matched at the start of a publisher name
+const PUBLISHER_GROUPS = {
+    'Penguin Random House': [
+        'penguin', 'random house', 'vintage', 'knopf', 'alfred a. knopf', 'doubleday', 'anchor',
+        'ballantine', 'bantam', 'del rey', 'crown', 'viking', 'riverhead', 'berkley', 'ace', 'dutton',
+        'putnam', 'g.p. putnam', 'puffin', 'pantheon', 'hamish hamilton', 'allen lane', 'jonathan cape',
+        'chatto', 'bodley head', 'harvill secker', 'transworld', 'ebury', 'dial press', 'signet', 'daw'
+    ],
+    'HarperCollins': [
+        'harpercollins', 'harper', 'william morrow', 'avon', 'fourth estate', 'voyager', 'ecco', 'mariner'
+    ],
+    'Hachette': [
+        'hachette', 'little, brown', 'orbit', 'grand central', 'hodder', 'orion', 'gollancz',
+        'weidenfeld', 'mulholland', 'basic books', 'headline', 'john murray', 'quercus', 'sceptre'
+    ],
+    'Macmillan': [
+        'macmillan', 'tor', 'st. martin', 'st martin', 'farrar', 'picador', 'henry holt', 'minotaur',
+        'pan', 'flatiron', 'celadon'
+    ],
+    'Simon & Schuster': [
+        'simon & schuster', 'simon and schuster', 'scribner', 'atria', 'gallery', 'pocket books',
+        'saga press', 'touchstone', 'free press'
+    ]
+};
+
+// Trailing words dropped when matching publisher names, so "Orbit Books" and "Orbit" are one imprint
+const PUBLISHER_SUFFIXES = [
+    'inc', 'ltd', 'llc', 'co', 'plc', 'corp', 'corporation', 'limited', 'company',
+    'publishing', 'publishers', 'publisher', 'books', 'press', 'group', 'and', '&'
+];
+
+// Publishers need this many rated reads to appear among your favourites
+const PUBLISHER_MIN_RATED_BOOKS = 2;
+
+/**
+ * Maps a binding such as "Mass Market Paperback" or "Kindle Edition" onto a format.
+ * @param {string} binding - Binding from the export
+ * @returns {string|null} 'hardcover', 'paperback', 'ebook', 'audio' or 'other', or null if unknown
+ */
+function getBookFormat(binding) {
+    const text = String(binding || '').trim().toLowerCase();
+    if (!text || text.includes('unknown')) return null;
+    
+    const match = FORMAT_PATTERNS.find(({ pattern }) => pattern.test(text));
+    return match ? match.format : 'other';
+}
+
+/**
+ * Builds the key used to match spellings of the same publisher.
+ * "Orbit Books", "Orbit" and "ORBIT, Inc." all give "orbit".
+ * @param {string} publisher - Publisher name
+ * @returns {string} Matching key, or '' if there is no name
+ */
+function getPublisherKey(publisher) {
+    const words = String(publisher || '')
+        .toLowerCase()
+        .replace(/[,.]+\s*$/, '')
+        .split(/\s+/)
+        .filter(word => word);
+    
+    // Keep at least one word so "Press" alone still has a key
+    while (words.length > 1 && PUBLISHER_SUFFIXES.includes(words[words.length - 1].replace(/[,.]/g, ''))) {
+        words.pop();
+    }
+    
+    return words.join(' ').replace(/,$/, '');
+}
+
+/**
+ * Finds the publishing house an imprint belongs to.
+ * @param {string} publisherKey - Key from getPublisherKey
+ * @returns {string|null} Publishing house, or null if the imprint is not a known one
+ */
+function getPublisherGroup(publisherKey) {
+    const group = Object.entries(PUBLISHER_GROUPS).find(([, imprints]) =>
+        imprints.some(imprint => publisherKey.startsWith(imprint) && !/[a-z0-9]/.test(publisherKey.charAt(imprint.length)))
+    );
+    return group ? group[0] : null;
+}
+
+/**
+ * Filters books to a funnel format choice.
+ * Books with an unknown format never match a specific choice.
+ * @param {Array} books - Books to filter
+ * @param {string} selection - 'print', 'ebook', 'audio' or 'any'
+ * @returns {Array} Filtered books
+ */
+function applyFormatFilter(books, selection) {
+    const formats = FUNNEL_FORMATS[selection];
+    if (!formats) {
+        return books;
+    }
+    
+    return books.filter(book => formats.includes(book.format));
+}
+
+/**
+ * Compares the formats of read and backlog books.
+ * @param {Array} readBooks - Books that have been read
+ * @param {Array} backlogBooks - Books on the want-to-read shelf
+ * @returns {Array} Groups for renderStackedBars
+ */
+function calculateFormatSplit(readBooks, backlogBooks) {
+    return buildDistributionComparison(readBooks, backlogBooks, 'format', FORMAT_CATEGORIES, book => book.format);
+}
+
+/**
+ * Groups read books by imprint and publishing house, with your average rating for each.
+ * @param {Array} readBooks - Books that have been read
+ * @returns {Object} Imprints and publishers by count, and favourite publishers by rating
+ */
+function calculatePublisherInsights(readBooks) {
+    const imprintMap = {};
+    
+    readBooks.forEach(book => {
+        const key = getPublisherKey(book.publisher);
+        if (!key) return;
+        
+        if (!imprintMap[key]) {
+            imprintMap[key] = { key, names: [], books: [] };
+        }
+        imprintMap[key].names.push(book.publisher);
+        imprintMap[key].books.push(book);
+    });
+    
+    const summarise = (name, groupBooks) => {
+        const ratings = groupBooks.map(book => book.userRating).filter(r => r > 0);
+        return {
+            name,
+            count: groupBooks.length,
+            ratedCount: ratings.length,
+            averageRating: average(ratings)
+        };
+    };
+    const byCount = (a, b) => b.count - a.count || a.name.localeCompare(b.name);
+    
+    // Show each imprint under its most common spelling
+    const imprints = Object.values(imprintMap).map(imprint => ({
+        ...summarise(getMostFrequent(imprint.names), imprint.books),
+        publisher: getPublisherGroup(imprint.key),
+        books: imprint.books
+    }));
+    
+    // Imprints of an unknown house stand as their own publisher
+    const publisherMap = {};
+    imprints.forEach(imprint => {
+        const name = imprint.publisher || imprint.name;
+        if (!publisherMap[name]) {
+            publisherMap[name] = { books: [], imprints: [] };
+        }
+        publisherMap[name].books.push(...imprint.books);
+        publisherMap[name].imprints.push(imprint.name);
+    });
+    
+    const publishers = Object.entries(publisherMap).map(([name, publisher]) => ({
+        ...summarise(name, publisher.books),
+        imprints: publisher.imprints.sort()
+    }));
+    
+    return {
+        booksWithPublisher: imprints.reduce((sum, imprint) => sum + imprint.count, 0),
+        imprints: imprints.map(({ books: imprintBooks, ...imprint }) => imprint).sort(byCount),
+        publishers: publishers.sort(byCount),
+        favourites: publishers
+            .filter(publisher => publisher.ratedCount >= PUBLISHER_MIN_RATED_BOOKS)
+            .sort((a, b) => b.averageRating - a.averageRating || byCount(a, b))
+    };
+}
+
+/**
+ * Renders the formats and publishers panel.
+ * @param {Array} formatSplit - Result of calculateFormatSplit
+ * @param {Object} publishers - Result of calculatePublisherInsights
+ * @returns {string} Panel HTML
+ */
+function renderFormatsPanel(formatSplit, publishers) {
+    const renderPublisherList = (list, describe) => list.length === 0 ? '<p>No publisher data</p>' :
+        '<ul>' + list.slice(0, 5).map(item => `<li>${describe(item)}</li>`).join('') + '</ul>';
+    const describeRating = item => item.ratedCount > 0 ? ` · ${formatNumber(item.averageRating)}★` : '';
+    
+    return `
+        <div class="formats-publishers">
+            <h3>Formats & Publishers</h3>
+            <p class="section-description">Based on the binding and publisher of each edition in your export</p>
+            
+            <div class="metrics-grid">
+                <div class="metric-card chart-card wide">
+                    <h4>Format: Read vs Backlog</h4>
+                    ${renderStackedBars(formatSplit)}
+                </div>
+                
+                <div class="metric-card">
+                    <h4>Top Publishers</h4>
+                    <p class="metric-description">Imprints grouped by publishing house</p>
+                    ${renderPublisherList(publishers.publishers, item =>
+                        `<strong>${escapeHtml(item.name)}</strong>: ${item.count} book${item.count !== 1 ? 's' : ''}${describeRating(item)}`)}
+                </div>
+                
+                <div class="metric-card">
+                    <h4>Top Imprints</h4>
+                    ${renderPublisherList(publishers.imprints, item =>
+                        `<strong>${escapeHtml(item.name)}</strong>${item.publisher ? ` (${escapeHtml(item.publisher)})` : ''}: ${item.count} book${item.count !== 1 ? 's' : ''}${describeRating(item)}`)}
+                </div>
+                
+                <div class="metric-card">
+                    <h4>Favourite Publishers</h4>
+                    <p class="metric-description">Your average rating, ${PUBLISHER_MIN_RATED_BOOKS}+ rated books</p>
+                    ${renderPublisherList(publishers.favourites, item =>
+                        `<strong>${escapeHtml(item.name)}</strong>: ${formatNumber(item.averageRating)}★ over ${item.ratedCount} books`)}
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+// ============================================
+// Phase 4: Backlog Intelligence
+// ============================================
+
+/**
+ * Calculates backlog insights from unread books.
+ * @param {Array} unreadBooks - Books not yet read
+ * @returns {Object} Backlog intelligence metrics
+ */
+function calculateBacklogInsights(unreadBooks) {
+    if (!unreadBooks || unreadBooks.length === 0) {
+        return {
+            totalUnread: 0,
+            oldestUnread: null,
+            averageAge: null,
+            longestUnread: null,
+            shortestUnread: null,
+            highestRatedUnread: null,
+            eraDistribution: {},
+            lengthDistribution: {}
+        };
+    }
+    
+    return {
+        totalUnread: unreadBooks.length,
+        oldestUnread: findOldestUnread(unreadBooks),
+        averageAge: calculateAverageBacklogAge(unreadBooks),
+        longestUnread: findLongestUnread(unreadBooks),
+        shortestUnread: findShortestUnread(unreadBooks),
+        highestRatedUnread: findHighestRatedUnread(unreadBooks),
+        eraDistribution: calculateBacklogEraDistribution(unreadBooks),
+        lengthDistribution: calculateBacklogLengthDistribution(unreadBooks)
+    };
+}
+
+/**
+ * Parses a date string safely into a local Date.
+ * Books store ISO dates; other formats go through normaliseDate.
+ * @param {string} dateStr - Date string to parse
+ * @param {string} dateFormat - Day/month order for numeric dates ('DMY' or 'MDY')
+ * @returns {Date|null} Parsed date or null
+ */
+function parseDateSafe(dateStr, dateFormat = 'DMY') {
+    const iso = normaliseDate(dateStr, dateFormat);
+    if (!iso) return null;
+    
+    const [year, month, day] = iso.split('-').map(part => parseInt(part, 10));
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * Finds the oldest unread book by dateAdded.
+ * @param {Array} unreadBooks - Unread books
+ * @returns {Object|null} Oldest book or null
+ */
+function findOldestUnread(unreadBooks) {
+    const booksWithDates = unreadBooks
+        .filter(b => b.dateAdded)
+        .map(b => ({ ...b, parsedDate: parseDateSafe(b.dateAdded) }))
+        .filter(b => b.parsedDate !== null);
+    
+    if (booksWithDates.length === 0) {
+        return null;
+    }
+    
+    const sorted = booksWithDates.sort((a, b) => a.parsedDate - b.parsedDate);
+    
+    const oldest = sorted[0];
+    
+    return {
+        title: oldest.title || 'Unknown',
+        author: oldest.author || 'Unknown',
+        dateAdded: oldest.dateAdded
+    };
+}
+
+/**
+ * Calculates average age of backlog in years.
+ * @param {Array} unreadBooks - Unread books
+ * @returns {number|null} Average age or null
+ */
+function calculateAverageBacklogAge(unreadBooks) {
+    const now = new Date();
+    const validBooks = unreadBooks
+        .map(b => ({ ...b, parsedDate: parseDateSafe(b.dateAdded) }))
+        .filter(b => b.parsedDate !== null);
+    
+    if (validBooks.length === 0) return null;
+    
+    const totalYears = validBooks.reduce((sum, book) => {
+        const years = (now - book.parsedDate) / (1000 * 60 * 60 * 24 * 365.25);
+        return sum + years;
+    }, 0);
+    
+    return (totalYears / validBooks.length).toFixed(1);
+}
+
+/**
+ * Finds the longest unread book by page count.
+ * @param {Array} unreadBooks - Unread books
+ * @returns {Object|null} Longest book or null
+ */
+function findLongestUnread(unreadBooks) {
+    const booksWithPages = unreadBooks.filter(b => b.pages > 0);
+    if (booksWithPages.length === 0) return null;
+    
+    const sorted = booksWithPages.sort((a, b) => b.pages - a.pages);
+    const longest = sorted[0];
+    
+    return {
+        title: longest.title || 'Unknown',
+        author: longest.author || 'Unknown',
+        pages: longest.pages
+    };
+}
+
+/**
+ * Finds the shortest unread book by page count.
+ * @param {Array} unreadBooks - Unread books
+ * @returns {Object|null} Shortest book or null
+ */
+function findShortestUnread(unreadBooks) {
+    const booksWithPages = unreadBooks.filter(b => b.pages > 0);
+    if (booksWithPages.length === 0) return null;
+    
+    const sorted = booksWithPages.sort((a, b) => a.pages - b.pages);
+    const shortest = sorted[0];
+    
+    return {
+        title: shortest.title || 'Unknown',
+        author: shortest.author || 'Unknown',
+        pages: shortest.pages
+    };
+}
+
+/**
+ * Finds the highest rated unread book.
+ * @param {Array} unreadBooks - Unread books
+ * @returns {Object|null} Highest rated book or null
+ */
+function findHighestRatedUnread(unreadBooks) {
+    const booksWithRatings = unreadBooks.filter(b => b.averageRating > 0);
+    if (booksWithRatings.length === 0) return null;
+    
+    const sorted = booksWithRatings.sort((a, b) => b.averageRating - a.averageRating);
+    const highest = sorted[0];
+    
+    return {
+        title: highest.title || 'Unknown',
+        author: highest.author || 'Unknown',
+        averageRating: highest.averageRating.toFixed(2)
+    };
+}
+
+/**
+ * Calculates era distribution for unread books.
+ * @param {Array} unreadBooks - Unread books
+ * @returns {Object} Era distribution counts
+ */
+function calculateBacklogEraDistribution(unreadBooks) {
+    const buckets = { classic: 0, late20th: 0, modern: 0 };
+    
+    unreadBooks.forEach(book => {
+        if (!book.publicationYear || book.publicationYear <= 0) return;
+        if (book.publicationYear < 1950) buckets.classic++;
+        else if (book.publicationYear <= 1999) buckets.late20th++;
+        else buckets.modern++;
+    });
+    
+    return buckets;
+}
+
+/**
+ * Calculates length distribution for unread books.
+ * @param {Array} unreadBooks - Unread books
+ * @returns {Object} Length distribution counts
+ */
+function calculateBacklogLengthDistribution(unreadBooks) {
+    const buckets = { short: 0, medium: 0, long: 0, epic: 0 };
+    
+    unreadBooks.forEach(book => {
+        if (book.pages <= 0) return;
+        if (book.pages < 300) buckets.short++;
+        else if (book.pages <= 500) buckets.medium++;
+        else if (book.pages <= 800) buckets.long++;
+        else buckets.epic++;
+    });
+    
+    return buckets;
+}
+
+// ============================================
+// Phase 4b: Currently Reading Tracker
+// ============================================
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// A book is stalled once it has been in progress this many times longer than usual
+const STALLED_MULTIPLIER = 2;
+
+// Never flag books as stalled within their first fortnight
+const STALLED_MIN_DAYS = 14;
+
+/**
+ * Counts whole days between two dates.
+ * @param {Date} start - Start date
+ * @param {Date} end - End date
+ * @returns {number} Days between (negative if end is before start)
+ */
+function daysBetween(start, end) {
+    return Math.floor((end - start) / MS_PER_DAY);
+}
+
+/**
+ * Calculates typical finishing behaviour from read books.
+ * Uses the time between Date Added and Date Read, the only span in the export.
+ * @param {Array} readBooks - Books that have been read
+ * @returns {Object} Median days to finish and median pages per day (null when unknown)
+ */
+function calculateFinishPace(readBooks) {
+    const spans = getReadingSpans(readBooks);
+    
+    if (spans.length === 0) {
+        return { typicalDays: null, pagesPerDay: null };
+    }
+    
+    const paces = spans.filter(span => span.pagesPerDay !== null).map(span => span.pagesPerDay);
+    
+    return {
+        typicalDays: median(spans.map(span => span.days)),
+        pagesPerDay: paces.length > 0 ? median(paces) : null
+    };
+}
+
+/**
+ * Builds progress estimates for books currently being read.
+ * @param {Array} currentBooks - Books on the currently-reading shelf
+ * @param {Array} readBooks - Books that have been read (for typical pace)
+ * @param {Date} now - Reference date (defaults to today)
+ * @returns {Object} Typical pace and per-book progress estimates
+ */
+function calculateCurrentlyReadingInsights(currentBooks, readBooks, now = new Date()) {
+    const pace = calculateFinishPace(readBooks);
+    const stalledAfterDays = pace.typicalDays !== null
+        ? Math.max(STALLED_MIN_DAYS, pace.typicalDays * STALLED_MULTIPLIER)
+        : null;
+    
+    const inProgress = currentBooks.map(book => {
+        const added = parseDateSafe(book.dateAdded);
+        const daysInProgress = added ? Math.max(0, daysBetween(added, now)) : null;
+        
+        let pagesRemaining = null;
+        if (book.pages > 0 && daysInProgress !== null && pace.pagesPerDay) {
+            pagesRemaining = Math.max(0, Math.round(book.pages - (pace.pagesPerDay * daysInProgress)));
+        }
+        
+        return {
+            title: book.title || 'Unknown',
+            author: book.author || 'Unknown',
+            pages: book.pages,
+            dateAdded: book.dateAdded,
+            daysInProgress,
+            pagesRemaining,
+            stalled: stalledAfterDays !== null && daysInProgress !== null && daysInProgress > stalledAfterDays
+        };
+    });
+    
+    // Longest-running first
+    inProgress.sort((a, b) => (b.daysInProgress || 0) - (a.daysInProgress || 0));
+    
+    return {
+        books: inProgress,
+        typicalDays: pace.typicalDays,
+        pagesPerDay: pace.pagesPerDay,
+        stalledAfterDays
+    };
+}
+
+/**
+ * Renders the currently reading panel.
+ * @param {Object} insights - Result of calculateCurrentlyReadingInsights
+ * @returns {string} Panel HTML
+ */
+function renderCurrentlyReadingPanel(insights) {
+    const paceText = insights.typicalDays === null
+        ? 'Not enough finished books with dates to estimate your pace'
+        : `You typically finish a book ${formatNumber(insights.typicalDays, 0)} days after adding it` +
+          (insights.pagesPerDay ? `, at around ${formatNumber(insights.pagesPerDay, 0)} pages a day` : '');
+    
+    const cards = insights.books.map(book => `
+                <div class="metric-card${book.stalled ? ' stalled' : ''}">
+                    <h4>${book.stalled ? 'Stalled' : 'In Progress'}</h4>
+                    <p><strong>${escapeHtml(book.title)}</strong></p>
+                    <p>by ${escapeHtml(book.author)}</p>
+                    <p>${book.daysInProgress === null ? 'Start date unknown' : `${book.daysInProgress} day${book.daysInProgress !== 1 ? 's' : ''} in progress`}</p>
+                    ${book.pagesRemaining === null ? '' : book.pagesRemaining === 0
+                        ? '<p>At your usual pace you would have finished by now</p>'
+                        : `<p>~${book.pagesRemaining} of ${book.pages} pages left</p>`}
+                    ${book.stalled ? `<p class="stalled-warning">Well past your usual ${formatNumber(insights.typicalDays, 0)} days</p>` : ''}
+                </div>
+    `).join('');
+    
+    return `
+        <div class="currently-reading">
+            <h3>Currently Reading</h3>
+            <p class="section-description">${paceText}</p>
+            
+            ${insights.books.length === 0 ? '<p>Nothing on your currently-reading shelf</p>' : `
+            <div class="metrics-grid">
+                ${cards}
+            </div>
+            `}
+        </div>
+    `;
+}
+
+// ============================================
+// Phase 5: Behavioural Decision Funnel
+// ============================================
+
+// Books shown in the ranked shortlist until changed
+const DEFAULT_SHORTLIST_SIZE = 5;
+
+// The risk step - answering it runs the recommendation
+const FINAL_STEP = 5;
+
+// Top-ranked books looked up on Open Library before the final pick
+const ENRICHMENT_SHORTLIST_SIZE = 10;
+
+// Books within this many points of the top score count as tied
+const TIE_BREAK_MARGIN = 0.5;
+
+// Tie-break seed used until one is entered or opened from a shared link
+const DEFAULT_TIE_BREAK_SEED = 1;
+
+// Global state for decision flow
+let decisionState = {
+    currentStep: 1,
+    selections: {
+        timeInvestment: '',
+        genrePreference: '',
+        behaviourPreference: '',
+        backlogPreference: '',
+        riskPreference: '',
+        format: 'any'
+    },
+    candidates: [],
+    allBooks: [],
+    behaviourProfile: null,
+    timeBudgets: null,
+    ranked: [],
+    pickIndex: 0,
+    shortlistSize: DEFAULT_SHORTLIST_SIZE,
+    seed: DEFAULT_TIE_BREAK_SEED,
+    shownBooks: new Set(),
+    genreLabels: new Map(),
+    pool: 'backlog',
+    backlogBooks: [],
+    rereadBooks: [],
+    lastSelections: null,
+    runId: 0,
+    listenersBound: false
+};
+
+/**
+ * Initialises the behavioural decision funnel.
+ * @param {Array} wantToReadBooks - Books marked as "want to read"
+ */
+function initDecisionEngine(wantToReadBooks) {
+    const decisionSection = document.getElementById('decision-engine-section');
+    
+    // Show the decision engine section
+    decisionSection.classList.remove('hidden');
+    
+    // Store both candidate pools and derive behaviour profile
+    decisionState.backlogBooks = wantToReadBooks;
+    decisionState.rereadBooks = getRereadCandidates(books);
+    decisionState.allBooks = decisionState.pool === 'reread' ? decisionState.rereadBooks : wantToReadBooks;
+    decisionState.behaviourProfile = deriveBehaviourProfile();
+    refreshTimeBudgets();
+    
+    // Reset state - the format choice from the last run is kept
+    decisionState.currentStep = 1;
+    decisionState.selections = {
+        timeInvestment: '',
+        genrePreference: '',
+        behaviourPreference: '',
+        backlogPreference: '',
+        riskPreference: '',
+        format: (decisionState.lastSelections && decisionState.lastSelections.format) || 'any'
+    };
+    decisionState.candidates = getPoolCandidates();
+    decisionState.ranked = [];
+    
+    // Bind listeners once - the engine is re-initialised on every import
+    if (!decisionState.listenersBound) {
+        // Setup step buttons
+        setupStepButtons();
+        
+        // Setup back buttons
+        setupBackButtons();
+        
+        // Setup start over button
+        const startOverBtn = document.getElementById('start-over-btn');
+        if (startOverBtn) {
+            startOverBtn.addEventListener('click', () => {
+                resetDecisionFlow();
+            });
+        }
+        
+        // Setup re-read toggle
+        const rereadBtn = document.getElementById('reread-toggle-btn');
+        if (rereadBtn) {
+            rereadBtn.addEventListener('click', () => {
+                setCandidatePool(decisionState.pool === 'reread' ? 'backlog' : 'reread');
+            });
+        }
+        
+        // Setup shortlist size
+        const shortlistSelect = document.getElementById('shortlist-size-select');
+        if (shortlistSelect) {
+            shortlistSelect.value = decisionState.shortlistSize;
+            shortlistSelect.addEventListener('change', () => {
+                decisionState.shortlistSize = parseInt(shortlistSelect.value, 10) || DEFAULT_SHORTLIST_SIZE;
+                if (decisionState.ranked.length > 0) {
+                    showRankedRecommendation();
+                }
+            });
+        }
+        
+        // Setup tie-break seed, starting from a shared link if there is one
+        const seedInput = document.getElementById('tie-break-seed-input');
+        const sharedSeed = readSeedFromUrl();
+        if (sharedSeed !== null) {
+            decisionState.seed = sharedSeed;
+        }
+        if (seedInput) {
+            seedInput.value = decisionState.seed;
+            seedInput.addEventListener('change', () => {
+                const seed = parseSeed(seedInput.value);
+                setTieBreakSeed(seed === null ? DEFAULT_TIE_BREAK_SEED : seed);
+                seedInput.value = decisionState.seed;
+            });
+        }
+        
+        // A seed link pasted into an open tab only changes the hash
+        window.addEventListener('hashchange', () => {
+            const seed = readSeedFromUrl();
+            if (seed === null || seed === decisionState.seed) return;
+            
+            setTieBreakSeed(seed);
+            if (seedInput) {
+                seedInput.value = decisionState.seed;
+            }
+        });
+        
+        // Setup reading speed input
+        initTimeControls();
+        
+        // Setup format filter
+        const formatSelect = document.getElementById('format-filter');
+        if (formatSelect) {
+            formatSelect.addEventListener('change', () => {
+                decisionState.selections.format = formatSelect.value;
+                decisionState.candidates = getPoolCandidates();
+                updateCandidateCount();
+            });
+        }
+        
+        decisionState.listenersBound = true;
+    }
+    
+    // Mark the answers from the last completed run
+    highlightLastSelections();
+    
+    // Show step 1
+    updatePoolToggle();
+    syncFormatSelect();
+    showStep(1);
+    updateCandidateCount();
+}
+
+/**
+ * Sets up step button event listeners.
+ */
+function setupStepButtons() {
+    const stepContainer = document.getElementById('step-container');
+    if (!stepContainer) return;
+    
+    // Delegated, since the genre options are rendered per library
+    stepContainer.addEventListener('click', (e) => {
+        const btn = e.target.closest('.step-btn[data-step]');
+        if (!btn) return;
+        
+        const step = btn.dataset.step;
+        const value = btn.dataset.value;
+        
+        // Store selection
+        decisionState.selections[step] = value;
+        
+        // Handle based on current step
+        if (decisionState.currentStep === 1) {
+            // Apply time filter
+            const filtered = applyTimeFilter(decisionState.candidates, value, decisionState.timeBudgets);
+            if (filtered.length === 0) {
+                showNoCandidatesMessage();
+                return;
+            }
+            decisionState.candidates = filtered;
+            advanceStep(2);
+        } else if (decisionState.currentStep < FINAL_STEP) {
+            advanceStep(decisionState.currentStep + 1);
+        } else {
+            // Final step - run recommendation
+            runRecommendation().catch(error => {
+                console.error('Recommendation error:', error);
+                document.getElementById('recommendation-result').innerHTML =
+                    '<p class="no-match">Something went wrong choosing a book. Please try again.</p>';
+            });
+        }
+    });
+}
+
+/**
+ * Sets up back button event listeners.
+ */
+function setupBackButtons() {
+    // Only funnel back buttons carry a target step
+    document.querySelectorAll('.back-btn[data-step]').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            const targetStep = parseInt(e.target.dataset.step);
+            
+            // Clear filters from steps we're going back past
+            if (targetStep < decisionState.currentStep) {
+                if (decisionState.currentStep > 4) {
+                    decisionState.selections.riskPreference = '';
+                }
+                if (decisionState.currentStep > 3) {
+                    decisionState.selections.backlogPreference = '';
+                }
+                if (decisionState.currentStep > 2) {
+                    decisionState.selections.behaviourPreference = '';
+                }
+                if (decisionState.currentStep > 1) {
+                    decisionState.selections.genrePreference = '';
+                }
+            }
+            
+            // If going back to step 1, reset candidates
+            if (targetStep === 1) {
+                decisionState.candidates = getPoolCandidates();
+                decisionState.selections.timeInvestment = '';
+            }
+            
+            // Remove summary displays
+            document.querySelectorAll('.selections-summary').forEach(el => el.remove());
+            
+            advanceStep(targetStep);
+        });
+    });
+}
+
+/**
+ * Applies time investment filter.
+ * Books are bucketed by estimated hours, so audiobooks are judged by listening time.
+ * @param {Array} books - Books to filter
+ * @param {string} selection - 'evening', 'week', 'month' or 'any'
+ * @param {Object} budgets - Hours per choice from calculateTimeBudgets
+ * @returns {Array} Filtered books
+ */
+function applyTimeFilter(books, selection, budgets = calculateTimeBudgets([])) {
+    if (!selection || selection === 'any') {
+        return books;
+    }
+    
+    return books.filter(book => {
+        const hours = estimateBookHours(book, budgets.pagesPerHour, timeSettings.listeningHours);
+        if (hours === null) return false;
+        
+        if (selection === 'evening') return hours <= budgets.evening;
+        if (selection === 'week') return hours > budgets.evening && hours <= budgets.week;
+        if (selection === 'month') return hours > budgets.week;
+        return true;
+    });
+}
+
+/**
+ * Derives user's reading behaviour profile from read books.
+ * @returns {Object} Behaviour profile
+ */
+function deriveBehaviourProfile() {
+    const readBooks = books.filter(isReadBook);
+    
+    if (readBooks.length === 0) {
+        return { dominantLength: null, dominantEra: null, topAuthors: [], dominantGenres: [], genreCounts: {} };
+    }
+    
+    // Find dominant length bucket
+    const lengthCounts = { quick: 0, moderate: 0, long: 0 };
+    readBooks.forEach(book => {
+        if (book.pages > 0) {
+            if (book.pages < 300) lengthCounts.quick++;
+            else if (book.pages <= 500) lengthCounts.moderate++;
+            else lengthCounts.long++;
+        }
+    });
+    const dominantLength = Object.entries(lengthCounts)
+        .sort((a, b) => b[1] - a[1])[0][0];
+    
+    // Find dominant era bucket
+    const eraCounts = { classic: 0, late20th: 0, modern: 0 };
+    readBooks.forEach(book => {
+        if (book.publicationYear > 0) {
+            if (book.publicationYear < 1950) eraCounts.classic++;
+            else if (book.publicationYear <= 1999) eraCounts.late20th++;
+            else eraCounts.modern++;
+        }
+    });
+    const dominantEra = Object.entries(eraCounts)
+        .sort((a, b) => b[1] - a[1])[0][0];
+    
+    // Find top authors
+    const authorCounts = {};
+    readBooks.forEach(book => {
+        getBookContributors(book, CONTRIBUTOR_SCOPES.familiarAuthor).forEach(author => {
+            authorCounts[author] = (authorCounts[author] || 0) + 1;
+        });
+    });
+    const topAuthors = Object.entries(authorCounts)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 5)
+        .map(([author]) => author);
+    
+    // Authors whose books were reviewed positively
+    const positivelyReviewedAuthors = findPositivelyReviewedAuthors(readBooks);
+    
+    // Backlog books that continue a well-rated series
+    const nextInSeries = findNextInSeries(calculateSeriesProgress(books)).map(({ book }) => getBookKey(book));
+    
+    // Genres and shelves read most often
+    const { dominantGenres, genreCounts } = getBehaviourProfile();
+    
+    return { dominantLength, dominantEra, topAuthors, dominantGenres, genreCounts, positivelyReviewedAuthors, nextInSeries, avgRating: average(readBooks.map(b => b.averageRating).filter(r => r > 0)) };
+}
+
+/**
+ * Advances to specified step.
+ * @param {number} stepNumber - Step to show
+ */
+function advanceStep(stepNumber) {
+    // Hide current step
+    const currentStepEl = document.getElementById(`step-${decisionState.currentStep}`);
+    if (currentStepEl) {
+        currentStepEl.classList.add('hidden');
+    }
+    
+    // Show new step
+    decisionState.currentStep = stepNumber;
+    showStep(stepNumber);
+    updateCandidateCount();
+}
+
+/**
+ * Shows specified step.
+ * @param {number} stepNumber - Step to show
+ */
+function showStep(stepNumber) {
+    // Hide all steps
+    document.querySelectorAll('.decision-step').forEach(el => {
+        el.classList.add('hidden');
+    });
+    
+    // Genre options depend on the books left after the time step
+    if (stepNumber === 2) {
+        renderGenreOptions();
+    }
+    
+    // Show target step
+    const stepEl = document.getElementById(`step-${stepNumber}`);
+    if (stepEl) {
+        stepEl.classList.remove('hidden');
+        
+        // Add selected preferences summary for steps 2-5, placed after options
+        if (stepNumber >= 2 && stepNumber <= FINAL_STEP) {
+            const existingSummary = stepEl.querySelector('.selections-summary');
+            if (existingSummary) {
+                existingSummary.remove();
+            }
+            
+            const summary = document.createElement('div');
+            summary.className = 'selections-summary';
+            summary.style.cssText = 'background: rgba(16, 185, 129, 0.15); border: 1px solid rgba(16, 185, 129, 0.3); padding: 0.75rem; border-radius: 4px; margin-top: 1rem; font-size: 0.9rem;';
+            
+            let summaryText = '<strong>Your preferences so far:</strong><br>';
+            if (decisionState.selections.format && decisionState.selections.format !== 'any') {
+                const formatLabels = { print: 'Print', ebook: 'Ebook', audio: 'Audiobook' };
+                summaryText += `• Format: ${formatLabels[decisionState.selections.format] || decisionState.selections.format}<br>`;
+            }
+            if (decisionState.selections.timeInvestment) {
+                summaryText += `• Time: ${TIME_LABELS[decisionState.selections.timeInvestment] || decisionState.selections.timeInvestment}<br>`;
+            }
+            if (decisionState.selections.genrePreference && stepNumber > 2) {
+                summaryText += `• Genre: ${getGenreLabel(decisionState.selections.genrePreference)}<br>`;
+            }
+            if (decisionState.selections.behaviourPreference && stepNumber > 3) {
+                const behLabels = { familiar: 'Stick to what I love', different: 'Try something different', any: 'No preference' };
+                summaryText += `• Style: ${behLabels[decisionState.selections.behaviourPreference] || decisionState.selections.behaviourPreference}<br>`;
+            }
+            if (decisionState.selections.backlogPreference && stepNumber > 4) {
+                const backLabels = { old: 'Clear something old', new: 'Read something new', any: 'No preference' };
+                summaryText += `• Backlog: ${backLabels[decisionState.selections.backlogPreference] || decisionState.selections.backlogPreference}<br>`;
+            }
+            
+            summary.innerHTML = summaryText;
+            
+            // Insert after the options div
+            const optionsDiv = stepEl.querySelector('.step-options');
+            if (optionsDiv) {
+                optionsDiv.after(summary);
+            }
+        }
+    }
+}
+
+/**
+ * Updates candidate count display.
+ */
+function updateCandidateCount() {
+    // Only show count for step 1 (actual filtering)
+    if (decisionState.currentStep !== 1) {
+        return;
+    }
+    
+    const count = decisionState.candidates.length;
+    const stepEl = document.getElementById(`step-${decisionState.currentStep}`);
+    if (stepEl) {
+        const countEl = stepEl.querySelector('.candidate-count');
+        if (countEl) {
+            countEl.textContent = `${count} book${count !== 1 ? 's' : ''} available`;
+        }
+    }
+}
+
+/**
+ * Shows message when no candidates remain.
+ */
+function showNoCandidatesMessage() {
+    const stepEl = document.getElementById(`step-${decisionState.currentStep}`);
+    const countEl = stepEl.querySelector('.candidate-count');
+    if (countEl) {
+        countEl.innerHTML = `No books match. <button onclick="relaxConstraint()" class="step-btn" style="margin-top: 0.5rem;">Relax Previous Choice</button>`;
+    }
+}
+
+/**
+ * Relaxes the previous constraint.
+ */
+function relaxConstraint() {
+    // Drop the format choice if it alone leaves nothing to pick from
+    if (getPoolCandidates().length === 0) {
+        decisionState.selections.format = 'any';
+        syncFormatSelect();
+    }
+    
+    // Reset candidates to all books in the chosen format
+    decisionState.candidates = getPoolCandidates();
+    
+    // Clear previous selection
+    if (decisionState.currentStep === 2) {
+        decisionState.selections.timeInvestment = '';
+    }
+    
+    updateCandidateCount();
+}
+
+/**
+ * Runs final recommendation scoring.
+ * The top of the ranking is enriched with Open Library subjects first,
+ * so the genre step can count books not on any of your shelves.
+ */
+async function runRecommendation() {
+    const resultDiv = document.getElementById('recommendation-result');
+    
+    // Hide the last step, show result
+    document.getElementById(`step-${FINAL_STEP}`).classList.add('hidden');
+    document.getElementById('step-result').classList.remove('hidden');
+    
+    // Check candidates
+    if (decisionState.candidates.length === 0) {
+        resultDiv.innerHTML = '<p class="no-match">No books match your criteria.</p>';
+        return;
+    }
+    
+    // Remember these answers for the next session
+    decisionState.lastSelections = { ...decisionState.selections };
+    persistLibrary();
+    
+    // Ignore this run's result if the funnel is restarted while enriching
+    const runId = ++decisionState.runId;
+    const ranked = await rankWithEnrichment(decisionState.candidates, decisionState.seed, (done, total) => {
+        if (runId === decisionState.runId) {
+            renderEnrichmentProgress(done, total);
+        }
+    });
+    if (runId !== decisionState.runId) {
+        return;
+    }
+    
+    // Rank with a seeded tie-break - the same seed always gives the same winner
+    decisionState.ranked = ranked;
+    showNextUnseenPick();
+}
+
+/**
+ * Scores candidates, keeping the breakdown to explain each score.
+ * @param {Array} candidates - Books to score
+ * @returns {Array} [{ book, score, breakdown }]
+ */
+function scoreCandidates(candidates) {
+    return candidates.map(book => {
+        const breakdown = calculateScoreBreakdown(book);
+        return { book, score: breakdown.total, breakdown };
+    });
+}
+
+/**
+ * Ranks candidates, enriches the top-scoring shortlist, then re-ranks
+ * so the fetched subjects count towards the final order.
+ * @param {Array} candidates - Books to rank
+ * @param {number} seed - Tie-break seed
+ * @param {Function} onProgress - Called with (done, total) as books are enriched (optional)
+ * @returns {Promise<Array>} Ranked [{ book, score, breakdown }]
+ */
+async function rankWithEnrichment(candidates, seed, onProgress = null) {
+    const ranked = rankCandidates(scoreCandidates(candidates), seed);
+    const shortlist = ranked.slice(0, ENRICHMENT_SHORTLIST_SIZE).map(entry => entry.book);
+    
+    // Enrichment only refines the order, so a failure falls back to the local ranking
+    let enrichedCount = 0;
+    try {
+        enrichedCount = await enrichCandidates(shortlist, ENRICHMENT_SHORTLIST_SIZE, onProgress);
+    } catch (error) {
+        console.warn('Could not enrich shortlist:', error);
+    }
+    if (enrichedCount === 0) {
+        return ranked;
+    }
+    
+    return rankCandidates(scoreCandidates(candidates), seed);
+}
+
+/**
+ * Shows enrichment progress in place of the result.
+ * @param {number} done - Books enriched so far
+ * @param {number} total - Books being enriched
+ */
+function renderEnrichmentProgress(done, total) {
+    const resultDiv = document.getElementById('recommendation-result');
+    if (!resultDiv) return;
+    
+    resultDiv.innerHTML = `
+        <div class="enrichment-progress">
+            <p>Looking up subjects on Open Library… ${done} of ${total}</p>
+            <progress max="${total}" value="${done}"></progress>
+        </div>
+    `;
+}
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32).
+ * @param {number} seed - Integer seed
+ * @returns {Function} Returns the same sequence of numbers in [0, 1) for the same seed
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Ranks scored candidates, breaking near-ties with a seeded shuffle.
+ * Books within TIE_BREAK_MARGIN of the top score are shuffled, the rest follow by score.
+ * Tied books are put in book key order first, so the input order never matters.
+ * @param {Array} scored - { book, score, breakdown } entries
+ * @param {number} seed - Tie-break seed
+ * @returns {Array} New ranked array
+ */
+function rankCandidates(scored, seed) {
+    const byKey = (a, b) => getBookKey(a.book).localeCompare(getBookKey(b.book));
+    const byScore = [...scored].sort((a, b) => b.score - a.score || byKey(a, b));
+    if (byScore.length === 0) return [];
+    
+    const cutoff = byScore[0].score - TIE_BREAK_MARGIN;
+    const tied = byScore.filter(entry => entry.score >= cutoff).sort(byKey);
+    const rest = byScore.filter(entry => entry.score < cutoff);
+    
+    // Fisher-Yates shuffle driven by the seed
+    const random = createSeededRandom(seed);
+    for (let i = tied.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [tied[i], tied[j]] = [tied[j], tied[i]];
+    }
+    
+    return [...tied, ...rest];
+}
+
+/**
+ * Finds the best-ranked book not yet shown this session.
+ * @param {Array} ranked - Result of rankCandidates
+ * @param {Set} shownBooks - Keys of books already recommended
+ * @returns {number} Index into ranked, or -1 once every book has been shown
+ */
+function findNextPick(ranked, shownBooks) {
+    return ranked.findIndex(entry => !shownBooks.has(getBookKey(entry.book)));
+}
+
+/**
+ * Takes the best-ranked book not yet shown this session and marks it as shown.
+ * @param {Array} ranked - Result of rankCandidates
+ * @param {Set} shownBooks - Keys of books already recommended (updated in place)
+ * @returns {number} Index into ranked, or -1 once every book has been shown
+ */
+function takeNextPick(ranked, shownBooks) {
+    const pickIndex = findNextPick(ranked, shownBooks);
+    if (pickIndex !== -1) {
+        shownBooks.add(getBookKey(ranked[pickIndex].book));
+    }
+    return pickIndex;
+}
+
+/**
+ * Shows the best-ranked book not yet shown this session.
+ * At the start of a session that is the top of the ranking, so a shared seed
+ * reproduces the same pick.
+ */
+function showNextUnseenPick() {
+    const pickIndex = takeNextPick(decisionState.ranked, decisionState.shownBooks);
+    if (pickIndex === -1) {
+        const resultDiv = document.getElementById('recommendation-result');
+        resultDiv.innerHTML = `
+            <p class="no-match">You have already been shown every book that matches these answers.</p>
+            <button class="step-btn" onclick="startNewSession()">Start a new session</button>
+        `;
+        return;
+    }
+    
+    decisionState.pickIndex = pickIndex;
+    showRankedRecommendation();
+}
+
+/**
+ * Ends the recommendation session, so books shown before can be recommended again.
+ * A session lasts until the next library import, or until this is chosen.
+ */
+function startNewSession() {
+    decisionState.shownBooks.clear();
+    if (decisionState.ranked.length > 0) {
+        showNextUnseenPick();
+    }
+}
+
+/**
+ * Parses an entered tie-break seed.
+ * @param {string} value - Input value or URL fragment
+ * @returns {number|null} Whole number seed, or null if invalid
+ */
+function parseSeed(value) {
+    const parsed = parseInt(value, 10);
+    return parsed >= 0 ? parsed : null;
+}
+
+/**
+ * Reads a shared seed from a "#seed=123" link.
+ * @returns {number|null} Seed, or null if the link has none
+ */
+function readSeedFromUrl() {
+    const match = (window.location ? window.location.hash : '').match(/seed=(\d+)/);
+    return match ? parseSeed(match[1]) : null;
+}
+
+/**
+ * Steps to the next book in the ranking without repeating one shown this session.
+ */
+function showAnotherRecommendation() {
+    if (findNextPick(decisionState.ranked, decisionState.shownBooks) === -1) {
+        return;
+    }
+    
+    showNextUnseenPick();
+}
+
+/**
+ * Re-ranks the current result with a new tie-break seed.
+ * @param {number} seed - Tie-break seed
+ */
+function setTieBreakSeed(seed) {
+    decisionState.seed = seed;
+    if (decisionState.ranked.length === 0) {
+        return;
+    }
+    
+    decisionState.ranked = rankCandidates(decisionState.ranked, seed);
+    showNextUnseenPick();
+}
+
+/**
+ * Shows the current pick's card and the top of the shortlist.
+ */
+function showRankedRecommendation() {
+    const pick = decisionState.ranked[decisionState.pickIndex];
+    const cutoff = decisionState.ranked[0].score - TIE_BREAK_MARGIN;
+    
+    renderRecommendation({
+        book: pick.book,
+        score: pick.score,
+        breakdown: pick.breakdown,
+        rank: decisionState.pickIndex + 1,
+        shortlist: decisionState.ranked.slice(0, decisionState.shortlistSize),
+        totalCandidates: decisionState.ranked.length,
+        tiedCount: decisionState.ranked.filter(entry => entry.score >= cutoff).length,
+        seed: decisionState.seed,
+        hasAnother: findNextPick(decisionState.ranked, decisionState.shownBooks) !== -1
+    });
+}
+
+/**
+ * Renders the ranked shortlist with a score breakdown for each book.
+ * @param {Array} shortlist - { book, score, breakdown } entries in rank order
+ * @param {number} totalCandidates - Books that were scored
+ * @param {number} currentRank - Rank of the book being recommended (default 1)
+ * @returns {string} Shortlist HTML
+ */
+function renderShortlist(shortlist, totalCandidates, currentRank = 1) {
+    return `
+        <div class="shortlist">
+            <h4>Top ${shortlist.length} of ${totalCandidates}</h4>
+            <ol class="shortlist-list">
+                ${shortlist.map((entry, i) => `
+                    <li class="shortlist-item${i + 1 === currentRank ? ' current' : ''}">
+                        <div class="shortlist-heading">
+                            <span><strong>${escapeHtml(entry.book.title || 'Unknown Title')}</strong> by ${escapeHtml(entry.book.author || 'Unknown Author')}</span>
+                            <span class="shortlist-score">${entry.score.toFixed(2)}</span>
+                        </div>
+                        ${renderScoreBreakdown(entry.breakdown, i + 1 === currentRank)}
+                    </li>
+                `).join('')}
+            </ol>
+        </div>
+    `;
+}
+
+/**
+ * Renders how a book's score was built up, factor by factor.
+ * @param {Object} breakdown - Result of calculateScoreBreakdown
+ * @param {boolean} open - Whether the details start expanded
+ * @returns {string} Breakdown HTML
+ */
+function renderScoreBreakdown(breakdown, open = false) {
+    const factors = breakdown.factors.map(factor => `
+        <li>
+            <div class="score-factor">
+                <span>${escapeHtml(factor.label)}</span>
+                <strong>${factor.key === 'base' ? '' : '+'}${factor.points.toFixed(2)}</strong>
+            </div>
+            ${factor.reasons.length === 0 ? '<p class="score-reasons">No bonus</p>' :
+              `<ul class="score-reasons">${factor.reasons.map(reason => `<li>${escapeHtml(reason)}</li>`).join('')}</ul>`}
+        </li>
+    `).join('');
+    
+    return `
+        <details class="score-breakdown"${open ? ' open' : ''}>
+            <summary>Why this score</summary>
+            <ul class="score-factors">${factors}</ul>
+        </details>
+    `;
+}
+
+/**
+ * Calculates final score for a book.
+ * @param {Object} book - Book to score
+ * @returns {number} Score
+ */
+function calculateFinalScore(book) {
+    return calculateScoreBreakdown(book).total;
+}
+
+/**
+ * Scores a book factor by factor, recording the profile facts behind each bonus.
+ * Factors only appear once their step has been answered.
+ * @param {Object} book - Book to score
+ * @returns {Object} { total, factors: [{ key, label, points, reasons }] }
+ */
+function calculateScoreBreakdown(book) {
+    const profile = decisionState.behaviourProfile;
+    const selections = decisionState.selections;
+    const factors = [];
+    
+    const addFactor = (key, label, scorer) => {
+        const reasons = [];
+        const points = scorer(reasons);
+        factors.push({ key, label, points, reasons });
+    };
+    
+    addFactor('base', 'Average rating', reasons => {
+        reasons.push(book.averageRating ? `Goodreads readers rate it ${book.averageRating.toFixed(2)}` : 'No Goodreads rating');
+        return book.averageRating || 0;
+    });
+    
+    // Step 2: Genre and mood, with affinity from read history unless trying something different
+    if (profile && selections.genrePreference) {
+        addFactor('genre', 'Genre & mood', reasons =>
+            applyGenreScoring(book, profile, selections.genrePreference, reasons, selections.behaviourPreference !== 'different'));
+    }
+    
+    // Step 3: Behaviour alignment
+    if (profile && selections.behaviourPreference) {
+        addFactor('behaviour', 'Familiar vs different', reasons =>
+            applyBehaviourScoring(book, profile, selections.behaviourPreference, reasons));
+    }
+    
+    // Step 4: Backlog age
+    if (selections.backlogPreference) {
+        addFactor('backlog', 'Backlog age', reasons =>
+            applyBacklogScoring(book, selections.backlogPreference, reasons));
+    }
+    
+    // Step 5: Risk preference
+    if (selections.riskPreference) {
+        addFactor('risk', 'Safety vs risk', reasons =>
+            applyRiskScoring(book, selections.riskPreference, profile, reasons));
+    }
+    
+    // Re-reads: favour the books loved most
+    if (decisionState.pool === 'reread') {
+        addFactor('reread', 'Re-read favourite', reasons => applyRereadScoring(book, reasons));
+    }
+    
+    // Authors whose earlier books were reviewed positively, and series worth continuing
+    if (profile && decisionState.pool === 'backlog') {
+        addFactor('review', 'Your reviews', reasons => applyReviewScoring(book, profile, reasons));
+        addFactor('series', 'Series', reasons => applySeriesScoring(book, profile, reasons));
+    }
+    
+    return {
+        total: factors.reduce((sum, factor) => sum + factor.points, 0),
+        factors
+    };
+}
+
+/**
+ * Applies a bonus for authors whose earlier books were reviewed positively.
+ * @param {Object} book - Book to score
+ * @param {Object} profile - User behaviour profile
+ * @param {Array} reasons - Collects an explanation of each bonus (optional)
+ * @returns {number} Bonus score
+ */
+function applyReviewScoring(book, profile, reasons = []) {
+    const reviewedAuthors = profile.positivelyReviewedAuthors || [];
+    if (!reviewedAuthors.includes(book.author)) return 0;
+    
+    reasons.push(`You reviewed ${book.author} positively (+0.5)`);
+    return 0.5;
+}
+
+/**
+ * Applies re-read scoring for favourite books.
+ * @param {Object} book - Read book to score
+ * @param {Array} reasons - Collects an explanation of each bonus (optional)
+ * @returns {number} Bonus score
+ */
+function applyRereadScoring(book, reasons = []) {
+    let bonus = 0;
+    
+    // Five-star favourites first
+    if (book.userRating >= 5) {
+        bonus += 1;
+        reasons.push('You rated it 5★ (+1)');
+    }
+    
+    // Books already re-read have proven staying power (capped)
+    const rereadBonus = Math.min((book.readCount || 1) - 1, 2) * 0.5;
+    if (rereadBonus > 0) {
+        bonus += rereadBonus;
+        reasons.push(`You have read it ${book.readCount} times (+${rereadBonus})`);
+    }
+    
+    return bonus;
+}
+
+/**
+ * Applies genre scoring: a bonus for the chosen genre or shelf, plus
+ * affinity for the genres you read most.
+ * @param {Object} book - Book to score
+ * @param {Object} profile - User behaviour profile
+ * @param {string} preference - Genre tag key, or 'any'
+ * @param {Array} reasons - Collects an explanation of each bonus (optional)
+ * @param {boolean} includeAffinity - Whether read-history affinity counts (default: true)
+ * @returns {number} Bonus score
+ */
+function applyGenreScoring(book, profile, preference, reasons = [], includeAffinity = true) {
+    const tags = getBookGenreTags(book);
+    let bonus = 0;
+    
+    const chosen = tags.find(tag => tag.key === preference);
+    if (chosen) {
+        bonus += 2;
+        reasons.push(chosen.kind === 'shelf' ? `On your "${chosen.label}" shelf (+2)` : `${chosen.label}, as you asked (+2)`);
+    }
+    
+    // Affinity: one of your three most-read genres or shelves
+    const dominantGenres = profile.dominantGenres || [];
+    const familiar = includeAffinity && tags.find(tag => dominantGenres.includes(tag.key));
+    if (familiar) {
+        bonus += 1;
+        reasons.push(`${familiar.label} is one of your most-read genres (${profile.genreCounts[familiar.key]} books) (+1)`);
+    }
+    
+    return bonus;
+}
+
+// Wording for the behaviour profile's length and era buckets
+const PROFILE_LENGTH_LABELS = { quick: 'under 300 pages', moderate: '300-500 pages', long: 'over 500 pages' };
+const PROFILE_ERA_LABELS = { classic: 'pre-1950', late20th: '1950-1999', modern: '2000 onwards' };
+
+/**
+ * Applies behaviour alignment scoring.
+ * @param {Object} book - Book to score
+ * @param {Object} profile - User behaviour profile
+ * @param {string} preference - User preference
+ * @param {Array} reasons - Collects an explanation of each bonus (optional)
+ * @returns {number} Bonus score
+ */
+function applyBehaviourScoring(book, profile, preference, reasons = []) {
+    if (!profile.dominantLength && !profile.dominantEra) return 0;
+    
+    let bonus = 0;
+    const familiarAuthor = getBookContributors(book, CONTRIBUTOR_SCOPES.familiarAuthor)
+        .find(author => profile.topAuthors.includes(author));
+    const bookLength = book.pages > 0 ? (book.pages < 300 ? 'quick' : book.pages <= 500 ? 'moderate' : 'long') : null;
+    const bookEra = book.publicationYear > 0 ? (book.publicationYear < 1950 ? 'classic' : book.publicationYear <= 1999 ? 'late20th' : 'modern') : null;
+    const usualLength = PROFILE_LENGTH_LABELS[profile.dominantLength];
+    const usualEra = PROFILE_ERA_LABELS[profile.dominantEra];
+    
+    if (preference === 'familiar') {
+        // Bonus for matching dominant patterns
+        if (profile.dominantLength && bookLength === profile.dominantLength) {
+            bonus += 1.5;
+            reasons.push(`Most of your reads are ${usualLength}, like this one (+1.5)`);
+        }
+        if (profile.dominantEra && bookEra === profile.dominantEra) {
+            bonus += 1.5;
+            reasons.push(`Most of your reads were published ${usualEra}, like this one (+1.5)`);
+        }
+        if (familiarAuthor) {
+            bonus += 0.5;
+            reasons.push(`${familiarAuthor} is one of your most-read authors (+0.5)`);
+        }
+    } else if (preference === 'different') {
+        // Bonus for NOT matching dominant patterns
+        if (profile.dominantLength && bookLength && bookLength !== profile.dominantLength) {
+            bonus += 1;
+            reasons.push(`This book is ${PROFILE_LENGTH_LABELS[bookLength]} - you mostly read ${usualLength} (+1)`);
+        }
+        if (profile.dominantEra && bookEra && bookEra !== profile.dominantEra) {
+            bonus += 1;
+            reasons.push(`Published ${PROFILE_ERA_LABELS[bookEra]} - you mostly read books from ${usualEra} (+1)`);
+        }
+        if (!familiarAuthor) {
+            bonus += 0.5;
+            reasons.push('Not one of your most-read authors (+0.5)');
+        }
+    }
+    
+    return bonus;
+}
+
+/**
+ * Applies backlog age scoring.
+ * @param {Object} book - Book to score
+ * @param {string} preference - User preference
+ * @param {Array} reasons - Collects an explanation of each bonus (optional)
+ * @returns {number} Bonus score
+ */
+function applyBacklogScoring(book, preference, reasons = []) {
+    // Re-read candidates are aged from when they were last read
+    const wasRead = isReadBook(book);
+    const addedDate = parseDateSafe(wasRead ? book.dateRead : book.dateAdded);
+    if (!addedDate) return 0;
+    
+    const yearsSinceAdded = (new Date() - addedDate) / (1000 * 60 * 60 * 24 * 365.25);
+    
+    let bonus = 0;
+    if (preference === 'old') {
+        // Bonus for older books
+        if (yearsSinceAdded >= 3) bonus = 2;
+        else if (yearsSinceAdded >= 1) bonus = 1;
+    } else if (preference === 'new') {
+        // Bonus for newer books
+        if (yearsSinceAdded < 1) bonus = 2;
+        else if (yearsSinceAdded < 3) bonus = 1;
+    }
+    
+    if (bonus > 0) {
+        reasons.push(`${wasRead ? 'Last read' : 'Added'} ${formatNumber(yearsSinceAdded)} years ago (+${bonus})`);
+    }
+    return bonus;
+}
+
+/**
+ * Applies risk preference scoring.
+ * @param {Object} book - Book to score
+ * @param {string} preference - User preference
+ * @param {Object} profile - User behaviour profile
+ * @param {Array} reasons - Collects an explanation of each bonus (optional)
+ * @returns {number} Bonus score
+ */
+function applyRiskScoring(book, preference, profile, reasons = []) {
+    const rating = book.averageRating || 0;
+    
+    if (preference === 'safe') {
+        // Heavily weight high ratings
+        if (rating > 0) {
+            reasons.push(`Highly rated picks win - half its ${rating.toFixed(2)} average is added (+${(rating * 0.5).toFixed(2)})`);
+        }
+        return rating * 0.5;
+    } else if (preference === 'risky') {
+        // Prefer near user's average, avoid top 10%
+        if (profile && profile.avgRating > 0) {
+            const distanceFromAvg = Math.abs(rating - profile.avgRating);
+            if (rating < profile.avgRating * 1.1 && rating >= 3.7 && rating <= 4.1) {
+                const bonus = 1.5 - (distanceFromAvg * 0.3);
+                reasons.push(`Rated ${rating.toFixed(2)} - below the crowd favourites, close to the ${profile.avgRating.toFixed(2)} average of books you read (+${bonus.toFixed(2)})`);
+                return bonus;
+            }
+        }
+    }
+    
+    return 0;
+}
+
+/**
+ * Renders the recommendation to the DOM.
+ * @param {Object} recommendation - Recommendation result
+ */
+function renderRecommendation(recommendation) {
+    const resultDiv = document.getElementById('recommendation-result');
+    
+    if (!recommendation || !recommendation.book) {
+        resultDiv.innerHTML = '<p class="no-match">No recommendation available.</p>';
+        return;
+    }
+    
+    const book = recommendation.book;
+    const hours = estimateBookHours(book, getPagesPerHour(), timeSettings.listeningHours);
+    
+    // Build cover HTML
+    let coverHtml = '';
+    if (book.isbn) {
+        const isbn = book.isbn.replace(/[^0-9X]/gi, '');
+        coverHtml = `
+            <div class="book-cover-container">
+                <img 
+                    src="https://covers.openlibrary.org/b/isbn/${isbn}-L.jpg" 
+                    alt="Cover for ${escapeHtml(book.title || 'Unknown Title')}"
+                    class="book-cover"
+                    loading="lazy"
+                    onerror="this.style.display='none'; this.parentElement.classList.add('cover-error');"
+                />
+            </div>
+        `;
+    } else {
+        coverHtml = `
+            <div class="book-cover-container cover-placeholder">
+                <div class="cover-placeholder-content">
+                    <span class="cover-placeholder-icon">📚</span>
+                    <p class="cover-placeholder-title">${escapeHtml(book.title || 'Unknown Title')}</p>
+                    <p class="cover-placeholder-author">${escapeHtml(book.author || 'Unknown Author')}</p>
+                </div>
+            </div>
+        `;
+    }
+    
+    resultDiv.innerHTML = `
+        <div class="recommendation-card">
+            <h4>${decisionState.pool === 'reread' ? 'Recommended Re-read' : 'Recommended Book'}</h4>
+            ${coverHtml}
+            <div class="book-details">
+                <p class="book-title">${escapeHtml(book.title || 'Unknown Title')}</p>
+                <p class="book-author">by ${escapeHtml(book.author || 'Unknown Author')}</p>
+                <div class="book-meta">
+                    ${book.series ? `<span>${escapeHtml(book.series.name)} #${book.series.number}</span>` : ''}
+                    ${book.publicationYear ? `<span>Published: ${book.publicationYear}</span>` : ''}
+                    ${book.pages ? `<span>Pages: ${book.pages}</span>` : ''}
+                    ${hours ? `<span>${book.format === 'audio' ? 'Listening' : 'Reading'} time: ${formatHours(hours)}</span>` : ''}
+                    ${book.averageRating ? `<span>Rating: ${book.averageRating.toFixed(2)}</span>` : ''}
+                    ${decisionState.pool === 'reread' && book.userRating ? `<span>You rated it: ${book.userRating}</span>` : ''}
+                    ${decisionState.pool === 'reread' && book.readCount > 1 ? `<span>Read ${book.readCount} times</span>` : ''}
+                </div>
+                <p class="book-score">Scored ${recommendation.score.toFixed(2)} · selected from ${recommendation.totalCandidates} candidates</p>
+                ${recommendation.seed === undefined ? '' : `
+                    <p class="book-score">
+                        ${recommendation.tiedCount > 1 ? `${recommendation.tiedCount} books within ${TIE_BREAK_MARGIN} points, ordered by ` : 'Tie-break '}seed
+                        <a href="#seed=${recommendation.seed}" class="tie-break-seed">${recommendation.seed}</a>
+                    </p>
+                    <button class="step-btn" onclick="showAnotherRecommendation()" ${recommendation.hasAnother ? '' : 'disabled'}>
+                        ${recommendation.hasAnother ? 'Show me another' : 'No more books to show'}
+                    </button>
+                `}
+            </div>
+        </div>
+        ${recommendation.shortlist ? renderShortlist(recommendation.shortlist, recommendation.totalCandidates, recommendation.rank) : ''}
+    `;
+}
+
+/**
+ * Resets the decision flow to start over.
+ */
+function resetDecisionFlow() {
+    // Reset state - a recommendation still enriching is dropped
+    decisionState.currentStep = 1;
+    decisionState.runId++;
+    decisionState.selections = {
+        timeInvestment: '',
+        genrePreference: '',
+        behaviourPreference: '',
+        backlogPreference: '',
+        riskPreference: '',
+        format: decisionState.selections.format
+    };
+    decisionState.candidates = getPoolCandidates();
+    decisionState.ranked = [];
+    
+    // Hide result
+    document.getElementById('step-result').classList.add('hidden');
+    
+    // Mark the answers from the last completed run
+    highlightLastSelections();
+    
+    // Show step 1
+    updatePoolToggle();
+    syncFormatSelect();
+    showStep(1);
+    updateCandidateCount();
+}
+
+/**
+ * Switches the funnel between the want-to-read backlog and favourite re-reads.
+ * @param {string} pool - 'backlog' or 'reread'
+ */
+function setCandidatePool(pool) {
+    decisionState.pool = pool;
+    decisionState.allBooks = pool === 'reread' ? decisionState.rereadBooks : decisionState.backlogBooks;
+    resetDecisionFlow();
+}
+
+/**
+ * Updates the re-read toggle label and step wording for the active pool.
+ */
+function updatePoolToggle() {
+    const rereadBtn = document.getElementById('reread-toggle-btn');
+    if (rereadBtn) {
+        rereadBtn.textContent = decisionState.pool === 'reread'
+            ? 'Back to my want-to-read list'
+            : `Re-read a favourite instead (${decisionState.rereadBooks.length})`;
+    }
+    
+    const backlogQuestion = document.querySelector('#step-4 .step-question');
+    if (backlogQuestion) {
+        backlogQuestion.textContent = decisionState.pool === 'reread'
+            ? 'Revisit something read long ago, or a recent favourite?'
+            : 'Clear something old, or read something newly added?';
+    }
+}
+
+/**
+ * Gets the active pool narrowed to the chosen format - the starting point for step 1.
+ * @returns {Array} Candidate books
+ */
+function getPoolCandidates() {
+    return applyFormatFilter(decisionState.allBooks, decisionState.selections.format);
+}
+
+/**
+ * Updates the format dropdown to match the current selection.
+ */
+function syncFormatSelect() {
+    const formatSelect = document.getElementById('format-filter');
+    if (formatSelect) {
+        formatSelect.value = decisionState.selections.format || 'any';
+    }
+}
+
+/**
+ * Marks the step buttons chosen in the last completed run as "last time".
+ * They are a reminder only - nothing is applied until a button is clicked.
+ */
+function highlightLastSelections() {
+    const lastSelections = decisionState.lastSelections || {};
+    
+    document.querySelectorAll('.step-btn').forEach(btn => {
+        const isLast = lastSelections[btn.dataset.step] === btn.dataset.value;
+        btn.classList.toggle('last-choice', isLast);
+        if (isLast) {
+            btn.title = 'Your choice last time';
+        } else {
+            btn.removeAttribute('title');
+        }
+    });
+}
+
+/**
+ * Renders the genre step's buttons from the shelves and genres of the books
+ * still in the running, so every option matches something that fits the time.
+ */
+function renderGenreOptions() {
+    const optionsEl = document.getElementById('genre-options');
+    if (!optionsEl) return;
+    
+    const options = buildGenreOptions(decisionState.candidates);
+    decisionState.genreLabels = new Map(options.map(option => [option.key, option.label]));
+    optionsEl.innerHTML = options.map(option => `
+        <button class="step-btn${option.kind === 'shelf' ? ' shelf-option' : ''}" data-step="genrePreference" data-value="${escapeHtml(option.key)}">${escapeHtml(option.label)} (${option.count})</button>
+    `).join('') + '<button class="step-btn" data-step="genrePreference" data-value="any">No preference</button>';
+    highlightLastSelections();
+}
+
+/**
+ * Gets the display label for a genre step answer.
+ * @param {string} key - Genre tag key, or 'any'
+ * @returns {string} Label
+ */
+function getGenreLabel(key) {
+    if (key === 'any') return 'No preference';
+    return decisionState.genreLabels.get(key) || key;
+}
+
+// ============================================
+// Phase 5a: Time Investment
+// ============================================
+
+// Typical silent reading rate, used until you enter your own
+const DEFAULT_PAGES_PER_HOUR = 40;
+
+// Narration runs at roughly 9,000 words an hour - about 30 printed pages
+const LISTENING_PAGES_PER_HOUR = 30;
+
+// Longest book that fits in a single sitting
+const EVENING_HOURS = 3;
+
+// Daily reading time assumed when there is no reading history to measure
+const DEFAULT_HOURS_PER_DAY = 1;
+
+const TIME_LABELS = { evening: 'An evening', week: 'A week', month: 'A month', any: 'Any length' };
+
+/**
+ * Gets the reading speed to convert pages into hours.
+ * @returns {number} Pages per hour
+ */
+function getPagesPerHour() {
+    return timeSettings.pagesPerHour || DEFAULT_PAGES_PER_HOUR;
+}
+
+/**
+ * Works out how many hours of reading fit into each time step choice.
+ * Your daily reading time comes from your usual pages per day.
+ * @param {Array} readBooks - Books that have been read
+ * @param {number} pagesPerHour - Reading speed
+ * @returns {Object} { pagesPerHour, hoursPerDay, evening, week } - a month covers anything longer than a week
+ */
+function calculateTimeBudgets(readBooks, pagesPerHour = DEFAULT_PAGES_PER_HOUR) {
+    const pagesPerDay = calculateReadingSpeed(readBooks).medianPagesPerDay;
+    const hoursPerDay = pagesPerDay ? pagesPerDay / pagesPerHour : DEFAULT_HOURS_PER_DAY;
+    
+    return {
+        pagesPerHour,
+        hoursPerDay,
+        evening: EVENING_HOURS,
+        week: Math.max(EVENING_HOURS, hoursPerDay * 7)
+    };
+}
+
+/**
+ * Estimates how long a book takes to read or listen to.
+ * Audiobooks use the listening time you entered, or an estimate from the print page count.
+ * @param {Object} book - Book to estimate
+ * @param {number} pagesPerHour - Reading speed
+ * @param {Object} listeningHours - Entered listening hours, keyed by getBookKey
+ * @returns {number|null} Hours, or null if unknown
+ */
+function estimateBookHours(book, pagesPerHour = DEFAULT_PAGES_PER_HOUR, listeningHours = {}) {
+    if (book.format === 'audio') {
+        const entered = listeningHours[getBookKey(book)];
+        if (entered > 0) return entered;
+        return book.pages > 0 ? book.pages / LISTENING_PAGES_PER_HOUR : null;
+    }
+    
+    return book.pages > 0 ? book.pages / pagesPerHour : null;
+}
+
+/**
+ * Parses an entered listening time.
+ * @param {string} value - Input value
+ * @returns {number|null} Positive number of hours, or null to clear it
+ */
+function parseListeningHours(value) {
+    const parsed = parseFloat(value);
+    return parsed > 0 ? parsed : null;
+}
+
+/**
+ * Formats a duration in hours for display.
+ * @param {number} hours - Duration
+ * @returns {string} e.g. "45 min" or "6.5 h"
+ */
+function formatHours(hours) {
+    if (hours < 1) return `${Math.round(hours * 60)} min`;
+    return `${formatNumber(hours)} h`;
+}
+
+/**
+ * Recalculates the time budgets and shows them on the time step.
+ */
+function refreshTimeBudgets() {
+    decisionState.timeBudgets = calculateTimeBudgets(books.filter(isReadBook), getPagesPerHour());
+    
+    const speedInput = document.getElementById('reading-speed-input');
+    if (speedInput) {
+        speedInput.value = timeSettings.pagesPerHour || '';
+        speedInput.placeholder = DEFAULT_PAGES_PER_HOUR;
+    }
+    
+    const hint = document.getElementById('time-budget-hint');
+    if (hint) {
+        const budgets = decisionState.timeBudgets;
+        hint.textContent = `At ${budgets.pagesPerHour} pages an hour and about ${formatHours(budgets.hoursPerDay)} of reading a day: ` +
+            `an evening is up to ${formatHours(budgets.evening)}, a week up to ${formatHours(budgets.week)} and a month anything longer. ` +
+            `Audiobooks use their listening time.`;
+    }
+}
+
+/**
+ * Binds the reading speed input on the time step.
+ * Only called once - the handler reads the latest state.
+ */
+function initTimeControls() {
+    const speedInput = document.getElementById('reading-speed-input');
+    if (!speedInput) return;
+    
+    speedInput.addEventListener('change', () => {
+        timeSettings.pagesPerHour = parseGoalValue(speedInput.value);
+        refreshTimeBudgets();
+        persistLibrary();
+    });
+}
+
+// Phase 5b: Helper Functions
+// ============================================
+
+// Most genre and shelf choices offered on the genre step
+const GENRE_OPTION_LIMIT = 10;
+
+/**
+ * Gets user's reading behaviour profile from read books.
+ * @returns {Object} Behaviour profile with dominant genres and patterns
+ */
+function getBehaviourProfile() {
+    const readBooks = books.filter(isReadBook);
+    
+    if (readBooks.length === 0) {
+        return { dominantGenres: [], genreCounts: {}, avgLength: null, avgEra: null };
+    }
+    
+    // Count the shelves and canonical genres of read books
+    const genreCounts = {};
+    readBooks.forEach(book => {
+        getBookGenreTags(book).forEach(({ key }) => {
+            genreCounts[key] = (genreCounts[key] || 0) + 1;
+        });
+    });
+    
+    // Get top 3 dominant genres
+    const dominantGenres = Object.entries(genreCounts)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 3)
+        .map(([key]) => key);
+    
+    // Calculate average length preference
+    const booksWithPages = readBooks.filter(b => b.pages > 0);
+    const avgLength = booksWithPages.length > 0 
+        ? booksWithPages.reduce((sum, b) => sum + b.pages, 0) / booksWithPages.length 
+        : null;
+    
+    // Calculate average era
+    const booksWithYear = readBooks.filter(b => b.publicationYear > 0);
+    const avgEra = booksWithYear.length > 0
+        ? booksWithYear.reduce((sum, b) => sum + b.publicationYear, 0) / booksWithYear.length
+        : null;
+    
+    return { dominantGenres, genreCounts, avgLength, avgEra };
+}
+
+/**
+ * Extracts shelves from books, excluding default shelves.
+ * @param {Array} books - Books to extract from
+ * @returns {Array} Array of shelf names
+ */
+function extractShelvesFromBooks(books) {
+    const ignoredShelves = Object.keys(STATUS_BY_SHELF);
+    const allShelves = [];
+    
+    books.forEach(book => {
+        if (!book.shelves) return;
+        
+        const exclusiveShelf = (book.exclusiveShelf || '').toLowerCase();
+        const shelves = book.shelves
+            .split(',')
+            .map(s => s.trim())
+            .filter(s => s && !ignoredShelves.includes(s.toLowerCase()) && s.toLowerCase() !== exclusiveShelf);
+        
+        allShelves.push(...shelves);
+    });
+    
+    return allShelves;
+}
+
+/**
+ * Gets a book's genre tags: its custom shelves plus the canonical genres
+ * mapped from those shelves and any enrichment subjects.
+ * Keys are lowercased, so a "fantasy" shelf and the Fantasy genre are one tag.
+ * @param {Object} book - Book to tag
+ * @returns {Array} [{ key, label, kind: 'genre' | 'shelf' }]
+ */
+function getBookGenreTags(book) {
+    const shelves = extractShelvesFromBooks([book]);
+    const enrichment = book.enrichment || {};
+    const genres = mapSubjectsToGenres([...shelves, ...(enrichment.subjectsRaw || [])])
+        .concat(enrichment.genres || []);
+    
+    // Canonical genres win over a shelf with the same name
+    const tags = new Map();
+    genres.forEach(genre => tags.set(genre.toLowerCase(), { key: genre.toLowerCase(), label: genre, kind: 'genre' }));
+    shelves.forEach(shelf => {
+        const key = shelf.toLowerCase();
+        if (!tags.has(key)) {
+            tags.set(key, { key, label: shelf, kind: 'shelf' });
+        }
+    });
+    
+    return Array.from(tags.values());
+}
+
+/**
+ * Lists the genre step options for a candidate pool, most common first.
+ * @param {Array} poolBooks - Books the funnel can recommend
+ * @param {number} limit - Maximum number of options
+ * @returns {Array} [{ key, label, kind, count }]
+ */
+function buildGenreOptions(poolBooks, limit = GENRE_OPTION_LIMIT) {
+    const options = new Map();
+    poolBooks.forEach(book => {
+        getBookGenreTags(book).forEach(tag => {
+            const option = options.get(tag.key) || { ...tag, count: 0 };
+            option.count++;
+            options.set(tag.key, option);
+        });
+    });
+    
+    return Array.from(options.values())
+        .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label))
+        .slice(0, limit);
+}
+
+/**
+ * Scores a book using only local data (no enrichment required).
+ * @param {Object} book - Book to score
+ * @param {Object} filters - Filter criteria
+ * @param {Object} behaviourProfile - User's reading behaviour profile
+ * @returns {number} Score
+ */
+function scoreLocally(book, filters, behaviourProfile) {
+    // Start with base score from average rating
+    let score = book.averageRating || 0;
+    
+    // Add points for length alignment
+    if (book.pages > 0) {
+        // Behaviour alignment bonus
+        if (behaviourProfile.avgLength) {
+            const userPrefLength = behaviourProfile.avgLength < 350 ? 'short' :
+                                  behaviourProfile.avgLength < 550 ? 'medium' :
+                                  behaviourProfile.avgLength < 850 ? 'long' : 'epic';
+            const bookLength = getLengthCategory(book.pages);
+            if (bookLength === userPrefLength) {
+                score += 0.5;
+            }
+        }
+    }
+    
+    // Add points for era alignment
+    if (book.publicationYear > 0) {
+        // Behaviour alignment bonus
+        if (behaviourProfile.avgEra) {
+            const userPrefEra = behaviourProfile.avgEra < 1950 ? 'classic' :
+                               behaviourProfile.avgEra <= 1999 ? 'late20th' : 'modern';
+            const bookEra = getEraCategory(book.publicationYear);
+            if (bookEra === userPrefEra) {
+                score += 0.5;
+            }
+        }
+    }
+    
+    return score;
+}
+
+/**
+ * Selects top N candidates by score.
+ * @param {Array} scored - Scored candidates
+ * @param {number} limit - Number to select
+ * @returns {Array} Top candidates
+ */
+function selectTopCandidates(scored, limit) {
+    // Sort by score descending, then by average rating
+    scored.sort((a, b) => {
+        if (b.score !== a.score) {
+            return b.score - a.score;
+        }
+        return b.book.averageRating - a.book.averageRating;
+    });
+    
+    return scored.slice(0, limit);
+}
+
+/**
+ * Gets length category for a book.
+ * @param {number} pages - Page count
+ * @returns {string|null} Category name or null
+ */
+function getLengthCategory(pages) {
+    if (pages < 300) return 'short';
+    if (pages <= 500) return 'medium';
+    if (pages <= 800) return 'long';
+    return 'epic';
+}
+
+/**
+ * Gets era category for a book.
+ * @param {number} year - Publication year
+ * @returns {string|null} Category name or null
+ */
+function getEraCategory(year) {
+    if (year < 1950) return 'classic';
+    if (year <= 1999) return 'late20th';
+    return 'modern';
+}
+
+// ============================================
+// Phase 6: Lazy Enrichment System
+// ============================================
+
+const GENRE_MAP = {
+    'fiction': ['Fiction', 'Literary Fiction', 'Contemporary Fiction'],
+    'novel': ['Fiction', 'Literary Fiction'],
+    'literary': ['Literary Fiction'],
+    'thriller': ['Thriller', 'Mystery & Thriller'],
+    'mystery': ['Mystery', 'Mystery & Thriller'],
+    'crime': ['Crime', 'Mystery & Thriller'],
+    'suspense': ['Thriller', 'Mystery & Thriller'],
+    'horror': ['Horror'],
+    'fantasy': ['Fantasy'],
+    'science fiction': ['Science Fiction'],
+    'sci-fi': ['Science Fiction'],
+    'romance': ['Romance'],
+    'historical': ['Historical Fiction'],
+    'history': ['History', 'Non-Fiction'],
+    'biography': ['Biography', 'Non-Fiction'],
+    'memoir': ['Memoir', 'Biography', 'Non-Fiction'],
+    'autobiography': ['Biography', 'Non-Fiction'],
+    'non-fiction': ['Non-Fiction'],
+    'nonfiction': ['Non-Fiction'],
+    'self-help': ['Self-Help', 'Non-Fiction'],
+    'business': ['Business', 'Non-Fiction'],
+    'philosophy': ['Philosophy', 'Non-Fiction'],
+    'psychology': ['Psychology', 'Non-Fiction'],
+    'politics': ['Politics', 'Non-Fiction'],
+    'economics': ['Economics', 'Non-Fiction'],
+    'travel': ['Travel', 'Non-Fiction'],
+    'humor': ['Humor', 'Comedy'],
+    'comedy': ['Comedy', 'Humor'],
+    'adventure': ['Adventure'],
+    'action': ['Action', 'Adventure'],
+    'war': ['War', 'Historical Fiction'],
+    'dystopian': ['Dystopian', 'Science Fiction'],
+    'post-apocalyptic': ['Post-Apocalyptic', 'Science Fiction'],
+    'young adult': ['Young Adult'],
+    'children': ['Children\'s'],
+    'classics': ['Classics'],
+    'poetry': ['Poetry'],
+    'drama': ['Drama'],
+    'lgbt': ['LGBTQ+'],
+    'lgbtq': ['LGBTQ+'],
+    'queer': ['LGBTQ+']
+};
+
+// Each keyword's whole-word pattern, compiled once rather than per subject
+const GENRE_KEYWORD_PATTERNS = Object.entries(GENRE_MAP).map(([keyword, genres]) => ({
+    pattern: buildGenreKeywordPattern(keyword),
+    genres
+}));
+
+const OPEN_LIBRARY_URL = 'https://openlibrary.org';
+
+// How long an Open Library lookup is trusted before it is refreshed
+const ENRICHMENT_TTL_DAYS = 90;
+
+// Books Open Library has no record of are checked again sooner
+const ENRICHMENT_NOT_FOUND_TTL_DAYS = 14;
+
+// Attempts per request before a transient failure is recorded
+const ENRICHMENT_MAX_ATTEMPTS = 3;
+
+// Wait before the first retry - doubled for each retry after that
+const ENRICHMENT_RETRY_DELAY_MS = 500;
+
+// A request still unanswered after this long is abandoned and retried
+const ENRICHMENT_TIMEOUT_MS = 10000;
+
+// Open Library work keys, which are also used as request paths
+const WORK_KEY_PATTERN = /^\/works\/OL\d+W$/;
+
+const ENRICHMENT_BUNDLE_TYPE = 'library-insights-enrichment';
+const ENRICHMENT_BUNDLE_VERSION = 1;
+
+// Open Library lookups shared across imports: editions by ISBN, works by work key,
+// and the transient failures waiting to be retried
+let enrichmentCache = createEmptyEnrichmentCache();
+
+// Retry and timeout timings - tests shorten them so retries do not sleep
+let enrichmentTiming = {
+    retryDelayMs: ENRICHMENT_RETRY_DELAY_MS,
+    timeoutMs: ENRICHMENT_TIMEOUT_MS
+};
+
+/**
+ * Enriches a batch of candidate books.
+ * Processes up to 3 books concurrently.
+ * @param {Array} candidateBooks - Books to enrich
+ * @param {number} limit - Maximum number to enrich (default: 10)
+ * @param {Function} onProgress - Called with (done, total) after each batch (optional)
+ * @returns {Promise<number>} Number of books looked up
+ */
+async function enrichCandidates(candidateBooks, limit = 10, onProgress = null) {
+    // Filter to only books needing enrichment (have ISBN, no recent enrichment)
+    let booksToEnrich = candidateBooks.filter(book => 
+        book.isbn && !isEnrichmentFresh(book.enrichment)
+    );
+    
+    // Limit to specified amount
+    booksToEnrich = booksToEnrich.slice(0, limit);
+    
+    if (booksToEnrich.length === 0) {
+        return 0;
+    }
+    
+    if (onProgress) {
+        onProgress(0, booksToEnrich.length);
+    }
+    
+    // Process in batches of max 3 concurrent
+    const batchSize = 3;
+    for (let i = 0; i < booksToEnrich.length; i += batchSize) {
+        const batch = booksToEnrich.slice(i, i + batchSize);
+        await Promise.all(batch.map(book => enrichBook(book)));
+        
+        if (onProgress) {
+            onProgress(Math.min(i + batchSize, booksToEnrich.length), booksToEnrich.length);
+        }
+    }
+    
+    // Keep enrichment results and the lookup cache in the local library store
+    persistLibrary();
+    persistEnrichmentCache();
+    
+    return booksToEnrich.length;
+}
+
+/**
+ * Enriches a single book with Open Library data, going through the enrichment cache.
+ * Books Open Library has no record of get an empty enrichment; after a transient
+ * failure the book is left as it was so the next lookup tries again.
+ * @param {Object} book - Book to enrich
+ */
+async function enrichBook(book) {
+    // Skip if enriched recently
+    if (isEnrichmentFresh(book.enrichment)) {
+        return;
+    }
+    
+    const isbn = normaliseIsbn(book.isbn);
+    
+    // Fetch ISBN data, which points to the work
+    const edition = await lookupOpenLibrary('editions', isbn, `/isbn/${isbn}`, isbnData =>
+        isbnData.works && isbnData.works.length > 0
+            ? { workKey: isbnData.works[0].key, coverId: isbnData.covers?.[0] || null }
+            : { notFound: true });
+    
+    // Fetch work data, which holds the subjects
+    const work = edition && !edition.notFound
+        ? await lookupOpenLibrary('works', edition.workKey, edition.workKey, workData =>
+            ({ subjects: workData.subjects || [], coverId: workData.covers?.[0] || null }))
+        : edition;
+    
+    if (!work) {
+        return;
+    }
+    
+    book.enrichment = buildEnrichment(edition, work);
+}
+
+/**
+ * Builds a book's enrichment from cached edition and work records.
+ * @param {Object} edition - Edition record
+ * @param {Object} work - Work record (the edition itself if it was not found)
+ * @returns {Object} { subjectsRaw, genres, coverId, workKey, notFound, fetchedAt }
+ */
+function buildEnrichment(edition, work) {
+    // Refresh the book when either record expires
+    const fetchedAt = [edition.fetchedAt, work.fetchedAt].sort()[0];
+    
+    if (edition.notFound || work.notFound) {
+        return { subjectsRaw: [], genres: [], coverId: null, workKey: edition.workKey || null, notFound: true, fetchedAt };
+    }
+    
+    return {
+        subjectsRaw: work.subjects,
+        genres: mapSubjectsToGenres(work.subjects),
+        coverId: edition.coverId || work.coverId || null,
+        workKey: edition.workKey,
+        notFound: false,
+        fetchedAt
+    };
+}
+
+/**
+ * Looks up an Open Library record, using the cache while it is fresh.
+ * Transient failures are recorded rather than cached, and fall back to a
+ * stale record if there is one - which keeps shared bundles usable offline.
+ * @param {string} table - Cache table ('editions' or 'works')
+ * @param {string} key - ISBN or work key
+ * @param {string} path - Open Library path without the .json suffix
+ * @param {Function} extract - Turns the response JSON into the record to cache
+ * @returns {Promise<Object|null>} Cached record, or null if nothing is available
+ */
+async function lookupOpenLibrary(table, key, path, extract) {
+    const cached = enrichmentCache[table][key];
+    if (isEnrichmentFresh(cached)) {
+        return cached;
+    }
+    
+    const { data, failure } = await fetchOpenLibraryJson(path);
+    if (failure && failure.transient) {
+        recordEnrichmentFailure(path, failure);
+        return cached || null;
+    }
+    
+    const record = failure ? { notFound: true } : extract(data);
+    record.fetchedAt = new Date().toISOString();
+    enrichmentCache[table][key] = record;
+    delete enrichmentCache.failures[path];
+    
+    return record;
+}
+
+/**
+ * Fetches Open Library JSON, retrying transient failures with a growing delay.
+ * Each attempt is abandoned after enrichmentTiming.timeoutMs.
+ * @param {string} path - Open Library path without the .json suffix
+ * @returns {Promise<Object>} { data } or { failure: { status, message, transient, attempts } }
+ */
+async function fetchOpenLibraryJson(path) {
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+        return { failure: { status: null, message: 'Offline', transient: true, attempts: 0 } };
+    }
+    
+    let failure = null;
+    for (let attempt = 1; attempt <= ENRICHMENT_MAX_ATTEMPTS; attempt++) {
+        if (attempt > 1) {
+            await new Promise(resolve => setTimeout(resolve, enrichmentTiming.retryDelayMs * 2 ** (attempt - 2)));
+        }
+        
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), enrichmentTiming.timeoutMs);
+        try {
+            const response = await fetch(`${OPEN_LIBRARY_URL}${path}.json`, { signal: controller.signal });
+            if (response.ok) {
+                return { data: await response.json() };
+            }
+            failure = { status: response.status, message: `HTTP ${response.status}`, transient: isTransientStatus(response.status) };
+        } catch (error) {
+            // Timeouts, network errors and unreadable responses are worth another try
+            const message = controller.signal.aborted ? `No response after ${enrichmentTiming.timeoutMs / 1000}s` : error.message;
+            failure = { status: null, message, transient: true };
+        } finally {
+            clearTimeout(timer);
+        }
+        
+        failure.attempts = attempt;
+        if (!failure.transient) {
+            break;
+        }
+    }
+    
+    return { failure };
+}
+
+/**
+ * Whether an HTTP status is worth retrying (timeouts, rate limits, server errors).
+ * @param {number} status - HTTP status
+ * @returns {boolean} True if transient
+ */
+function isTransientStatus(status) {
+    return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Records a transient lookup failure so it can be reported and retried.
+ * @param {string} path - Open Library path that failed
+ * @param {Object} failure - Failure from fetchOpenLibraryJson
+ */
+function recordEnrichmentFailure(path, failure) {
+    const previous = enrichmentCache.failures[path];
+    enrichmentCache.failures[path] = {
+        status: failure.status,
+        message: failure.message,
+        count: (previous ? previous.count : 0) + 1,
+        lastFailedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Checks whether an enrichment or cache record is still within its TTL.
+ * @param {Object|null} record - Record with a fetchedAt timestamp
+ * @param {Date} now - Reference date (default: now)
+ * @returns {boolean} True if fresh
+ */
+function isEnrichmentFresh(record, now = new Date()) {
+    if (!record || !record.fetchedAt) {
+        return false;
+    }
+    
+    const ttlDays = record.notFound ? ENRICHMENT_NOT_FOUND_TTL_DAYS : ENRICHMENT_TTL_DAYS;
+    return now - new Date(record.fetchedAt) < ttlDays * MS_PER_DAY;
+}
+
+/**
+ * Strips an ISBN down to digits and the X check digit.
+ * @param {string} isbn - ISBN as exported
+ * @returns {string} Normalised ISBN
+ */
+function normaliseIsbn(isbn) {
+    return String(isbn || '').replace(/[^0-9X]/gi, '').toUpperCase();
+}
+
+/**
+ * Maps raw subjects to canonical genres.
+ * @param {Array} subjects - Raw subject strings
+ * @returns {Array} Canonical genres
+ */
+function mapSubjectsToGenres(subjects) {
+    const genres = new Set();
+    
+    subjects.forEach(subject => {
+        // Hyphens and underscores count as spaces, as in shelf names
+        const subjectWords = subject.toLowerCase().replace(/[-_]/g, ' ');
+        
+        // Check each mapping
+        GENRE_KEYWORD_PATTERNS.forEach(({ pattern, genres: mappedGenres }) => {
+            if (pattern.test(subjectWords)) {
+                mappedGenres.forEach(genre => genres.add(genre));
+            }
+        });
+    });
+    
+    return Array.from(genres);
+}
+
+/**
+ * Builds the pattern for a genre keyword as a whole word, allowing a plural.
+ * Subjects are matched with hyphens as spaces so shelf names like "science-fiction" match,
+ * while "non-fiction" does not match fiction and "award" does not match war.
+ * @param {string} keyword - GENRE_MAP keyword
+ * @returns {RegExp} Pattern to test against a lowercased subject
+ */
+function buildGenreKeywordPattern(keyword) {
+    const words = keyword.replace(/-/g, ' ').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(?<![a-z])(?<!non )${words}(s|es)?(?![a-z])`);
+}
+
+/**
+ * Creates an empty enrichment cache.
+ * @returns {Object} { editions, works, failures }
+ */
+function createEmptyEnrichmentCache() {
+    return { editions: {}, works: {}, failures: {} };
+}
+
+/**
+ * Fills in enrichment for books whose ISBN is already in the cache, without fetching.
+ * Stale records are used too, so an imported bundle works offline.
+ * @param {Array} libraryBooks - Books to enrich
+ * @returns {number} Number of books enriched
+ */
+function applyEnrichmentCache(libraryBooks) {
+    let applied = 0;
+    
+    libraryBooks.forEach(book => {
+        if (!book.isbn || isEnrichmentFresh(book.enrichment)) return;
+        
+        const edition = enrichmentCache.editions[normaliseIsbn(book.isbn)];
+        const work = edition && !edition.notFound ? enrichmentCache.works[edition.workKey] : edition;
+        if (!work) return;
+        
+        book.enrichment = buildEnrichment(edition, work);
+        applied++;
+    });
+    
+    return applied;
+}
+
+/**
+ * Builds a shareable bundle of the cached Open Library records.
+ * Failures are left out - they only matter on the device that saw them.
+ * @param {Object} cache - Enrichment cache (default: the current cache)
+ * @returns {Object} Enrichment bundle
+ */
+function createEnrichmentBundle(cache = enrichmentCache) {
+    return {
+        type: ENRICHMENT_BUNDLE_TYPE,
+        version: ENRICHMENT_BUNDLE_VERSION,
+        exportedAt: new Date().toISOString(),
+        editions: { ...cache.editions },
+        works: { ...cache.works }
+    };
+}
+
+/**
+ * Parses an enrichment bundle file.
+ * @param {string} text - File contents
+ * @returns {Object|null} Bundle, or null if the file is not a bundle this version can read
+ */
+function parseEnrichmentBundle(text) {
+    let bundle = null;
+    try {
+        bundle = JSON.parse(text);
+    } catch (error) {
+        return null;
+    }
+    
+    const isValid = Boolean(bundle) &&
+        bundle.type === ENRICHMENT_BUNDLE_TYPE &&
+        bundle.version === ENRICHMENT_BUNDLE_VERSION &&
+        typeof bundle.editions === 'object' && bundle.editions !== null &&
+        typeof bundle.works === 'object' && bundle.works !== null;
+    
+    return isValid ? bundle : null;
+}
+
+/**
+ * Merges a bundle into the cache, keeping whichever copy of a record is newer.
+ * @param {Object} bundle - Bundle from parseEnrichmentBundle
+ * @param {Object} cache - Enrichment cache (default: the current cache)
+ * @returns {number} Number of records added or updated
+ */
+function mergeEnrichmentBundle(bundle, cache = enrichmentCache) {
+    let merged = 0;
+    
+    ['editions', 'works'].forEach(table => {
+        Object.entries(bundle[table]).forEach(([key, record]) => {
+            if (!isValidEnrichmentRecord(table, key, record)) return;
+            
+            const existing = cache[table][key];
+            if (!existing || new Date(record.fetchedAt) > new Date(existing.fetchedAt)) {
+                cache[table][key] = record;
+                merged++;
+            }
+        });
+    });
+    
+    return merged;
+}
+
+/**
+ * Checks a bundle record has the shape lookups produce, since bundles come from other people.
+ * Work keys become request paths and cover IDs end up in the page, so both are checked strictly.
+ * A future fetchedAt would win every merge and never expire, so it is refused.
+ * @param {string} table - Cache table ('editions' or 'works')
+ * @param {string} key - ISBN or work key the record is stored under
+ * @param {Object} record - Record from the bundle
+ * @param {Date} now - Reference date (default: now)
+ * @returns {boolean} True if the record can be merged
+ */
+function isValidEnrichmentRecord(table, key, record, now = new Date()) {
+    if (!record || typeof record !== 'object') return false;
+    if (typeof record.fetchedAt !== 'string' || isNaN(Date.parse(record.fetchedAt))) return false;
+    if (Date.parse(record.fetchedAt) > now.getTime()) return false;
+    if (table === 'works' && !WORK_KEY_PATTERN.test(key)) return false;
+    if (record.notFound === true) return true;
+    
+    if (record.coverId !== null && typeof record.coverId !== 'number') return false;
+    if (table === 'editions') {
+        return typeof record.workKey === 'string' && WORK_KEY_PATTERN.test(record.workKey);
+    }
+    return Array.isArray(record.subjects) && record.subjects.every(subject => typeof subject === 'string');
+}
+
+/**
+ * Shows what the enrichment cache holds and any lookups waiting to be retried.
+ * @param {string} message - Extra message shown first (optional)
+ */
+function renderEnrichmentCacheStatus(message = '') {
+    const textEl = document.getElementById('enrichment-cache-text');
+    if (!textEl) return;
+    
+    const editionCount = Object.keys(enrichmentCache.editions).length;
+    const workCount = Object.keys(enrichmentCache.works).length;
+    const failureCount = Object.keys(enrichmentCache.failures).length;
+    
+    let text = `Open Library cache: ${editionCount} edition${editionCount !== 1 ? 's' : ''}, ${workCount} work${workCount !== 1 ? 's' : ''}.`;
+    if (failureCount > 0) {
+        text += ` ${failureCount} lookup${failureCount !== 1 ? 's' : ''} failed and will be retried.`;
+    }
+    
+    textEl.textContent = message ? `${message} ${text}` : text;
+}
+
+/**
+ * Saves the enrichment bundle as a JSON download.
+ */
+function downloadEnrichmentBundle() {
+    const blob = new Blob([JSON.stringify(createEnrichmentBundle(), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `enrichment-bundle-${new Date().toISOString().slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Applies newly available enrichment to the library and, if it is showing, the genre step.
+ */
+function refreshEnrichedLibrary() {
+    persistLibrary();
+    persistEnrichmentCache();
+    if (decisionState.currentStep === 2) {
+        renderGenreOptions();
+    }
+}
+
+/**
+ * Initialises the enrich, export and import enrichment controls.
+ */
+function initEnrichmentControls() {
+    const enrichBtn = document.getElementById('enrich-library-btn');
+    const exportBtn = document.getElementById('export-enrichment-btn');
+    const importInput = document.getElementById('import-enrichment-input');
+    
+    if (enrichBtn) {
+        enrichBtn.addEventListener('click', async () => {
+            if (!books.some(book => book.isbn)) {
+                renderEnrichmentCacheStatus('Import a library with ISBNs first.');
+                return;
+            }
+            
+            enrichBtn.disabled = true;
+            let message = 'Library enriched.';
+            try {
+                await enrichCandidates(books, Infinity, (done, total) => {
+                    renderEnrichmentCacheStatus(`Enriching… ${done} of ${total} books.`);
+                });
+            } catch (error) {
+                console.warn('Could not enrich library:', error);
+                message = 'Enrichment stopped early.';
+            } finally {
+                // Keep whatever was enriched before any error
+                enrichBtn.disabled = false;
+                refreshEnrichedLibrary();
+                renderEnrichmentCacheStatus(message);
+            }
+        });
+    }
+    
+    if (exportBtn) {
+        exportBtn.addEventListener('click', downloadEnrichmentBundle);
+    }
+    
+    if (importInput) {
+        importInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            
+            const reader = new FileReader();
+            reader.onload = (event) => {
+                const bundle = parseEnrichmentBundle(event.target.result);
+                if (!bundle) {
+                    renderEnrichmentCacheStatus('That file is not an enrichment bundle.');
+                    return;
+                }
+                
+                const merged = mergeEnrichmentBundle(bundle);
+                const applied = applyEnrichmentCache(books);
+                refreshEnrichedLibrary();
+                renderEnrichmentCacheStatus(`Imported ${merged} record${merged !== 1 ? 's' : ''} and enriched ${applied} book${applied !== 1 ? 's' : ''}.`);
+            };
+            reader.onerror = () => renderEnrichmentCacheStatus('The bundle could not be read.');
+            reader.readAsText(file);
+            
+            // Allow the same file to be imported again
+            importInput.value = '';
+        });
+    }
+    
+    renderEnrichmentCacheStatus();
+}
+
+// ============================================
+// Phase 7: Local Library Store
+// ============================================
+
+const LIBRARY_DB_NAME = 'library-insights';
+const LIBRARY_DB_VERSION = 1;
+const LIBRARY_STORE_NAME = 'library';
+const LIBRARY_RECORD_KEY = 'current';
+const ENRICHMENT_CACHE_RECORD_KEY = 'enrichment-cache';
+const LIBRARY_SNAPSHOT_VERSION = 1;
+
+/**
+ * Builds a serialisable snapshot of the library for storage.
+ * @param {Array} libraryBooks - Normalised books (including any enrichment)
+ * @param {Object|null} lastSelections - Answers from the last completed funnel run
+ * @param {Object|null} goal - Yearly reading goal
+ * @param {Object|null} settings - Reading speed and audiobook listening hours
+ * @returns {Object} Library snapshot
+ */
+function createLibrarySnapshot(libraryBooks, lastSelections, goal = null, settings = null) {
+    return {
+        version: LIBRARY_SNAPSHOT_VERSION,
+        savedAt: new Date().toISOString(),
+        books: libraryBooks.map(book => ({ ...book })),
+        lastSelections: lastSelections ? { ...lastSelections } : null,
+        readingGoal: goal ? { ...goal } : null,
+        timeSettings: settings ? { ...settings, listeningHours: { ...settings.listeningHours } } : null
+    };
+}
+
+/**
+ * Checks that a stored snapshot can be restored by this version of the app.
+ * @param {*} snapshot - Value read from the store
+ * @returns {boolean} True if the snapshot is usable
+ */
+function isValidLibrarySnapshot(snapshot) {
+    return Boolean(snapshot) &&
+        snapshot.version === LIBRARY_SNAPSHOT_VERSION &&
+        Array.isArray(snapshot.books) &&
+        snapshot.books.length > 0;
+}
+
+/**
+ * Opens (and if needed creates) the IndexedDB library database.
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+function openLibraryDb() {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+        
+        const request = indexedDB.open(LIBRARY_DB_NAME, LIBRARY_DB_VERSION);
+        
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(LIBRARY_STORE_NAME)) {
+                db.createObjectStore(LIBRARY_STORE_NAME);
+            }
+        };
+        
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Runs a single request against the library object store.
+ * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+ * @param {Function} operation - Receives the object store, returns an IDBRequest
+ * @returns {Promise<*>} Request result
+ */
+async function runLibraryStoreRequest(mode, operation) {
+    const db = await openLibraryDb();
+    
+    try {
+        return await new Promise((resolve, reject) => {
+            const transaction = db.transaction(LIBRARY_STORE_NAME, mode);
+            const request = operation(transaction.objectStore(LIBRARY_STORE_NAME));
+            
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Saves the library snapshot to IndexedDB.
+ * @param {Object} snapshot - Snapshot from createLibrarySnapshot
+ * @returns {Promise<void>}
+ */
+async function saveLibrary(snapshot) {
+    await runLibraryStoreRequest('readwrite', store => store.put(snapshot, LIBRARY_RECORD_KEY));
+}
+
+/**
+ * Loads the stored library snapshot, if there is a valid one.
+ * @returns {Promise<Object|null>} Snapshot or null
+ */
+async function loadLibrary() {
+    const snapshot = await runLibraryStoreRequest('readonly', store => store.get(LIBRARY_RECORD_KEY));
+    return isValidLibrarySnapshot(snapshot) ? snapshot : null;
+}
+
+/**
+ * Deletes the stored library.
+ * @returns {Promise<void>}
+ */
+async function deleteLibrary() {
+    await runLibraryStoreRequest('readwrite', store => store.delete(LIBRARY_RECORD_KEY));
+}
+
+/**
+ * Saves the enrichment cache to IndexedDB.
+ * @param {Object} cache - Enrichment cache
+ * @returns {Promise<void>}
+ */
+async function saveEnrichmentCache(cache) {
+    await runLibraryStoreRequest('readwrite', store => store.put(cache, ENRICHMENT_CACHE_RECORD_KEY));
+}
+
+/**
+ * Loads the stored enrichment cache, if there is one.
+ * @returns {Promise<Object|null>} Cache or null
+ */
+async function loadEnrichmentCache() {
+    const cache = await runLibraryStoreRequest('readonly', store => store.get(ENRICHMENT_CACHE_RECORD_KEY));
+    return cache && typeof cache.editions === 'object' && typeof cache.works === 'object' ? cache : null;
+}
+
+/**
+ * Deletes the stored enrichment cache.
+ * @returns {Promise<void>}
+ */
+async function deleteEnrichmentCache() {
+    await runLibraryStoreRequest('readwrite', store => store.delete(ENRICHMENT_CACHE_RECORD_KEY));
+}
+
+/**
+ * Whether the user has opted in to keeping their library on this device.
+ * @returns {boolean} True if the remember checkbox is ticked
+ */
+function isRememberLibraryEnabled() {
+    const rememberInput = document.getElementById('remember-library-input');
+    return Boolean(rememberInput && rememberInput.checked);
+}
+
+/**
+ * Saves the current library if the user opted in.
+ * Storage failures are logged and never interrupt the dashboard.
+ */
+function persistLibrary() {
+    if (!isRememberLibraryEnabled() || books.length === 0) {
+        return;
+    }
+    
+    saveLibrary(createLibrarySnapshot(books, decisionState.lastSelections, readingGoal, timeSettings))
+        .then(() => renderLibraryStoreStatus(new Date().toISOString()))
+        .catch(error => console.warn('Could not save library:', error));
+}
+
+/**
+ * Saves the enrichment cache if the user opted in to keeping their library.
+ * Storage failures are logged and never interrupt the dashboard.
+ */
+function persistEnrichmentCache() {
+    if (!isRememberLibraryEnabled()) {
+        return;
+    }
+    
+    saveEnrichmentCache(enrichmentCache)
+        .catch(error => console.warn('Could not save enrichment cache:', error));
+}
+
+/**
+ * Restores the stored enrichment cache into global state.
+ * @returns {Promise<boolean>} True if a cache was restored
+ */
+async function restoreEnrichmentCache() {
+    try {
+        const cache = await loadEnrichmentCache();
+        if (!cache) {
+            return false;
+        }
+        
+        enrichmentCache = { ...createEmptyEnrichmentCache(), ...cache };
+        return true;
+    } catch (error) {
+        console.warn('Could not load enrichment cache:', error);
+        return false;
+    }
+}
+
+/**
+ * Restores a stored library into global state and renders the dashboard.
+ * @returns {Promise<boolean>} True if a library was restored
+ */
+async function restoreLibrary() {
+    let snapshot = null;
+    
+    try {
+        snapshot = await loadLibrary();
+    } catch (error) {
+        console.warn('Could not load stored library:', error);
+        return false;
+    }
+    
+    if (!snapshot) {
+        return false;
+    }
+    
+    books = unifyAuthorNames(snapshot.books);
+    applyEnrichmentCache(books);
+    decisionState.lastSelections = snapshot.lastSelections;
+    readingGoal = { books: null, pages: null, ...snapshot.readingGoal };
+    timeSettings = { pagesPerHour: null, listeningHours: {}, ...snapshot.timeSettings };
+    
+    const rememberInput = document.getElementById('remember-library-input');
+    if (rememberInput) {
+        rememberInput.checked = true;
+    }
+    
+    initAnalytics();
+    renderLibraryStoreStatus(snapshot.savedAt);
+    
+    return true;
+}
+
+/**
+ * Shows the stored library notice with the time it was last saved.
+ * @param {string} savedAt - ISO timestamp of the last save
+ */
+function renderLibraryStoreStatus(savedAt) {
+    const statusEl = document.getElementById('library-store-status');
+    const textEl = document.getElementById('library-store-text');
+    if (!statusEl || !textEl) return;
+    
+    const savedDate = new Date(savedAt);
+    const savedLabel = isNaN(savedDate.getTime()) ? 'recently' : savedDate.toLocaleString();
+    
+    textEl.textContent = `${books.length} books stored on this device (saved ${savedLabel}).`;
+    statusEl.classList.remove('hidden');
+}
+
+/**
+ * Initialises the remember checkbox and the "forget my library" control.
+ */
+function initLibraryStoreControls() {
+    const rememberInput = document.getElementById('remember-library-input');
+    const forgetBtn = document.getElementById('forget-library-btn');
+    
+    if (rememberInput) {
+        rememberInput.addEventListener('change', async () => {
+            if (rememberInput.checked) {
+                persistLibrary();
+                persistEnrichmentCache();
+                return;
+            }
+            
+            // Unticking removes the stored copy - the library stays open until the page is closed
+            try {
+                await deleteLibrary();
+                await deleteEnrichmentCache();
+            } catch (error) {
+                console.warn('Could not delete stored library:', error);
+            }
+            
+            const statusEl = document.getElementById('library-store-status');
+            if (statusEl) {
+                statusEl.classList.add('hidden');
+            }
+        });
+    }
+    
+    if (forgetBtn) {
+        forgetBtn.addEventListener('click', async () => {
+            try {
+                await deleteLibrary();
+                await deleteEnrichmentCache();
+            } catch (error) {
+                console.warn('Could not delete stored library:', error);
+            }
+            
+            // Start from a clean page with nothing in memory
+            window.location.reload();
+        });
+    }
+}
+
+/**
+ * Restores any stored library and enrichment cache, then wires up the upload card.
+ */
+async function initApp() {
+    initLibraryStoreControls();
+    initAnalyticsOptions();
+    initChartClickThrough();
+    await restoreEnrichmentCache();
+    initEnrichmentControls();
+    await restoreLibrary();
+    initUploadHandler();
+}
+
+// ============================================
+// Phase 8: Library Table
+// ============================================
+
+// Fixed row height lets the table render only the rows in view
+const LIBRARY_ROW_HEIGHT = 44;
+
+// Extra rows rendered above and below the viewport to keep scrolling smooth
+const LIBRARY_ROW_OVERSCAN = 8;
+
+// Sortable columns shown in the table
+const LIBRARY_COLUMNS = [
+    { key: 'title', label: 'Title' },
+    { key: 'author', label: 'Author' },
+    { key: 'status', label: 'Status' },
+    { key: 'pages', label: 'Pages' },
+    { key: 'publicationYear', label: 'Year' },
+    { key: 'userRating', label: 'My Rating' },
+    { key: 'averageRating', label: 'Avg Rating' },
+    { key: 'dateRead', label: 'Date Read' },
+    { key: 'dateAdded', label: 'Date Added' }
+];
+
+// Global state for the library table
+let libraryTableState = {
+    query: '',
+    sortKey: 'title',
+    sortDirection: 'asc',
+    filters: createEmptyLibraryFilters(),
+    rows: [],
+    listenersBound: false
+};
+
+/**
+ * Creates a filter set that matches every book.
+ * @returns {Object} Empty library table filters
+ */
+function createEmptyLibraryFilters() {
+    return {
+        status: '',
+        shelf: '',
+        era: '',
+        length: '',
+        rating: '',
+        format: '',
+        readPeriod: ''
+    };
+}
+
+/**
+ * Splits a book's shelves into a list, including its exclusive shelf.
+ * @param {Object} book - Book to read shelves from
+ * @returns {Array} Lower-cased shelf names
+ */
+function getBookShelves(book) {
+    const shelves = (book.shelves || '')
+        .split(',')
+        .map(s => s.trim().toLowerCase())
+        .filter(s => s);
+    
+    if (book.exclusiveShelf && !shelves.includes(book.exclusiveShelf.toLowerCase())) {
+        shelves.push(book.exclusiveShelf.toLowerCase());
+    }
+    
+    return shelves;
+}
+
+/**
+ * Filters books by free-text search and the table's filter dropdowns.
+ * @param {Array} libraryBooks - Books to filter
+ * @param {string} query - Text matched against title, author, publisher, shelves, ISBN, review and notes
+ * @param {Object} filters - Selected status, shelf, era, length, rating, format and read period ('' means any)
+ * @returns {Array} Matching books
+ */
+function filterLibraryBooks(libraryBooks, query, filters = {}) {
+    const needle = (query || '').trim().toLowerCase();
+    
+    return libraryBooks.filter(book => {
+        if (needle) {
+            const contributors = getBookContributors(book, 'all').join(' ');
+            const haystack = [book.title, contributors, book.publisher, book.shelves, book.isbn, book.review, book.privateNotes]
+                .filter(text => text)
+                .join(' ')
+                .toLowerCase();
+            if (!haystack.includes(needle)) return false;
+        }
+        
+        if (filters.status && getReadingStatus(book) !== filters.status) return false;
+        if (filters.shelf && !getBookShelves(book).includes(filters.shelf)) return false;
+        
+        if (filters.era) {
+            const era = book.publicationYear > 0 ? getEraCategory(book.publicationYear) : 'unknown';
+            if (era !== filters.era) return false;
+        }
+        
+        if (filters.length) {
+            const length = book.pages > 0 ? getLengthCategory(book.pages) : 'unknown';
+            if (length !== filters.length) return false;
+        }
+        
+        if (filters.rating && Math.round(book.userRating || 0) !== parseInt(filters.rating, 10)) return false;
+        if (filters.format && (book.format || 'unknown') !== filters.format) return false;
+        
+        // Read period is a year or year-month prefix of the ISO read date
+        if (filters.readPeriod && !(book.dateRead || '').startsWith(filters.readPeriod)) return false;
+        
+        return true;
+    });
+}
+
+/**
+ * Sorts books by a table column. Empty values always sort last.
+ * @param {Array} libraryBooks - Books to sort
+ * @param {string} sortKey - Book field to sort on
+ * @param {string} direction - 'asc' or 'desc'
+ * @returns {Array} New sorted array
+ */
+function sortLibraryBooks(libraryBooks, sortKey, direction = 'asc') {
+    const modifier = direction === 'desc' ? -1 : 1;
+    const valueOf = book => sortKey === 'status' ? getReadingStatus(book) : book[sortKey];
+    const isEmpty = value => value === null || value === undefined || value === '' || value === 0;
+    
+    return [...libraryBooks].sort((a, b) => {
+        const valueA = valueOf(a);
+        const valueB = valueOf(b);
+        
+        if (isEmpty(valueA) || isEmpty(valueB)) {
+            return isEmpty(valueA) - isEmpty(valueB);
+        }
+        
+        if (typeof valueA === 'number' && typeof valueB === 'number') {
+            return (valueA - valueB) * modifier;
+        }
+        
+        return String(valueA).localeCompare(String(valueB), undefined, { sensitivity: 'base' }) * modifier;
     });
-    
-    // Show step 1
-    showStep(1);
-    updateCandidateCount();
 }
 
-// Phase 5b: Helper Functions
-// ============================================
-
 /**
- * Gets user's reading behaviour profile from read books.
- * @returns {Object} Behaviour profile with dominant genres and patterns
+ * Works out which rows are inside (or near) the scrolled viewport.
+ * @param {number} scrollTop - Viewport scroll offset in pixels
+ * @param {number} viewportHeight - Viewport height in pixels
+ * @param {number} totalRows - Number of rows in the table
+ * @param {number} rowHeight - Height of one row in pixels
+ * @param {number} overscan - Extra rows to render either side
+ * @returns {Object} { start, end } row indices (end exclusive)
  */
-function getBehaviourProfile() {
-    const readBooks = books.filter(b => b.dateRead !== null);
-    
-    if (readBooks.length === 0) {
-        return { dominantGenres: [], avgLength: null, avgEra: null };
-    }
+function getVisibleRowRange(scrollTop, viewportHeight, totalRows, rowHeight = LIBRARY_ROW_HEIGHT, overscan = LIBRARY_ROW_OVERSCAN) {
+    const firstVisible = Math.floor(scrollTop / rowHeight);
+    const visibleCount = Math.ceil(viewportHeight / rowHeight);
     
-    // Extract shelves from read books
-    const shelves = extractShelvesFromBooks(readBooks);
-    const shelfCounts = {};
-    shelves.forEach(shelf => {
-        shelfCounts[shelf] = (shelfCounts[shelf] || 0) + 1;
-    });
+    return {
+        start: Math.max(0, firstVisible - overscan),
+        end: Math.min(totalRows, firstVisible + visibleCount + overscan)
+    };
+}
+
+/**
+ * Shows the library table and fills its filter dropdowns from the current books.
+ */
+function initLibraryTable() {
+    const librarySection = document.getElementById('library-section');
+    if (!librarySection) return;
     
-    // Get top 3 dominant genres
-    const dominantGenres = Object.entries(shelfCounts)
-        .sort((a, b) => b[1] - a[1])
-        .slice(0, 3)
-        .map(([shelf]) => shelf.toLowerCase());
+    librarySection.classList.remove('hidden');
     
-    // Calculate average length preference
-    const booksWithPages = readBooks.filter(b => b.pages > 0);
-    const avgLength = booksWithPages.length > 0 
-        ? booksWithPages.reduce((sum, b) => sum + b.pages, 0) / booksWithPages.length 
-        : null;
+    populateLibraryFilters();
     
-    // Calculate average era
-    const booksWithYear = readBooks.filter(b => b.publicationYear > 0);
-    const avgEra = booksWithYear.length > 0
-        ? booksWithYear.reduce((sum, b) => sum + b.publicationYear, 0) / booksWithYear.length
-        : null;
+    if (!libraryTableState.listenersBound) {
+        bindLibraryTableListeners();
+        libraryTableState.listenersBound = true;
+    }
     
-    return { dominantGenres, avgLength, avgEra };
+    renderLibraryTable();
 }
 
 /**
- * Extracts shelves from books, excluding default shelves.
- * @param {Array} books - Books to extract from
- * @returns {Array} Array of shelf names
+ * Builds the filter dropdown options from the books in the library.
  */
-function extractShelvesFromBooks(books) {
-    const ignoredShelves = ['read', 'currently-reading', 'to-read', 'want-to-read'];
-    const allShelves = [];
+function populateLibraryFilters() {
+    const statusSelect = document.getElementById('library-status-filter');
+    const shelfSelect = document.getElementById('library-shelf-filter');
     
-    books.forEach(book => {
-        if (!book.shelves) return;
-        
-        const shelves = book.shelves
-            .split(',')
-            .map(s => s.trim())
-            .filter(s => s && !ignoredShelves.includes(s.toLowerCase()));
-        
-        allShelves.push(...shelves);
-    });
+    if (statusSelect) {
+        const statuses = Object.keys(countByStatus(books)).sort();
+        statusSelect.innerHTML = '<option value="">Any status</option>' +
+            statuses.map(status => `<option value="${escapeHtml(status)}">${escapeHtml(status)}</option>`).join('');
+        statusSelect.value = statuses.includes(libraryTableState.filters.status) ? libraryTableState.filters.status : '';
+        libraryTableState.filters.status = statusSelect.value;
+    }
     
-    return allShelves;
+    if (shelfSelect) {
+        const shelves = [...new Set(books.flatMap(getBookShelves))].sort();
+        shelfSelect.innerHTML = '<option value="">Any shelf</option>' +
+            shelves.map(shelf => `<option value="${escapeHtml(shelf)}">${escapeHtml(shelf)}</option>`).join('');
+        shelfSelect.value = shelves.includes(libraryTableState.filters.shelf) ? libraryTableState.filters.shelf : '';
+        libraryTableState.filters.shelf = shelfSelect.value;
+    }
 }
 
 /**
- * Scores a book using only local data (no enrichment required).
- * @param {Object} book - Book to score
- * @param {Object} filters - Filter criteria
- * @param {Object} behaviourProfile - User's reading behaviour profile
- * @returns {number} Score
+ * Binds search, filter, sort, scroll and row click listeners.
+ * Only called once - handlers read the latest state.
  */
-function scoreLocally(book, filters, behaviourProfile) {
-    // Start with base score from average rating
-    let score = book.averageRating || 0;
+function bindLibraryTableListeners() {
+    const searchInput = document.getElementById('library-search-input');
+    if (searchInput) {
+        searchInput.addEventListener('input', () => {
+            libraryTableState.query = searchInput.value;
+            renderLibraryTable();
+        });
+    }
     
-    // Add points for length alignment
-    if (book.pages > 0) {
-        // Behaviour alignment bonus
-        if (behaviourProfile.avgLength) {
-            const userPrefLength = behaviourProfile.avgLength < 350 ? 'short' :
-                                  behaviourProfile.avgLength < 550 ? 'medium' :
-                                  behaviourProfile.avgLength < 850 ? 'long' : 'epic';
-            const bookLength = getLengthCategory(book.pages);
-            if (bookLength === userPrefLength) {
-                score += 0.5;
+    document.querySelectorAll('.library-filter').forEach(select => {
+        select.addEventListener('change', () => {
+            libraryTableState.filters[select.dataset.filter] = select.value;
+            renderLibraryTable();
+        });
+    });
+    
+    const header = document.getElementById('library-table-header');
+    if (header) {
+        header.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-sort]');
+            if (!button) return;
+            
+            const sortKey = button.dataset.sort;
+            if (libraryTableState.sortKey === sortKey) {
+                libraryTableState.sortDirection = libraryTableState.sortDirection === 'asc' ? 'desc' : 'asc';
+            } else {
+                libraryTableState.sortKey = sortKey;
+                libraryTableState.sortDirection = 'asc';
             }
-        }
+            renderLibraryTable();
+        });
     }
     
-    // Add points for era alignment
-    if (book.publicationYear > 0) {
-        // Behaviour alignment bonus
-        if (behaviourProfile.avgEra) {
-            const userPrefEra = behaviourProfile.avgEra < 1950 ? 'classic' :
-                               behaviourProfile.avgEra <= 1999 ? 'late20th' : 'modern';
-            const bookEra = getEraCategory(book.publicationYear);
-            if (bookEra === userPrefEra) {
-                score += 0.5;
+    const viewport = document.getElementById('library-table-viewport');
+    if (viewport) {
+        viewport.addEventListener('scroll', renderVisibleLibraryRows);
+    }
+    
+    const rowsContainer = document.getElementById('library-table-rows');
+    if (rowsContainer) {
+        rowsContainer.addEventListener('click', (e) => {
+            const row = e.target.closest('[data-index]');
+            if (!row) return;
+            
+            const book = libraryTableState.rows[parseInt(row.dataset.index, 10)];
+            if (book) {
+                renderLibraryBookDetail(book);
             }
-        }
+        });
     }
     
-    return score;
+    const clearBtn = document.getElementById('library-clear-filters');
+    if (clearBtn) {
+        clearBtn.addEventListener('click', () => {
+            showLibraryBooks({});
+        });
+    }
+    
+    const closeBtn = document.getElementById('library-detail-close');
+    if (closeBtn) {
+        closeBtn.addEventListener('click', () => {
+            document.getElementById('library-detail').classList.add('hidden');
+        });
+    }
 }
 
 /**
- * Selects top N candidates by score.
- * @param {Array} scored - Scored candidates
- * @param {number} limit - Number to select
- * @returns {Array} Top candidates
+ * Opens the library table filtered to a set of books, e.g. from a chart click.
+ * @param {Object} filters - Filter values to apply - any not given are cleared
  */
-function selectTopCandidates(scored, limit) {
-    // Sort by score descending, then by average rating
-    scored.sort((a, b) => {
-        if (b.score !== a.score) {
-            return b.score - a.score;
-        }
-        return b.book.averageRating - a.book.averageRating;
-    });
+function showLibraryBooks(filters) {
+    libraryTableState.query = '';
+    libraryTableState.filters = { ...createEmptyLibraryFilters(), ...filters };
     
-    return scored.slice(0, limit);
+    syncLibraryControls();
+    renderLibraryTable();
+    
+    const librarySection = document.getElementById('library-section');
+    if (librarySection && librarySection.scrollIntoView) {
+        librarySection.scrollIntoView({ behavior: 'smooth' });
+    }
 }
 
 /**
- * Gets length category for a book.
- * @param {number} pages - Page count
- * @returns {string|null} Category name or null
+ * Updates the search box and dropdowns to match the table state.
  */
-function getLengthCategory(pages) {
-    if (pages < 300) return 'short';
-    if (pages <= 500) return 'medium';
-    if (pages <= 800) return 'long';
-    return 'epic';
+function syncLibraryControls() {
+    const searchInput = document.getElementById('library-search-input');
+    if (searchInput) {
+        searchInput.value = libraryTableState.query;
+    }
+    
+    document.querySelectorAll('.library-filter').forEach(select => {
+        select.value = libraryTableState.filters[select.dataset.filter] || '';
+    });
 }
 
 /**
- * Gets era category for a book.
- * @param {number} year - Publication year
- * @returns {string|null} Category name or null
+ * Re-applies search, filters and sort, then redraws the table.
  */
-function getEraCategory(year) {
-    if (year < 1950) return 'classic';
-    if (year <= 1999) return 'late20th';
-    return 'modern';
+function renderLibraryTable() {
+    const filtered = filterLibraryBooks(books, libraryTableState.query, libraryTableState.filters);
+    libraryTableState.rows = sortLibraryBooks(filtered, libraryTableState.sortKey, libraryTableState.sortDirection);
+    
+    const header = document.getElementById('library-table-header');
+    if (header) {
+        header.innerHTML = LIBRARY_COLUMNS.map(column => {
+            const isSorted = column.key === libraryTableState.sortKey;
+            const arrow = isSorted ? (libraryTableState.sortDirection === 'asc' ? ' ▲' : ' ▼') : '';
+            return `<button class="library-sort${isSorted ? ' sorted' : ''}" data-sort="${column.key}">${column.label}${arrow}</button>`;
+        }).join('');
+    }
+    
+    const countEl = document.getElementById('library-table-count');
+    if (countEl) {
+        const readPeriod = libraryTableState.filters.readPeriod;
+        countEl.textContent = `Showing ${libraryTableState.rows.length} of ${books.length} books${readPeriod ? ` read in ${readPeriod}` : ''}`;
+    }
+    
+    const spacer = document.getElementById('library-table-spacer');
+    if (spacer) {
+        spacer.style.height = `${libraryTableState.rows.length * LIBRARY_ROW_HEIGHT}px`;
+    }
+    
+    const viewport = document.getElementById('library-table-viewport');
+    if (viewport) {
+        viewport.scrollTop = 0;
+    }
+    
+    renderVisibleLibraryRows();
 }
 
-// ============================================
-// Phase 6: Lazy Enrichment System
-// ============================================
-
-const GENRE_MAP = {
-    'fiction': ['Fiction', 'Literary Fiction', 'Contemporary Fiction'],
-    'novel': ['Fiction', 'Literary Fiction'],
-    'literary': ['Literary Fiction'],
-    'thriller': ['Thriller', 'Mystery & Thriller'],
-    'mystery': ['Mystery', 'Mystery & Thriller'],
-    'crime': ['Crime', 'Mystery & Thriller'],
-    'suspense': ['Thriller', 'Mystery & Thriller'],
-    'horror': ['Horror'],
-    'fantasy': ['Fantasy'],
-    'science fiction': ['Science Fiction'],
-    'sci-fi': ['Science Fiction'],
-    'romance': ['Romance'],
-    'historical': ['Historical Fiction'],
-    'history': ['History', 'Non-Fiction'],
-    'biography': ['Biography', 'Non-Fiction'],
-    'memoir': ['Memoir', 'Biography', 'Non-Fiction'],
-    'autobiography': ['Biography', 'Non-Fiction'],
-    'non-fiction': ['Non-Fiction'],
-    'nonfiction': ['Non-Fiction'],
-    'self-help': ['Self-Help', 'Non-Fiction'],
-    'business': ['Business', 'Non-Fiction'],
-    'philosophy': ['Philosophy', 'Non-Fiction'],
-    'psychology': ['Psychology', 'Non-Fiction'],
-    'politics': ['Politics', 'Non-Fiction'],
-    'economics': ['Economics', 'Non-Fiction'],
-    'travel': ['Travel', 'Non-Fiction'],
-    'humor': ['Humor', 'Comedy'],
-    'comedy': ['Comedy', 'Humor'],
-    'adventure': ['Adventure'],
-    'action': ['Action', 'Adventure'],
-    'war': ['War', 'Historical Fiction'],
-    'dystopian': ['Dystopian', 'Science Fiction'],
-    'post-apocalyptic': ['Post-Apocalyptic', 'Science Fiction'],
-    'young adult': ['Young Adult'],
-    'children': ['Children\'s'],
-    'classics': ['Classics'],
-    'poetry': ['Poetry'],
-    'drama': ['Drama'],
-    'lgbt': ['LGBTQ+'],
-    'lgbtq': ['LGBTQ+'],
-    'queer': ['LGBTQ+']
-};
-
 /**
- * Enriches a batch of candidate books.
- * Processes up to 3 books concurrently.
- * @param {Array} candidateBooks - Books to enrich
- * @param {number} limit - Maximum number to enrich (default: 10)
+ * Renders only the rows currently scrolled into view.
  */
-async function enrichCandidates(candidateBooks, limit = 10) {
-    // Filter to only books needing enrichment (have ISBN, no existing enrichment)
-    let booksToEnrich = candidateBooks.filter(book => 
-        book.isbn && !book.enrichment
-    );
-    
-    // Limit to specified amount
-    booksToEnrich = booksToEnrich.slice(0, limit);
+function renderVisibleLibraryRows() {
+    const viewport = document.getElementById('library-table-viewport');
+    const rowsContainer = document.getElementById('library-table-rows');
+    if (!viewport || !rowsContainer) return;
     
-    if (booksToEnrich.length === 0) {
+    const rows = libraryTableState.rows;
+    if (rows.length === 0) {
+        rowsContainer.style.transform = 'translateY(0)';
+        rowsContainer.innerHTML = '<p class="library-empty">No books match these filters</p>';
         return;
     }
     
-    // Process in batches of max 3 concurrent
-    const batchSize = 3;
-    for (let i = 0; i < booksToEnrich.length; i += batchSize) {
-        const batch = booksToEnrich.slice(i, i + batchSize);
-        await Promise.all(batch.map(book => enrichBook(book)));
-    }
+    const { start, end } = getVisibleRowRange(viewport.scrollTop || 0, viewport.clientHeight || 480, rows.length);
+    
+    rowsContainer.style.transform = `translateY(${start * LIBRARY_ROW_HEIGHT}px)`;
+    rowsContainer.innerHTML = rows.slice(start, end).map((book, offset) => `
+        <div class="library-row" data-index="${start + offset}">
+            <span title="${escapeHtml(book.title)}">${escapeHtml(book.title || 'Unknown')}</span>
+            <span>${escapeHtml(book.author || 'Unknown')}</span>
+            <span>${escapeHtml(getReadingStatus(book))}</span>
+            <span>${book.pages || '—'}</span>
+            <span>${book.publicationYear || '—'}</span>
+            <span>${book.userRating ? `${book.userRating}★` : '—'}</span>
+            <span>${book.averageRating ? formatNumber(book.averageRating, 2) : '—'}</span>
+            <span>${book.dateRead || '—'}</span>
+            <span>${book.dateAdded || '—'}</span>
+        </div>
+    `).join('');
 }
 
 /**
- * Enriches a single book with Open Library data.
- * If enrichment fails, stores empty enrichment to prevent re-fetching.
- * @param {Object} book - Book to enrich
+ * Formats one field of a book record for the detail view.
+ * @param {*} value - Field value
+ * @returns {string} Escaped display text
  */
-async function enrichBook(book) {
-    // Skip if already enriched
-    if (book.enrichment) {
-        return;
-    }
+function formatDetailValue(value) {
+    if (value === null || value === undefined || value === '') return '—';
     
-    const isbn = book.isbn.replace(/[^0-9X]/gi, '');
+    if (Array.isArray(value)) {
+        if (value.length === 0) return '—';
+        return escapeHtml(value.map(item => item && item.name ? `${item.name} (${item.role})` : item).join(', '));
+    }
     
-    try {
-        // Fetch ISBN data
-        const isbnResponse = await fetch(`https://openlibrary.org/isbn/${isbn}.json`);
-        if (!isbnResponse.ok) {
-            throw new Error(`ISBN fetch failed: ${isbnResponse.status}`);
-        }
-        
-        const isbnData = await isbnResponse.json();
-        
-        // Check for works
-        if (!isbnData.works || isbnData.works.length === 0) {
-            throw new Error('No works found for ISBN');
-        }
-        
-        const workKey = isbnData.works[0].key;
-        
-        // Fetch work data
-        const workResponse = await fetch(`https://openlibrary.org${workKey}.json`);
-        if (!workResponse.ok) {
-            throw new Error(`Work fetch failed: ${workResponse.status}`);
-        }
-        
-        const workData = await workResponse.json();
-        
-        // Extract subjects
-        const subjectsRaw = workData.subjects || [];
-        
-        // Map subjects to canonical genres
-        const genres = mapSubjectsToGenres(subjectsRaw);
-        
-        // Extract cover ID
-        const coverId = isbnData.covers?.[0] || workData.covers?.[0] || null;
-        
-        // Store enrichment
-        book.enrichment = {
-            subjectsRaw: subjectsRaw,
-            genres: genres,
-            coverId: coverId
-        };
-    } catch (error) {
-        // Store empty enrichment to prevent re-fetching
-        book.enrichment = {
-            subjectsRaw: [],
-            genres: [],
-            coverId: null
-        };
+    if (typeof value === 'object') {
+        return escapeHtml(value.number !== undefined ? `${value.name} #${value.number}` : JSON.stringify(value));
     }
+    
+    return escapeHtml(value);
 }
 
 /**
- * Maps raw subjects to canonical genres.
- * @param {Array} subjects - Raw subject strings
- * @returns {Array} Canonical genres
+ * Shows a book's full normalised record and any enrichment.
+ * @param {Object} book - Book to show
  */
-function mapSubjectsToGenres(subjects) {
-    const genres = new Set();
+function renderLibraryBookDetail(book) {
+    const detail = document.getElementById('library-detail');
+    const content = document.getElementById('library-detail-content');
+    if (!detail || !content) return;
     
-    subjects.forEach(subject => {
-        const subjectLower = subject.toLowerCase();
-        
-        // Check each mapping
-        for (const [keyword, mappedGenres] of Object.entries(GENRE_MAP)) {
-            if (subjectLower.includes(keyword)) {
-                mappedGenres.forEach(genre => genres.add(genre));
-            }
-        }
-    });
+    const fields = Object.entries(book)
+        .filter(([key]) => key !== 'enrichment')
+        .map(([key, value]) => `
+            <dt>${escapeHtml(key)}</dt>
+            <dd>${formatDetailValue(value)}</dd>
+        `).join('');
     
-    return Array.from(genres);
+    const enrichment = book.enrichment;
+    let enrichmentHtml = '<p class="section-description">Not enriched yet</p>';
+    if (enrichment) {
+        enrichmentHtml = `
+            <dl class="library-detail-fields">
+                <dt>genres</dt>
+                <dd>${enrichment.genres.length > 0 ? escapeHtml(enrichment.genres.join(', ')) : '—'}</dd>
+                <dt>subjects</dt>
+                <dd>${enrichment.subjectsRaw.length > 0 ? escapeHtml(enrichment.subjectsRaw.join(', ')) : '—'}</dd>
+                <dt>coverId</dt>
+                <dd>${enrichment.coverId ? escapeHtml(enrichment.coverId) : '—'}</dd>
+            </dl>
+        `;
+    }
+    
+    // Audiobook durations are entered by hand - exports only carry the print page count
+    const bookKey = getBookKey(book);
+    const listeningHtml = book.format !== 'audio' ? '' : `
+        <label class="section-picker">
+            <span>Listening time (hours)</span>
+            <input type="number" id="library-listening-hours" min="0" step="0.5"
+                value="${timeSettings.listeningHours[bookKey] || ''}"
+                placeholder="${book.pages > 0 ? formatNumber(book.pages / LISTENING_PAGES_PER_HOUR) : ''}" />
+        </label>
+    `;
+    
+    content.innerHTML = `
+        <h3>${escapeHtml(book.title || 'Unknown')}</h3>
+        <p class="section-description">by ${escapeHtml(book.author || 'Unknown')}</p>
+        ${listeningHtml}
+        <dl class="library-detail-fields">${fields}</dl>
+        <h4>Enrichment</h4>
+        ${enrichmentHtml}
+    `;
+    detail.classList.remove('hidden');
+    
+    const listeningInput = document.getElementById('library-listening-hours');
+    if (listeningInput) {
+        listeningInput.addEventListener('change', () => {
+            const hours = parseListeningHours(listeningInput.value);
+            if (hours) {
+                timeSettings.listeningHours[bookKey] = hours;
+            } else {
+                delete timeSettings.listeningHours[bookKey];
+            }
+            persistLibrary();
+        });
+    }
 }
 
 // ============================================
@@ -1793,10 +7015,98 @@ if (typeof module !== 'undefined' && module.exports) {
         median,
         getMostFrequent,
         parseDateSafe,
+        detectDateFormat,
+        normaliseDate,
+        deriveReadingStatus,
+        getReadingStatus,
+        calculateFinishPace,
+        calculateCurrentlyReadingInsights,
+        groupByYear,
+        expandRereads,
+        findMostRereadBooks,
+        getRereadCandidates,
+        stripHtml,
+        scoreSentiment,
+        extractKeywords,
+        calculateReviewInsights,
+        findPositivelyReviewedAuthors,
+        buildYearSeries,
+        buildDistributionComparison,
+        buildRatingHistogram,
+        buildMonthlyHeatmap,
+        renderBarChart,
+        groupPagesByPeriod,
+        getReadingSpans,
+        calculateReadingSpeed,
+        calculateRollingTrend,
+        calculateGoalProgress,
+        parseGoalValue,
+        getReadYears,
+        calculateYearInReview,
+        calculateRatingCalibration,
+        groupDeviations,
+        getCalibrationLabel,
+        predictUserRating,
+        getAuthorKey,
+        parseContributors,
+        getBookContributors,
+        calculateAuthorDiversity,
+        parseSeries,
+        calculateSeriesProgress,
+        findNextInSeries,
+        applySeriesScoring,
+        getBookFormat,
+        getPublisherKey,
+        getPublisherGroup,
+        applyFormatFilter,
+        calculateFormatSplit,
+        calculatePublisherInsights,
+        applyBehaviourScoring,
+        unifyAuthorNames,
+        listAuthors,
+        calculateAuthorProfile,
+        getBookShelves,
+        filterLibraryBooks,
+        sortLibraryBooks,
+        getVisibleRowRange,
         applyTimeFilter,
+        calculateScoreBreakdown,
+        createSeededRandom,
+        rankCandidates,
+        findNextPick,
+        takeNextPick,
+        parseSeed,
+        applyBacklogScoring,
+        applyRiskScoring,
+        applyRereadScoring,
+        applyGenreScoring,
+        getBookGenreTags,
+        buildGenreOptions,
+        getBehaviourProfile,
+        mapSubjectsToGenres,
+        calculateTimeBudgets,
+        estimateBookHours,
+        parseListeningHours,
         scoreLocally,
         selectTopCandidates,
+        enrichCandidates,
+        enrichBook,
+        isEnrichmentFresh,
+        normaliseIsbn,
+        applyEnrichmentCache,
+        createEnrichmentBundle,
+        parseEnrichmentBundle,
+        mergeEnrichmentBundle,
+        createEmptyEnrichmentCache,
+        rankWithEnrichment,
         deriveBehaviourProfile,
+        createLibrarySnapshot,
+        isValidLibrarySnapshot,
+        getBookKey,
+        diffLibraries,
+        detectImporter,
+        parseJsonExport,
+        validateImport,
         books
     };
 }
@@ -1805,4 +7115,6 @@ if (typeof module !== 'undefined' && module.exports) {
 // Initialise
 // ============================================
 
-document.addEventListener("DOMContentLoaded", initUploadHandler);
+document.addEventListener("DOMContentLoaded", () => {
+    initApp().catch(error => console.error('Could not start the app:', error));
+});
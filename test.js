@@ -9,7 +9,7 @@ const TestRunner = {
     
     describe(name, fn) {
         console.log(`\n📦 ${name}`);
-        fn();
+        return fn();
     },
     
     it(description, fn) {
@@ -24,6 +24,18 @@ const TestRunner = {
         }
     },
     
+    async itAsync(description, fn) {
+        try {
+            await fn();
+            this.passed++;
+            console.log(`  ✅ ${description}`);
+        } catch (error) {
+            this.failed++;
+            console.log(`  ❌ ${description}`);
+            console.log(`     Error: ${error.message}`);
+        }
+    },
+    
     assertEqual(actual, expected, message) {
         if (actual !== expected) {
             throw new Error(`${message || 'Assertion failed'}: expected ${expected}, got ${actual}`);
@@ -48,7 +60,7 @@ const TestRunner = {
         }
     },
     
-    runAll() {
+    async runAll() {
         console.log('🧪 Running Unit Tests...\n');
         console.log('═'.repeat(50));
         
@@ -56,6 +68,31 @@ const TestRunner = {
         this.testDataNormalization();
         this.testCalculations();
         this.testScoring();
+        this.testLibraryStore();
+        this.testReimportDiff();
+        this.testImporters();
+        this.testImportValidation();
+        this.testDateNormalisation();
+        this.testReadingStatus();
+        this.testCurrentlyReading();
+        this.testRereads();
+        this.testReviews();
+        this.testLibraryTable();
+        this.testCharts();
+        this.testPace();
+        this.testReadingGoal();
+        this.testYearInReview();
+        this.testRatingCalibration();
+        this.testAuthors();
+        this.testContributors();
+        this.testSeries();
+        this.testFormats();
+        this.testTimeInvestment();
+        this.testScoreBreakdown();
+        this.testTieBreak();
+        this.testGenres();
+        await this.testEnrichment();
+        await this.testEnrichmentCache();
         
         console.log('\n' + '═'.repeat(50));
         console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
@@ -161,14 +198,14 @@ const TestRunner = {
     testScoring() {
         this.describe('Scoring Logic', () => {
             
-            this.it('should apply time filter for quick reads', () => {
+            this.it('should apply time filter for an evening', () => {
                 const books = [
-                    { pages: 200, title: 'Short' },
+                    { pages: 100, title: 'Short' },
                     { pages: 400, title: 'Medium' },
                     { pages: 600, title: 'Long' }
                 ];
-                const filtered = applyTimeFilter(books, 'quick');
-                this.assertEqual(filtered.length, 1, 'Only 1 book under 300 pages');
+                const filtered = applyTimeFilter(books, 'evening');
+                this.assertEqual(filtered.length, 1, 'Only 1 book readable in 3 hours');
                 this.assertEqual(filtered[0].title, 'Short', 'Correct book filtered');
             });
             
@@ -216,9 +253,1291 @@ const TestRunner = {
                 books = originalBooks;
             });
         });
+    },
+    
+    // Test Suite: Local Library Store
+    testLibraryStore() {
+        this.describe('Local Library Store', () => {
+            
+            this.it('should snapshot books and last selections', () => {
+                const libraryBooks = [{ title: 'A', enrichment: { genres: ['Fantasy'] } }];
+                const snapshot = createLibrarySnapshot(libraryBooks, { timeInvestment: 'quick' });
+                this.assertEqual(snapshot.books.length, 1, 'Snapshot keeps every book');
+                this.assertEqual(snapshot.books[0].enrichment.genres[0], 'Fantasy', 'Snapshot keeps enrichment');
+                this.assertEqual(snapshot.lastSelections.timeInvestment, 'quick', 'Snapshot keeps selections');
+                this.assertTrue(snapshot.books[0] !== libraryBooks[0], 'Books are copied, not shared');
+            });
+            
+            this.it('should accept a valid snapshot', () => {
+                const snapshot = createLibrarySnapshot([{ title: 'A' }], null);
+                this.assertTrue(isValidLibrarySnapshot(snapshot), 'Fresh snapshot is valid');
+            });
+            
+            this.it('should reject empty or outdated snapshots', () => {
+                this.assertFalse(isValidLibrarySnapshot(undefined), 'Missing record is invalid');
+                this.assertFalse(isValidLibrarySnapshot(createLibrarySnapshot([], null)), 'Empty library is invalid');
+                this.assertFalse(isValidLibrarySnapshot({ version: 0, books: [{}] }), 'Old version is invalid');
+            });
+        });
+    },
+    
+    // Test Suite: Re-import Diffing
+    testReimportDiff() {
+        this.describe('Re-import Diffing', () => {
+            
+            this.it('should keep the Goodreads Book Id', () => {
+                const book = normaliseBook({ 'Book Id': '42', Title: 'Dune' });
+                this.assertEqual(book.bookId, '42', 'Book Id is normalised');
+            });
+            
+            this.it('should classify added, finished, rated, re-rated, unrated, re-shelved and removed books', () => {
+                const previous = [
+                    { bookId: '1', title: 'A', dateRead: null, userRating: 0, shelves: 'to-read' },
+                    { bookId: '2', title: 'B', dateRead: '2024/01/01', userRating: 3, shelves: 'read' },
+                    { bookId: '3', title: 'C', dateRead: null, userRating: 0, shelves: 'to-read' },
+                    { bookId: '5', title: 'E', dateRead: '2023/01/01', userRating: 2, shelves: 'read' }
+                ];
+                const next = [
+                    { bookId: '1', title: 'A', dateRead: '2025/02/01', userRating: 4, shelves: 'read' },
+                    { bookId: '2', title: 'B', dateRead: '2024/01/01', userRating: 5, shelves: 'read' },
+                    { bookId: '4', title: 'D', dateRead: null, userRating: 0, shelves: 'to-read' },
+                    { bookId: '5', title: 'E', dateRead: '2023/01/01', userRating: 0, shelves: 'read' }
+                ];
+                const changes = diffLibraries(previous, next);
+                this.assertEqual(changes.added.length, 1, 'One book added');
+                this.assertEqual(changes.added[0].title, 'D', 'D was added');
+                this.assertEqual(changes.finished.length, 1, 'One book finished');
+                this.assertEqual(changes.rated.length, 1, 'A rated for the first time');
+                this.assertEqual(changes.rerated.length, 1, 'Only B re-rated');
+                this.assertEqual(changes.rerated[0].previousRating, 3, 'Previous rating kept');
+                this.assertEqual(changes.unrated.length, 1, 'E had its rating removed');
+                this.assertEqual(changes.unrated[0].previousRating, 2, 'Removed rating kept');
+                this.assertEqual(changes.reshelved.length, 1, 'One book re-shelved');
+                this.assertEqual(changes.removed.length, 1, 'One book removed');
+                this.assertEqual(changes.removed[0].title, 'C', 'C was removed');
+            });
+            
+            this.it('should match books without an id by title and author', () => {
+                const key = getBookKey({ bookId: null, title: 'Dune', author: 'Frank Herbert' });
+                this.assertEqual(key, getBookKey({ bookId: null, title: 'DUNE', author: 'frank herbert' }), 'Keys ignore case');
+            });
+        });
+    },
+    
+    // Test Suite: Importers
+    testImporters() {
+        this.describe('Importers', () => {
+            
+            this.it('should detect each export format from its header row', () => {
+                this.assertEqual(detectImporter(['Book Id', 'Title', 'Author', 'Author l-f', 'Bookshelves']).id, 'goodreads', 'Goodreads');
+                this.assertEqual(detectImporter(['Title', 'Authors', 'ISBN/UID', 'Read Status', 'Star Rating']).id, 'storygraph', 'StoryGraph');
+                this.assertEqual(detectImporter(['Book Id', 'Title', 'Primary Author', 'Collections']).id, 'librarything-tsv', 'LibraryThing TSV');
+                this.assertEqual(detectImporter(['books_id', 'title', 'primaryauthor']).id, 'librarything-json', 'LibraryThing JSON');
+                this.assertEqual(detectImporter(['author_sort', 'authors', 'title', 'uuid']).id, 'calibre', 'Calibre');
+            });
+            
+            this.it('should fall back to Goodreads for unknown headers', () => {
+                this.assertEqual(detectImporter(['Foo', 'Bar']).id, 'goodreads', 'Fallback importer');
+            });
+            
+            this.it('should map a StoryGraph row onto a book', () => {
+                const importer = detectImporter(['Title', 'Authors', 'Read Status', 'Star Rating']);
+                const book = normaliseBook(importer.mapRow({
+                    'Title': 'Kindred',
+                    'Authors': 'Octavia E. Butler, Damian Duffy',
+                    'Read Status': 'to-read',
+                    'Star Rating': '',
+                    'ISBN/UID': '9780807083697',
+                    'Date Added': '2024/03/01'
+                }));
+                this.assertEqual(book.author, 'Octavia E. Butler', 'First author is primary');
+                this.assertEqual(book.isbn, '9780807083697', 'ISBN mapped');
+                this.assertTrue(book.shelves.includes('to-read'), 'Read status becomes a shelf');
+            });
+            
+            this.it('should convert Calibre ratings out of 10', () => {
+                const importer = detectImporter(['author_sort', 'authors', 'title', 'uuid']);
+                const book = normaliseBook(importer.mapRow({ title: 'Dune', authors: 'Frank Herbert', rating: '8', tags: 'read, sci-fi' }));
+                this.assertEqual(book.userRating, 4, 'Rating halved');
+                this.assertEqual(book.shelves, 'read, sci-fi', 'Read tag becomes the shelf');
+            });
+            
+            this.it('should flatten a LibraryThing JSON export into rows', () => {
+                const results = parseJsonExport('{"1": {"books_id": "1", "title": "Dune", "primaryauthor": "Herbert, Frank"}}');
+                this.assertEqual(results.data.length, 1, 'One row');
+                const importer = detectImporter(results.meta.fields);
+                this.assertEqual(normaliseBook(importer.mapRow(results.data[0])).author, 'Frank Herbert', 'Author name flipped');
+            });
+        });
+    },
+    
+    // Test Suite: Import Validation
+    testImportValidation() {
+        this.describe('Import Validation', () => {
+            const goodreads = detectImporter(['Title', 'Author']);
+            
+            this.it('should report malformed rows, bad pages and unknown columns', () => {
+                const rows = [
+                    { Title: 'A', Author: 'X', 'Number of Pages': 'lots', Mystery: '1' },
+                    { Title: 'B', Author: 'Y', 'Number of Pages': '200', Mystery: '2' }
+                ];
+                const results = { data: rows, errors: [{ row: 1, message: 'Too few fields' }] };
+                const report = validateImport(results, ['Title', 'Author', 'Number of Pages', 'Mystery'], goodreads, rows);
+                this.assertFalse(report.refused, 'Book export is accepted');
+                this.assertEqual(report.malformedRows[0].row, 3, 'Row numbers include the header line');
+                this.assertEqual(report.invalidPages.length, 1, 'One bad page count');
+                this.assertEqual(report.unrecognisedHeaders[0], 'Mystery', 'Unknown column reported');
+            });
+            
+            this.it('should report missing required columns', () => {
+                const rows = [{ Title: 'A' }];
+                const report = validateImport({ data: rows, errors: [] }, ['Title'], goodreads, rows);
+                this.assertEqual(report.missingColumns.join(','), 'Author', 'Author column missing');
+            });
+            
+            this.it('should refuse files without book titles', () => {
+                const rows = [{ Name: 'Alice', Email: 'a@example.com' }];
+                const report = validateImport({ data: rows, errors: [] }, ['Name', 'Email'], goodreads, rows);
+                this.assertTrue(report.refused, 'Non-book file refused');
+                this.assertNotNull(report.refusalReason, 'Reason given');
+            });
+            
+            this.it('should explain why a JSON file could not be parsed', () => {
+                const results = parseJsonExport('{"1": {"title": "Dune"');
+                const report = validateImport(results, results.meta.fields, goodreads, results.data);
+                this.assertTrue(report.refused, 'Malformed JSON refused');
+                this.assertTrue(report.refusalReason.startsWith('The file is not valid JSON: '), 'Parse error shown');
+                this.assertTrue(report.refusalReason.length > 'The file is not valid JSON: '.length, 'Parse message kept');
+            });
+        });
+    },
+    
+    // Test Suite: Date Normalisation
+    testDateNormalisation() {
+        this.describe('Date Normalisation', () => {
+            
+            this.it('should detect day-first files from any unambiguous date', () => {
+                this.assertEqual(detectDateFormat(['03/01/2025', '15/01/2025']), 'DMY', 'Day over 12 means DMY');
+            });
+            
+            this.it('should detect month-first files from any unambiguous date', () => {
+                this.assertEqual(detectDateFormat(['01/03/2025', '01/15/2025']), 'MDY', 'Day in second place means MDY');
+            });
+            
+            this.it('should normalise every supported format to ISO', () => {
+                this.assertEqual(normaliseDate('15/01/2025', 'DMY'), '2025-01-15', 'DD/MM/YYYY');
+                this.assertEqual(normaliseDate('03/01/2025', 'DMY'), '2025-01-03', 'Ambiguous date uses file format');
+                this.assertEqual(normaliseDate('03/01/2025', 'MDY'), '2025-03-01', 'MM/DD/YYYY');
+                this.assertEqual(normaliseDate('2025/01/15'), '2025-01-15', 'Goodreads YYYY/MM/DD');
+                this.assertEqual(normaliseDate('2020-01-03T10:00:00+00:00'), '2020-01-03', 'Calibre timestamp');
+            });
+            
+            this.it('should reject impossible and unparseable dates', () => {
+                this.assertEqual(normaliseDate('31/02/2025', 'DMY'), null, 'No 31st of February');
+                this.assertEqual(normaliseDate('soon'), null, 'Free text rejected');
+            });
+            
+            this.it('should store ISO dates on normalised books', () => {
+                const book = normaliseBook({ Title: 'A', 'Date Read': '15/01/2025', 'Date Added': '10/01/2025' });
+                this.assertEqual(book.dateRead, '2025-01-15', 'Date Read is ISO');
+                this.assertEqual(book.dateAdded, '2025-01-10', 'Date Added is ISO');
+            });
+        });
+    },
+    
+    // Test Suite: Reading Status
+    testReadingStatus() {
+        this.describe('Reading Status', () => {
+            
+            this.it('should use the Exclusive Shelf column', () => {
+                const book = normaliseBook({ Title: 'A', 'Exclusive Shelf': 'read', 'Date Read': '' });
+                this.assertEqual(book.status, 'read', 'Read without a date is still read');
+            });
+            
+            this.it('should map DNF and custom exclusive shelves', () => {
+                this.assertEqual(deriveReadingStatus('did-not-finish', '', null), 'dnf', 'DNF shelf');
+                this.assertEqual(deriveReadingStatus('on-hold', '', null), 'custom', 'Custom exclusive shelf');
+            });
+            
+            this.it('should not substring-match custom shelves containing to-read', () => {
+                this.assertEqual(deriveReadingStatus(null, 'not-to-read-yet, read', '2024-01-01'), 'read', 'Exact shelf match');
+            });
+            
+            this.it('should fall back to the read date without any status shelf', () => {
+                this.assertEqual(getReadingStatus({ shelves: 'favourites', dateRead: '2024-01-01' }), 'read', 'Dated book is read');
+                this.assertEqual(getReadingStatus({ shelves: null, dateRead: null }), 'to-read', 'Undated book is backlog');
+            });
+        });
+    },
+    
+    // Test Suite: Currently Reading
+    testCurrentlyReading() {
+        this.describe('Currently Reading', () => {
+            const readBooks = [
+                { pages: 100, dateAdded: '2024-01-01', dateRead: '2024-01-11' },
+                { pages: 300, dateAdded: '2024-02-01', dateRead: '2024-02-11' },
+                { pages: 200, dateAdded: '2024-03-01', dateRead: '2024-03-11' }
+            ];
+            
+            this.it('should calculate typical days and pages per day', () => {
+                const pace = calculateFinishPace(readBooks);
+                this.assertEqual(pace.typicalDays, 10, 'Median of 10 days');
+                this.assertEqual(pace.pagesPerDay, 20, 'Median of 20 pages a day');
+            });
+            
+            this.it('should estimate pages remaining and flag stalled books', () => {
+                const current = [
+                    { title: 'Fresh', pages: 400, dateAdded: '2025-01-10' },
+                    { title: 'Stuck', pages: 400, dateAdded: '2024-11-01' }
+                ];
+                const insights = calculateCurrentlyReadingInsights(current, readBooks, new Date(2025, 0, 15));
+                const fresh = insights.books.find(b => b.title === 'Fresh');
+                const stuck = insights.books.find(b => b.title === 'Stuck');
+                this.assertEqual(fresh.daysInProgress, 5, 'Five days in progress');
+                this.assertEqual(fresh.pagesRemaining, 300, '100 pages read at 20 a day');
+                this.assertFalse(fresh.stalled, 'Recent book is not stalled');
+                this.assertTrue(stuck.stalled, 'Old book is stalled');
+                this.assertEqual(insights.books[0].title, 'Stuck', 'Longest running first');
+            });
+        });
+    },
+    
+    // Test Suite: Re-reads
+    testRereads() {
+        this.describe('Re-reads', () => {
+            const readBooks = [
+                { title: 'Dune', author: 'Frank Herbert', readCount: 3, userRating: 5, status: 'read', dateRead: '2024-05-01' },
+                { title: 'Kindred', author: 'Octavia E. Butler', readCount: 1, userRating: 3, status: 'read', dateRead: '2024-06-01' }
+            ];
+            
+            this.it('should read the Read Count column', () => {
+                this.assertEqual(normaliseBook({ Title: 'A', 'Exclusive Shelf': 'read', 'Read Count': '2' }).readCount, 2, 'Read twice');
+                this.assertEqual(normaliseBook({ Title: 'A', 'Exclusive Shelf': 'read' }).readCount, 1, 'Read books count once at least');
+            });
+            
+            this.it('should expand re-reads into one entry per read', () => {
+                this.assertEqual(expandRereads(readBooks).length, 4, 'Three reads plus one');
+            });
+            
+            this.it('should count each book once in books per year', () => {
+                this.assertEqual(groupByYear(readBooks)[2024], 2, 'Undated earlier reads left out');
+            });
+            
+            this.it('should find the most re-read books', () => {
+                const mostReread = findMostRereadBooks(readBooks);
+                this.assertEqual(mostReread.length, 1, 'Only Dune was re-read');
+                this.assertEqual(mostReread[0].readCount, 3, 'Read three times');
+            });
+            
+            this.it('should only offer favourites for a re-read', () => {
+                const candidates = getRereadCandidates([...readBooks, { title: 'Backlog', status: 'to-read' }]);
+                this.assertEqual(candidates.length, 1, 'Only the 5-star read book');
+                this.assertEqual(candidates[0].title, 'Dune', 'Dune is a favourite');
+            });
+        });
+    },
+    
+    // Test Suite: Reviews
+    testReviews() {
+        this.describe('Reviews & Notes', () => {
+            
+            this.it('should keep reviews and notes without HTML', () => {
+                const book = normaliseBook({ Title: 'A', 'My Review': 'Loved it.<br/><br/>Great ending', 'Private Notes': 'Lent to Sam' });
+                this.assertEqual(book.review, 'Loved it.\n\nGreat ending', 'Line breaks kept, tags removed');
+                this.assertEqual(book.privateNotes, 'Lent to Sam', 'Notes kept');
+            });
+            
+            this.it('should score sentiment with the local lexicon', () => {
+                this.assertTrue(scoreSentiment('A wonderful, gripping story. Loved it.') > 0, 'Positive review');
+                this.assertTrue(scoreSentiment('Boring and predictable, a real slog.') < 0, 'Negative review');
+                this.assertEqual(scoreSentiment('It exists.'), 0, 'Neutral review');
+            });
+            
+            this.it('should extract keywords without stop words', () => {
+                const keywords = extractKeywords(['The dragons were great', 'Dragons and more dragons']);
+                this.assertEqual(keywords[0].word, 'dragons', 'Most used word first');
+                this.assertEqual(keywords[0].count, 3, 'Counted across reviews');
+            });
+            
+            this.it('should summarise review length', () => {
+                const insights = calculateReviewInsights([
+                    { title: 'A', review: 'one two three four' },
+                    { title: 'B', review: 'one two' },
+                    { title: 'C', privateNotes: 'note only' }
+                ]);
+                this.assertEqual(insights.reviewCount, 2, 'Two reviews');
+                this.assertEqual(insights.notesCount, 1, 'One note');
+                this.assertEqual(insights.averageWords, 3, 'Average of four and two words');
+                this.assertEqual(insights.longestReview.title, 'A', 'Longest review');
+            });
+            
+            this.it('should find authors reviewed positively', () => {
+                const authors = findPositivelyReviewedAuthors([
+                    { author: 'Liked', review: 'brilliant and moving' },
+                    { author: 'Disliked', review: 'dull' }
+                ]);
+                this.assertEqual(authors.join(','), 'Liked', 'Only the positive review counts');
+            });
+        });
+    },
+    
+    // Test Suite: Library Table
+    testLibraryTable() {
+        this.describe('Library Table', () => {
+            const library = [
+                { title: 'Dune', author: 'Frank Herbert', pages: 896, publicationYear: 1965, userRating: 5, status: 'read', shelves: 'sci-fi, favourites', exclusiveShelf: 'read' },
+                { title: 'Circe', author: 'Madeline Miller', pages: 393, publicationYear: 2018, userRating: 0, status: 'to-read', shelves: 'to-read, myth', exclusiveShelf: 'to-read' },
+                { title: 'Beloved', author: 'Toni Morrison', pages: 0, publicationYear: 1987, userRating: 4, status: 'read', shelves: '', exclusiveShelf: 'read' }
+            ];
+            
+            this.it('should search across title, author and shelves', () => {
+                this.assertEqual(filterLibraryBooks(library, 'morrison').length, 1, 'Author match');
+                this.assertEqual(filterLibraryBooks(library, 'MYTH')[0].title, 'Circe', 'Case-insensitive shelf match');
+            });
+            
+            this.it('should apply status, shelf, era, length and rating filters', () => {
+                this.assertEqual(filterLibraryBooks(library, '', { status: 'read' }).length, 2, 'Status filter');
+                this.assertEqual(filterLibraryBooks(library, '', { shelf: 'favourites' })[0].title, 'Dune', 'Shelf filter');
+                this.assertEqual(filterLibraryBooks(library, '', { era: 'late20th' })[0].title, 'Dune', 'Era filter');
+                this.assertEqual(filterLibraryBooks(library, '', { length: 'unknown' })[0].title, 'Beloved', 'Unknown length filter');
+                this.assertEqual(filterLibraryBooks(library, '', { rating: '0' })[0].title, 'Circe', 'Unrated filter');
+            });
+            
+            this.it('should sort either way with empty values last', () => {
+                const ascending = sortLibraryBooks(library, 'pages', 'asc').map(b => b.title).join(',');
+                const descending = sortLibraryBooks(library, 'pages', 'desc').map(b => b.title).join(',');
+                this.assertEqual(ascending, 'Circe,Dune,Beloved', 'Ascending pages');
+                this.assertEqual(descending, 'Dune,Circe,Beloved', 'Descending pages');
+                this.assertEqual(sortLibraryBooks(library, 'title')[0].title, 'Beloved', 'Titles alphabetical');
+            });
+            
+            this.it('should only render rows near the viewport', () => {
+                const range = getVisibleRowRange(4400, 440, 1000, 44, 5);
+                this.assertEqual(range.start, 95, 'Starts overscan rows above');
+                this.assertEqual(range.end, 115, 'Ends overscan rows below');
+                this.assertEqual(getVisibleRowRange(0, 440, 3, 44, 5).end, 3, 'Clamped to row count');
+            });
+        });
+    },
+    
+    // Test Suite: Charts
+    testCharts() {
+        this.describe('Charts', () => {
+            
+            this.it('should cover the full reading history with empty years', () => {
+                const series = buildYearSeries({ 2019: 3, 2022: 1 });
+                this.assertEqual(series.length, 4, 'Every year from first to last');
+                this.assertEqual(series[1].value, 0, 'Gap year counted as zero');
+                this.assertEqual(series[3].filters.readPeriod, '2022', 'Click-through filters by year read');
+            });
+            
+            this.it('should compare read and backlog distributions', () => {
+                const groups = buildDistributionComparison(
+                    [{ pages: 200 }, { pages: 900 }],
+                    [{ pages: 250 }, { pages: 0 }],
+                    'length',
+                    [{ key: 'short', label: 'Short' }, { key: 'epic', label: 'Epic' }],
+                    book => book.pages > 0 ? getLengthCategory(book.pages) : null
+                );
+                this.assertEqual(groups[0].segments[1].value, 1, 'One epic read');
+                this.assertEqual(groups[1].segments[0].value, 1, 'Unknown lengths left out');
+                this.assertEqual(groups[1].segments[0].filters.status, 'to-read', 'Backlog click-through');
+            });
+            
+            this.it('should build a rating histogram and monthly heatmap', () => {
+                const readBooks = [
+                    { userRating: 5, dateRead: '2024-03-02' },
+                    { userRating: 5, dateRead: '2024-03-20' },
+                    { userRating: 3, dateRead: '2023-12-01' }
+                ];
+                this.assertEqual(buildRatingHistogram(readBooks)[4].value, 2, 'Two five-star books');
+                
+                const heatmap = buildMonthlyHeatmap(readBooks);
+                this.assertEqual(heatmap.rows[0].year, 2024, 'Newest year first');
+                this.assertEqual(heatmap.rows[0].months[2], 2, 'Two books in March');
+                this.assertEqual(heatmap.max, 2, 'Busiest month');
+            });
+            
+            this.it('should render bars with tooltips and click-through data', () => {
+                const svg = renderBarChart([{ label: '2024', value: 2, filters: { readPeriod: '2024' } }]);
+                this.assertTrue(svg.includes('<title>2024: 2 books</title>'), 'Hover tooltip');
+                this.assertTrue(svg.includes('data-chart-filter='), 'Click-through filter');
+            });
+        });
+    },
+    
+    // Test Suite: Pages & Pace
+    testPace() {
+        this.describe('Pages & Pace', () => {
+            const readBooks = [
+                { title: 'Slow', pages: 300, dateAdded: '2025-01-01', dateRead: '2025-01-31' },
+                { title: 'Fast', pages: 200, dateAdded: '2025-02-01', dateRead: '2025-02-03' },
+                { title: 'Old', pages: 100, dateAdded: '2024-05-01', dateRead: '2024-05-11' },
+                { title: 'Undated', pages: 500, dateAdded: null, dateRead: null }
+            ];
+            
+            this.it('should sum pages per month and per year', () => {
+                const perYear = groupPagesByPeriod(readBooks, 'year');
+                this.assertEqual(perYear['2025'], 500, 'Pages in 2025');
+                this.assertEqual(groupPagesByPeriod(readBooks, 'month')['2024-05'], 100, 'Pages in May 2024');
+            });
+            
+            this.it('should estimate speed and find longest and fastest reads', () => {
+                const speed = calculateReadingSpeed(readBooks);
+                this.assertEqual(speed.measuredBooks, 3, 'Undated books skipped');
+                this.assertEqual(speed.medianPagesPerDay, 10, 'Median of 10, 100 and 10 pages/day');
+                this.assertEqual(speed.longestRead.book.title, 'Slow', 'Longest read by days');
+                this.assertEqual(speed.fastestRead.book.title, 'Fast', 'Fastest read by pages/day');
+            });
+            
+            this.it('should ignore spans where Date Read is before Date Added', () => {
+                const spans = getReadingSpans([{ pages: 100, dateAdded: '2025-03-01', dateRead: '2025-01-01' }]);
+                this.assertEqual(spans.length, 0, 'Inconsistent dates skipped');
+            });
+            
+            this.it('should compare the last 12 months with the 12 before', () => {
+                const trend = calculateRollingTrend(readBooks, new Date(2025, 3, 15));
+                this.assertEqual(trend.months.length, 12, 'Twelve months');
+                this.assertEqual(trend.months[11].month, '2025-04', 'Ends with the current month');
+                this.assertEqual(trend.current.pages, 600, 'Pages in the last 12 months');
+                this.assertEqual(trend.previous.books, 0, 'Nothing the year before');
+                this.assertEqual(trend.pageChange, null, 'No change without earlier data');
+            });
+        });
+    },
+    
+    // Test Suite: Reading Goal
+    testReadingGoal() {
+        this.describe('Reading Goal', () => {
+            const backlog = [
+                { title: 'Long', pages: 900 },
+                { title: 'Short', pages: 150 },
+                { title: 'Unknown', pages: 0 },
+                { title: 'Medium', pages: 320 }
+            ];
+            const midYear = new Date(2025, 6, 2);
+            
+            this.it('should project the year-end total from current pace', () => {
+                const progress = calculateGoalProgress({ books: 20, pages: null }, { 2025: 12 }, { 2025: 3000 }, backlog, midYear);
+                this.assertEqual(progress.books.done, 12, 'Books read this year');
+                this.assertEqual(progress.books.percentage, 60, 'Percentage complete');
+                this.assertEqual(progress.books.projected, 24, 'Doubles by year end');
+                this.assertTrue(progress.books.onTrack, 'Ahead of the goal');
+                this.assertEqual(progress.pages, null, 'No page goal set');
+            });
+            
+            this.it('should suggest the shortest backlog books still needed', () => {
+                const progress = calculateGoalProgress({ books: 14, pages: 5000 }, { 2025: 12 }, {}, backlog, midYear);
+                this.assertEqual(progress.suggestions.map(b => b.title).join(','), 'Short,Medium', 'Two shortest books');
+                this.assertEqual(progress.suggestedPages, 470, 'Pages in the suggestions');
+                this.assertFalse(progress.pages.onTrack, 'No pages read yet');
+            });
+            
+            this.it('should parse goal inputs', () => {
+                this.assertEqual(parseGoalValue('52'), 52, 'Whole number');
+                this.assertEqual(parseGoalValue(''), null, 'Cleared input');
+                this.assertEqual(parseGoalValue('-3'), null, 'Negative ignored');
+            });
+        });
+    },
+    
+    // Test Suite: Year in Review
+    testYearInReview() {
+        this.describe('Year in Review', () => {
+            const library = [
+                { title: 'A', author: 'X', status: 'read', pages: 300, publicationYear: 1990, userRating: 5, dateRead: '2024-01-10', dateAdded: '2023-12-01' },
+                { title: 'B', author: 'X', status: 'read', pages: 900, publicationYear: 2010, userRating: 2, dateRead: '2024-01-20', dateAdded: '2024-01-02' },
+                { title: 'C', author: 'Y', status: 'read', pages: 200, publicationYear: 2020, userRating: 0, dateRead: '2023-06-01', dateAdded: '2023-05-01' },
+                { title: 'D', author: 'Z', status: 'to-read', pages: 400, dateRead: null, dateAdded: '2024-03-01' },
+                { title: 'E', author: 'Z', status: 'to-read', pages: 250, dateRead: null, dateAdded: '2024-04-01' },
+                { title: 'F', author: 'Z', status: 'to-read', pages: 250, dateRead: null, dateAdded: '2024-05-01' }
+            ];
+            
+            this.it('should list every year with a read date', () => {
+                this.assertEqual(getReadYears(library).join(','), '2024,2023', 'Newest first');
+            });
+            
+            this.it('should summarise one year of reading', () => {
+                const review = calculateYearInReview(library, 2024);
+                this.assertEqual(review.booksRead, 2, 'Two books in 2024');
+                this.assertEqual(review.pagesRead, 1200, 'Pages in 2024');
+                this.assertEqual(review.topAuthors[0].author, 'X', 'Top author');
+                this.assertEqual(review.highestRated.title, 'A', 'Highest rated');
+                this.assertEqual(review.lowestRated.title, 'B', 'Lowest rated');
+                this.assertEqual(review.longestBook.title, 'B', 'Longest book');
+                this.assertEqual(review.months[0], 2, 'Both read in January');
+                this.assertEqual(review.lengthDistribution.epic.count, 1, 'One epic');
+            });
+            
+            this.it('should compare books added with books finished', () => {
+                const review = calculateYearInReview(library, 2024);
+                this.assertEqual(review.backlog.added, 4, 'Four books shelved in 2024');
+                this.assertEqual(review.backlog.netChange, 2, 'List grew by two');
+                this.assertEqual(calculateYearInReview(library, 2023).backlog.netChange, 1, 'Added two, finished one');
+            });
+        });
+    },
+    
+    // Test Suite: Rating Calibration
+    testRatingCalibration() {
+        this.describe('Rating Calibration', () => {
+            const readBooks = [
+                { title: 'Loved', author: 'Fan', userRating: 5, averageRating: 3.5, pages: 250, publicationYear: 2010 },
+                { title: 'Liked', author: 'Fan', userRating: 5, averageRating: 4.5, pages: 350, publicationYear: 2012 },
+                { title: 'Meh', author: 'Other', userRating: 2, averageRating: 4.0, pages: 350, publicationYear: 1980 },
+                { title: 'Unrated', author: 'Other', userRating: 0, averageRating: 4.0, pages: 350, publicationYear: 1980 }
+            ];
+            
+            this.it('should measure mean deviation from the crowd', () => {
+                const calibration = calculateRatingCalibration(readBooks, []);
+                this.assertEqual(calibration.ratedBooks, 3, 'Unrated books skipped');
+                this.assertEqual(calibration.meanDeviation, 0, 'Deviations of +1.5, +0.5 and -2 cancel out');
+                this.assertEqual(calibration.label, 'in line', 'Neither harsh nor generous overall');
+                this.assertEqual(calibration.aboveCrowd[0].book.title, 'Loved', 'Biggest positive disagreement first');
+                this.assertEqual(calibration.belowCrowd[0].book.title, 'Meh', 'Biggest negative disagreement first');
+            });
+            
+            this.it('should find harsh and generous groups', () => {
+                const calibration = calculateRatingCalibration(readBooks, []);
+                this.assertEqual(calibration.byEra.late20th.label, 'harsh', 'Harsh on older books');
+                this.assertEqual(calibration.byAuthor.Fan.label, 'generous', 'Generous to a favourite author');
+                this.assertTrue(!calibration.byAuthor.Other, 'Authors need two rated books');
+            });
+            
+            this.it('should predict backlog ratings from your bias', () => {
+                const calibration = calculateRatingCalibration(readBooks, [
+                    { title: 'New Fan Book', author: 'Fan', averageRating: 4.0 },
+                    { title: 'Old Book', author: 'Someone', averageRating: 4.5, publicationYear: 1970 }
+                ]);
+                this.assertEqual(calibration.predictions[0].book.title, 'New Fan Book', 'Author bias raises the prediction');
+                this.assertEqual(calibration.predictions[0].predictedRating, 5, 'Capped at five stars');
+                this.assertEqual(calibration.predictions[1].predictedRating, 2.5, 'Era bias of -2 applied');
+            });
+            
+            this.it('should list only the highest predictions', () => {
+                const backlog = Array.from({ length: CALIBRATION_PREDICTION_COUNT + 5 }, (_, i) => ({ title: `Book ${i}`, averageRating: 3 + i / 10 }));
+                const predictions = calculateRatingCalibration(readBooks, backlog).predictions;
+                this.assertEqual(predictions.length, CALIBRATION_PREDICTION_COUNT, 'Capped');
+                this.assertEqual(predictions[0].book.title, `Book ${CALIBRATION_PREDICTION_COUNT + 4}`, 'Highest first');
+            });
+        });
+    },
+    
+    // Test Suite: Authors
+    testAuthors() {
+        this.describe('Authors', () => {
+            
+            this.it('should resolve spelling variants to one key', () => {
+                const key = getAuthorKey('Octavia E. Butler');
+                this.assertEqual(getAuthorKey('Octavia Butler'), key, 'Middle initial ignored');
+                this.assertEqual(getAuthorKey('Butler, Octavia E.'), key, 'Author l-f format');
+                this.assertEqual(getAuthorKey('N.K. Jemisin'), getAuthorKey('N. K. Jemisin'), 'Initial spacing ignored');
+                this.assertEqual(getAuthorKey('Gabriel García Márquez'), 'gabriel garcia marquez', 'Accents ignored');
+                this.assertTrue(getAuthorKey('J. Smith') !== getAuthorKey('A. Smith'), 'First initials kept');
+                this.assertEqual(getAuthorKey('J. R. R. Tolkien'), 'j r r tolkien', 'Every initial kept');
+            });
+            
+            this.it('should keep authors written in other scripts apart', () => {
+                this.assertEqual(getAuthorKey('村上 春樹'), '村上 春樹', 'Japanese');
+                this.assertEqual(getAuthorKey('Лев Толстой'), 'лев толстой', 'Cyrillic');
+                this.assertTrue(getAuthorKey('川上 未映子') !== getAuthorKey('村上 春樹'), 'Different authors, different keys');
+                this.assertEqual(getAuthorKey('???'), '???', 'Never empty for a name');
+                this.assertEqual(listAuthors([
+                    { author: '村上 春樹', status: 'read' },
+                    { author: 'Лев Толстой', status: 'read' }
+                ]).length, 2, 'Both listed');
+            });
+            
+            this.it('should fall back to the Author l-f column', () => {
+                const book = normaliseBook({ Title: 'Kindred', 'Author l-f': 'Butler, Octavia E.' });
+                this.assertEqual(book.author, 'Octavia E. Butler', 'Name flipped');
+            });
+            
+            this.it('should unify names to the most common spelling', () => {
+                const library = unifyAuthorNames([
+                    { author: 'Octavia Butler' },
+                    { author: 'Octavia E. Butler' },
+                    { author: 'Octavia E. Butler' }
+                ]);
+                this.assertTrue(library.every(b => b.author === 'Octavia E. Butler'), 'One display name');
+                this.assertEqual(listAuthors(library)[0].bookCount, 3, 'Counted as one author');
+            });
+            
+            this.it('should build an author profile', () => {
+                const library = [
+                    { title: 'Kindred', author: 'Octavia E. Butler', status: 'read', userRating: 5, averageRating: 4.3, dateRead: '2024-05-01' },
+                    { title: 'Dawn', author: 'Octavia E. Butler', status: 'read', userRating: 3, averageRating: 4.1, dateRead: '2023-01-01' },
+                    { title: 'Fledgling', author: 'Octavia E. Butler', status: 'to-read', userRating: 0, averageRating: 3.9 },
+                    { title: 'Parable', author: 'Octavia E. Butler', status: 'to-read', userRating: 0, averageRating: 4.2 },
+                    { title: 'Other', author: 'Someone Else', status: 'read', userRating: 1 }
+                ];
+                const profile = calculateAuthorProfile(library, getAuthorKey('Octavia Butler'));
+                this.assertEqual(profile.totalBooks, 4, 'Four books by the author');
+                this.assertEqual(profile.completion, 50, 'Half read');
+                this.assertEqual(profile.averageUserRating, 4, 'Average of 5 and 3');
+                this.assertEqual(profile.backlogBooks.length, 2, 'Two in the backlog');
+                this.assertEqual(profile.timeline[0].title, 'Dawn', 'Timeline in reading order');
+            });
+        });
+    },
+    
+    // Test Suite: Contributors
+    testContributors() {
+        this.describe('Contributors', () => {
+            const translated = normaliseBook({
+                Title: 'One Hundred Years of Solitude',
+                Author: 'Gabriel García Márquez',
+                'Additional Authors': 'Gregory Rabassa (Translator), Gabriel Garcia Marquez'
+            });
+            const cowritten = { author: 'Terry Pratchett', contributors: parseContributors('Terry Pratchett', 'Neil Gaiman') };
+            
+            this.it('should parse Additional Authors with roles', () => {
+                this.assertEqual(translated.contributors.length, 2, 'Primary author not repeated');
+                this.assertEqual(translated.contributors[1].role, 'translator', 'Role from brackets');
+                this.assertEqual(cowritten.contributors[1].role, 'co-author', 'No role means co-author');
+            });
+            
+            this.it('should keep co-authors written in other scripts', () => {
+                const names = parseContributors('村上 春樹', '川上 未映子, 柴田 元幸, 村上 春樹').map(c => c.name);
+                this.assertEqual(names.join(','), '村上 春樹,川上 未映子,柴田 元幸', 'Co-authors kept, primary not repeated');
+            });
+            
+            this.it('should pick contributors per scope', () => {
+                this.assertEqual(getBookContributors(translated, 'primary').join(','), 'Gabriel García Márquez', 'Primary only');
+                this.assertEqual(getBookContributors(translated, 'writers').length, 1, 'Translator is not a writer');
+                this.assertEqual(getBookContributors(translated, 'all').length, 2, 'Everyone credited');
+                this.assertEqual(getBookContributors(cowritten, 'writers').join(','), 'Terry Pratchett,Neil Gaiman', 'Co-writers');
+                this.assertEqual(getBookContributors({ author: 'Solo' }, 'all').join(','), 'Solo', 'Books without contributors');
+            });
+            
+            this.it('should count translators in author diversity', () => {
+                this.assertEqual(calculateAuthorDiversity([translated, translated]), '0.50', 'Two people across two credits each');
+            });
+            
+            this.it('should give the familiar author bonus to co-writers', () => {
+                const profile = { dominantLength: 'quick', dominantEra: null, topAuthors: ['Neil Gaiman'] };
+                this.assertEqual(applyBehaviourScoring(cowritten, profile, 'familiar'), 0.5, 'Co-writer is familiar');
+                this.assertEqual(applyBehaviourScoring(translated, { ...profile, topAuthors: ['Gregory Rabassa'] }, 'familiar'), 0, 'Translator is not');
+            });
+        });
+    },
+    
+    // Test Suite: Series
+    testSeries() {
+        this.describe('Series', () => {
+            
+            this.it('should parse series name and number from titles', () => {
+                const series = parseSeries('The Fifth Season (The Broken Earth, #1)');
+                this.assertEqual(series.name, 'The Broken Earth', 'Series name');
+                this.assertEqual(series.number, 1, 'Series number');
+                this.assertEqual(parseSeries('Mort (Discworld, #4; Death, #1)').name, 'Discworld', 'First of several series');
+                this.assertEqual(parseSeries('Novella (Some Series #2.5)').number, 2.5, 'Fractional number without comma');
+                this.assertEqual(parseSeries('Boxed Set (Harry Potter, #1-7)').number, 1, 'Omnibus range');
+                this.assertEqual(parseSeries('Dune'), null, 'Standalone book');
+                this.assertEqual(parseSeries('Educated (Memoir)'), null, 'Brackets without a number');
+            });
+            
+            const library = [
+                { title: 'The Fifth Season (The Broken Earth, #1)', status: 'read', userRating: 5, dateRead: '2025-01-10' },
+                { title: 'The Obelisk Gate (The Broken Earth, #2)', status: 'read', userRating: 4, dateRead: '2025-03-01' },
+                { title: 'The Stone Sky (The Broken Earth, #3)', status: 'to-read' },
+                { title: 'Old One (Dropped, #1)', status: 'read', userRating: 5, dateRead: '2020-01-01' },
+                { title: 'Old Two (Dropped, #2)', status: 'to-read' },
+                { title: 'Done (Duology, #1)', status: 'read', userRating: 3, dateRead: '2024-01-01' },
+                { title: 'Done Too (Duology, #2)', status: 'read', userRating: 3, dateRead: '2024-02-01' }
+            ].map(book => ({ ...book, series: parseSeries(book.title) }));
+            const progress = calculateSeriesProgress(library, new Date(2025, 5, 1));
+            const find = name => progress.find(series => series.name === name);
+            
+            this.it('should track started, finished and abandoned series', () => {
+                this.assertEqual(find('The Broken Earth').status, 'in progress', 'Recently read with books left');
+                this.assertEqual(find('Dropped').status, 'abandoned', 'Untouched for over a year');
+                this.assertEqual(find('Duology').status, 'finished', 'Everything read');
+                this.assertEqual(find('The Broken Earth').readCount, 2, 'Two read');
+            });
+            
+            this.it('should suggest the next book in well-rated series', () => {
+                const nextUp = findNextInSeries(progress);
+                this.assertEqual(nextUp.length, 2, 'Finished series left out');
+                this.assertEqual(nextUp.map(n => n.book.title).join('|'), 'Old Two (Dropped, #2)|The Stone Sky (The Broken Earth, #3)', 'Best-rated series first');
+            });
+            
+            this.it('should favour the next book in a series when scoring', () => {
+                const profile = { nextInSeries: [getBookKey(library[2])] };
+                this.assertEqual(applySeriesScoring(library[2], profile), 1, 'Next in series bonus');
+                this.assertEqual(applySeriesScoring(library[4], profile), 0, 'No bonus otherwise');
+            });
+        });
+    },
+    
+    // Test Suite: Formats & Publishers
+    testFormats() {
+        this.describe('Formats & Publishers', () => {
+            
+            this.it('should map bindings onto formats', () => {
+                this.assertEqual(getBookFormat('Hardcover'), 'hardcover', 'Hardcover');
+                this.assertEqual(getBookFormat('Mass Market Paperback'), 'paperback', 'Mass market');
+                this.assertEqual(getBookFormat('Kindle Edition'), 'ebook', 'Kindle');
+                this.assertEqual(getBookFormat('EPUB, MOBI'), 'ebook', 'Calibre formats');
+                this.assertEqual(getBookFormat('Audible Audio'), 'audio', 'Audible');
+                this.assertEqual(getBookFormat('Audio CD'), 'audio', 'Audio before CD print checks');
+                this.assertEqual(getBookFormat('Leather Bound'), 'other', 'Unusual print binding');
+                this.assertEqual(getBookFormat('Unknown Binding'), null, 'Unknown binding');
+                this.assertEqual(getBookFormat(''), null, 'No binding');
+            });
+            
+            this.it('should keep publisher and binding when normalising', () => {
+                const book = normaliseBook({ Title: 'Dune', Author: 'Frank Herbert', Publisher: ' Ace Books ', Binding: 'Paperback' });
+                this.assertEqual(book.publisher, 'Ace Books', 'Publisher trimmed');
+                this.assertEqual(book.binding, 'Paperback', 'Binding kept');
+                this.assertEqual(book.format, 'paperback', 'Format derived');
+            });
+            
+            this.it('should match publisher spellings and houses', () => {
+                this.assertEqual(getPublisherKey('Orbit Books'), 'orbit', 'Suffix dropped');
+                this.assertEqual(getPublisherKey('ORBIT, Inc.'), 'orbit', 'Corporate suffix dropped');
+                this.assertEqual(getPublisherKey('Little, Brown and Company'), 'little, brown', 'Trailing "and" dropped');
+                this.assertEqual(getPublisherKey('Press'), 'press', 'Single word kept');
+                this.assertEqual(getPublisherGroup('orbit'), 'Hachette', 'Known imprint');
+                this.assertEqual(getPublisherGroup('tor'), 'Macmillan', 'Whole word match');
+                this.assertEqual(getPublisherGroup('pantheon'), 'Penguin Random House', 'Not mistaken for Pan');
+                this.assertEqual(getPublisherGroup('beacon'), null, 'Independent publisher');
+            });
+            
+            const readBooks = [
+                { publisher: 'Orbit', userRating: 5 },
+                { publisher: 'Orbit Books', userRating: 4 },
+                { publisher: 'Orbit', userRating: 0 },
+                { publisher: 'Gollancz', userRating: 5 },
+                { publisher: 'Beacon Press', userRating: 3 },
+                { publisher: 'Beacon Press', userRating: 2 },
+                { publisher: 'Tor', userRating: 0 },
+                { publisher: null, userRating: 5 }
+            ];
+            const insights = calculatePublisherInsights(readBooks);
+            
+            this.it('should group imprints under their publishing house', () => {
+                this.assertEqual(insights.booksWithPublisher, 7, 'Books without a publisher skipped');
+                this.assertEqual(insights.imprints[0].name, 'Orbit', 'Most read imprint under its common spelling');
+                this.assertEqual(insights.imprints[0].count, 3, 'Spellings merged');
+                this.assertEqual(insights.publishers[0].name, 'Hachette', 'House with most reads');
+                this.assertEqual(insights.publishers[0].imprints.join('|'), 'Gollancz|Orbit', 'Imprints listed');
+                this.assertEqual(insights.publishers[0].averageRating.toFixed(2), '4.67', 'Average of your ratings');
+            });
+            
+            this.it('should rank favourite publishers by rating', () => {
+                this.assertEqual(insights.favourites.map(p => p.name).join('|'), 'Hachette|Beacon Press', 'Best rated first');
+                this.assertFalse(insights.favourites.some(p => p.name === 'Macmillan'), 'Unrated publisher left out');
+            });
+            
+            this.it('should split read and backlog books by format', () => {
+                const split = calculateFormatSplit([{ format: 'ebook' }, { format: 'ebook' }, { format: null }], [{ format: 'audio' }]);
+                const segment = (group, key) => split[group].segments.find(s => s.filters.format === key);
+                this.assertEqual(segment(0, 'ebook').value, 2, 'Read ebooks');
+                this.assertEqual(segment(1, 'audio').value, 1, 'Backlog audiobooks');
+                this.assertEqual(segment(1, 'audio').filters.status, 'to-read', 'Click-through filters');
+            });
+            
+            this.it('should filter the funnel and library by format', () => {
+                const pool = [
+                    { title: 'A', format: 'hardcover' },
+                    { title: 'B', format: 'ebook' },
+                    { title: 'C', format: 'audio' },
+                    { title: 'D', format: null }
+                ];
+                this.assertEqual(applyFormatFilter(pool, 'print').length, 1, 'Print');
+                this.assertEqual(applyFormatFilter(pool, 'audio')[0].title, 'C', 'Audiobook');
+                this.assertEqual(applyFormatFilter(pool, 'any').length, 4, 'Any format keeps unknowns');
+                this.assertEqual(filterLibraryBooks(pool, '', { format: 'unknown' })[0].title, 'D', 'Unknown format in the library');
+            });
+        });
+    },
+    
+    // Test Suite: Time Investment
+    testTimeInvestment() {
+        this.describe('Time Investment', () => {
+            
+            this.it('should size time budgets from your reading pace', () => {
+                const readBooks = [
+                    { pages: 400, dateAdded: '2025-01-01', dateRead: '2025-01-11' },
+                    { pages: 200, dateAdded: '2025-02-01', dateRead: '2025-02-11' },
+                    { pages: 600, dateAdded: '2025-03-01', dateRead: '2025-03-11' }
+                ];
+                const budgets = calculateTimeBudgets(readBooks, 40);
+                this.assertEqual(budgets.hoursPerDay, 1, '40 pages a day at 40 pages an hour');
+                this.assertEqual(budgets.week, 7, 'A week of reading');
+                this.assertEqual(calculateTimeBudgets([], 40).hoursPerDay, 1, 'Default without history');
+                this.assertEqual(calculateTimeBudgets([], 5).week, 7, 'Default daily hours without history');
+            });
+            
+            this.it('should estimate reading and listening hours', () => {
+                const audiobook = { bookId: '7', format: 'audio', pages: 300 };
+                this.assertEqual(estimateBookHours({ format: 'paperback', pages: 300 }, 50), 6, 'Pages at your speed');
+                this.assertEqual(estimateBookHours(audiobook, 50), 10, 'Narration estimate from print pages');
+                this.assertEqual(estimateBookHours(audiobook, 50, { 'id:7': 12.5 }), 12.5, 'Entered listening time wins');
+                this.assertEqual(estimateBookHours({ format: 'audio', pages: 0 }, 50), null, 'Unknown duration');
+                this.assertEqual(parseListeningHours('0'), null, 'Zero clears the entry');
+                this.assertEqual(parseListeningHours('8.5'), 8.5, 'Fractional hours');
+            });
+            
+            this.it('should bucket books into an evening, a week or a month', () => {
+                const budgets = { pagesPerHour: 40, hoursPerDay: 1, evening: 3, week: 7 };
+                const pool = [
+                    { title: 'Novella', format: 'paperback', pages: 100 },
+                    { title: 'Novel', format: 'ebook', pages: 240 },
+                    { title: 'Epic', format: 'hardcover', pages: 900 },
+                    { title: 'Audio', format: 'audio', pages: 60 },
+                    { title: 'No pages', format: 'paperback', pages: 0 }
+                ];
+                const titles = selection => applyTimeFilter(pool, selection, budgets).map(b => b.title).join('|');
+                this.assertEqual(titles('evening'), 'Novella|Audio', 'Up to three hours');
+                this.assertEqual(titles('week'), 'Novel', 'Up to a week');
+                this.assertEqual(titles('month'), 'Epic', 'Anything longer');
+                this.assertEqual(applyTimeFilter(pool, 'any', budgets).length, 5, 'No preference keeps unknowns');
+            });
+        });
+    },
+    
+    // Test Suite: Score Breakdown
+    testScoreBreakdown() {
+        this.describe('Score Breakdown', () => {
+            const savedState = { ...decisionState };
+            decisionState.pool = 'backlog';
+            decisionState.behaviourProfile = {
+                dominantLength: 'moderate',
+                dominantEra: 'modern',
+                topAuthors: ['N. K. Jemisin'],
+                positivelyReviewedAuthors: ['N. K. Jemisin'],
+                nextInSeries: [],
+                avgRating: 4.0
+            };
+            decisionState.selections = { timeInvestment: 'any', behaviourPreference: 'familiar', backlogPreference: 'any', riskPreference: 'safe', format: 'any' };
+            
+            const book = { title: 'The Obelisk Gate', author: 'N. K. Jemisin', pages: 410, publicationYear: 2016, averageRating: 4.3, dateAdded: '2020-01-01' };
+            const breakdown = calculateScoreBreakdown(book);
+            const factor = key => breakdown.factors.find(f => f.key === key);
+            
+            this.it('should add up the factors to the final score', () => {
+                const sum = breakdown.factors.reduce((total, f) => total + f.points, 0);
+                this.assertEqual(breakdown.total, sum, 'Total is the sum of factors');
+                this.assertEqual(calculateFinalScore(book), breakdown.total, 'Final score matches the breakdown');
+                this.assertEqual(factor('base').points, 4.3, 'Base is the average rating');
+                this.assertEqual(factor('behaviour').points, 3.5, 'Length, era and author bonuses');
+                this.assertEqual(factor('risk').points.toFixed(2), '2.15', 'Half the rating for a safe pick');
+                this.assertEqual(factor('backlog').points, 0, 'No backlog bonus without a preference');
+            });
+            
+            this.it('should explain which profile facts caused each bonus', () => {
+                this.assertEqual(factor('behaviour').reasons.length, 3, 'One reason per bonus');
+                this.assertTrue(factor('behaviour').reasons[2].includes('N. K. Jemisin'), 'Names the familiar author');
+                this.assertTrue(factor('review').reasons[0].includes('reviewed'), 'Review bonus explained');
+                this.assertEqual(factor('backlog').reasons.length, 0, 'No reason without a bonus');
+                this.assertEqual(factor('series').points, 0, 'Not next in a series');
+            });
+            
+            this.it('should only include answered steps', () => {
+                decisionState.selections = { timeInvestment: 'any', behaviourPreference: '', backlogPreference: '', riskPreference: '', format: 'any' };
+                const keys = calculateScoreBreakdown(book).factors.map(f => f.key).join('|');
+                this.assertEqual(keys, 'base|review|series', 'Unanswered steps left out');
+            });
+            
+            this.it('should explain backlog age and re-read bonuses', () => {
+                const reasons = [];
+                this.assertEqual(applyBacklogScoring({ dateAdded: '2015-01-01' }, 'old', reasons), 2, 'Old backlog book');
+                this.assertTrue(reasons[0].startsWith('Added'), 'Age explained');
+                const rereadReasons = [];
+                this.assertEqual(applyRereadScoring({ userRating: 5, readCount: 3 }, rereadReasons), 2, 'Five stars and two re-reads');
+                this.assertEqual(rereadReasons.length, 2, 'Both re-read bonuses explained');
+            });
+            
+            Object.assign(decisionState, savedState);
+        });
+    },
+    
+    // Test Suite: Tie-break
+    testTieBreak() {
+        this.describe('Seeded Tie-break', () => {
+            const entry = (id, score) => ({ book: { bookId: id, title: `Book ${id}` }, score });
+            const scored = [entry('1', 4.2), entry('2', 4.1), entry('3', 4.0), entry('4', 3.9), entry('5', 3.0)];
+            const order = ranked => ranked.map(e => e.book.bookId).join('');
+            
+            this.it('should produce the same sequence for the same seed', () => {
+                const a = createSeededRandom(42);
+                const b = createSeededRandom(42);
+                const first = [a(), a(), a()];
+                this.assertEqual(first.join(), [b(), b(), b()].join(), 'Same seed, same numbers');
+                this.assertTrue(first.every(n => n >= 0 && n < 1), 'Numbers in [0, 1)');
+                this.assertFalse(createSeededRandom(43)() === createSeededRandom(42)(), 'Different seeds differ');
+            });
+            
+            this.it('should rank deterministically regardless of input order', () => {
+                const ranked = rankCandidates(scored, 7);
+                this.assertEqual(order(rankCandidates([...scored].reverse(), 7)), order(ranked), 'Input order ignored');
+                this.assertEqual(order(rankCandidates(scored, 7)), order(ranked), 'Repeatable');
+                this.assertEqual(ranked[4].book.bookId, '5', 'Books outside the margin ranked by score');
+                this.assertEqual(ranked.slice(0, 4).map(e => e.book.bookId).sort().join(''), '1234', 'Tied books shuffled first');
+            });
+            
+            this.it('should vary the tie-break with the seed', () => {
+                const orders = new Set([1, 2, 3, 4, 5, 6, 7, 8].map(seed => order(rankCandidates(scored, seed))));
+                this.assertTrue(orders.size > 1, 'Seeds give different orders');
+            });
+            
+            this.it('should never repeat a shown book', () => {
+                const ranked = rankCandidates(scored, 7);
+                const shown = new Set([getBookKey(ranked[0].book), getBookKey(ranked[1].book)]);
+                this.assertEqual(findNextPick(ranked, shown), 2, 'Next unseen book');
+                ranked.forEach(e => shown.add(getBookKey(e.book)));
+                this.assertEqual(findNextPick(ranked, shown), -1, 'Nothing left to show');
+            });
+            
+            this.it('should not repeat the first pick when the funnel is run again', () => {
+                const ranked = rankCandidates(scored, 7);
+                const shown = new Set();
+                this.assertEqual(takeNextPick(ranked, shown), 0, 'Top of the ranking first');
+                this.assertEqual(takeNextPick(rankCandidates(scored, 7), shown), 1, 'Start Over moves on');
+                this.assertEqual(shown.size, 2, 'Both picks recorded');
+                [2, 3, 4].forEach(() => takeNextPick(ranked, shown));
+                this.assertEqual(takeNextPick(ranked, shown), -1, 'Session exhausted');
+            });
+            
+            this.it('should parse seeds', () => {
+                this.assertEqual(parseSeed('123'), 123, 'Whole number');
+                this.assertEqual(parseSeed('-1'), null, 'Negative rejected');
+                this.assertEqual(parseSeed('abc'), null, 'Not a number');
+            });
+        });
+    },
+    
+    // Test Suite: Genres
+    testGenres() {
+        this.describe('Genre Step', () => {
+            const readBooks = [
+                { title: 'A', status: 'read', exclusiveShelf: 'read', shelves: 'read, dark-fantasy, cozy' },
+                { title: 'B', status: 'read', exclusiveShelf: 'read', shelves: 'read, fantasy' },
+                { title: 'C', status: 'read', exclusiveShelf: 'read', shelves: 'read, non-fiction' }
+            ];
+            const backlog = [
+                { title: 'D', status: 'to-read', exclusiveShelf: 'to-read', shelves: 'to-read, cozy' },
+                { title: 'E', status: 'to-read', exclusiveShelf: 'to-read', shelves: 'to-read', enrichment: { subjectsRaw: ['Fantasy fiction'], genres: ['Fantasy', 'Fiction'], coverId: null } },
+                { title: 'F', status: 'to-read', exclusiveShelf: 'to-read', shelves: 'to-read, fantasy, cozy' }
+            ];
+            
+            this.it('should match genre keywords as whole words', () => {
+                this.assertEqual(mapSubjectsToGenres(['non-fiction']).join('|'), 'Non-Fiction', 'Non-fiction is not fiction');
+                this.assertEqual(mapSubjectsToGenres(['Award winners']).length, 0, 'Award is not war');
+                this.assertTrue(mapSubjectsToGenres(['science-fiction']).includes('Science Fiction'), 'Hyphenated shelf names match');
+                this.assertTrue(mapSubjectsToGenres(['Novels']).includes('Fiction'), 'Plurals match');
+            });
+            
+            this.it('should tag books with custom shelves and canonical genres', () => {
+                const tags = getBookGenreTags(readBooks[0]);
+                this.assertEqual(tags.map(t => t.key).join('|'), 'fantasy|dark-fantasy|cozy', 'Genre first, then shelves');
+                this.assertEqual(tags[0].kind, 'genre', 'Fantasy is canonical');
+                this.assertFalse(getBookGenreTags(backlog[0]).some(t => t.key === 'to-read'), 'Status shelves ignored');
+                this.assertTrue(getBookGenreTags(backlog[1]).some(t => t.key === 'fantasy'), 'Enrichment genres included');
+            });
+            
+            this.it('should offer the most common shelves and genres in the pool', () => {
+                const options = buildGenreOptions(backlog);
+                this.assertEqual(options[0].key, 'cozy', 'Most common first');
+                this.assertEqual(options[0].count, 2, 'Counted once per book');
+                this.assertEqual(options.find(o => o.key === 'fantasy').label, 'Fantasy', 'Canonical label');
+                this.assertEqual(buildGenreOptions(backlog, 1).length, 1, 'Limited');
+            });
+            
+            this.it('should find dominant genres in read history', () => {
+                const originalBooks = books;
+                books = readBooks;
+                const profile = getBehaviourProfile();
+                books = originalBooks;
+                this.assertEqual(profile.dominantGenres[0], 'fantasy', 'Fantasy read most');
+                this.assertEqual(profile.genreCounts.fantasy, 2, 'Two fantasy books');
+            });
+            
+            this.it('should score the chosen genre and read-history affinity', () => {
+                const profile = { dominantGenres: ['fantasy'], genreCounts: { fantasy: 2 } };
+                const reasons = [];
+                this.assertEqual(applyGenreScoring(backlog[2], profile, 'cozy', reasons), 3, 'Chosen shelf plus affinity');
+                this.assertTrue(reasons[0].includes('"cozy" shelf'), 'Shelf bonus explained');
+                this.assertTrue(reasons[1].includes('2 books'), 'Affinity explained');
+                this.assertEqual(applyGenreScoring(backlog[0], profile, 'any'), 0, 'No match, no bonus');
+                this.assertEqual(applyGenreScoring(backlog[1], profile, 'fantasy', [], false), 2, 'Affinity skipped when trying something different');
+            });
+        });
+    },
+    
+    // Test Suite: Enrichment
+    async testEnrichment() {
+        await this.describe('Open Library Enrichment', async () => {
+            const openLibrary = createMockOpenLibrary({
+                '9780000000001': { works: [{ key: '/works/OL1W' }], covers: [101] },
+                '9780000000002': { works: [{ key: '/works/OL2W' }] }
+            }, {
+                '/works/OL1W': { subjects: ['Fantasy fiction', 'Dragons'] },
+                '/works/OL2W': { subjects: ['Cooking'] }
+            });
+            const originalFetch = globalThis.fetch;
+            const originalCache = enrichmentCache;
+            globalThis.fetch = openLibrary.fetch;
+            enrichmentCache = createEmptyEnrichmentCache();
+            
+            await this.itAsync('should store subjects, genres and cover from Open Library', async () => {
+                const book = { title: 'Dragons', isbn: '978-0-00-000000-1' };
+                await enrichBook(book);
+                this.assertEqual(book.enrichment.subjectsRaw.length, 2, 'Subjects kept');
+                this.assertTrue(book.enrichment.genres.includes('Fantasy'), 'Genres mapped');
+                this.assertEqual(book.enrichment.coverId, 101, 'Cover from the edition');
+                this.assertEqual(openLibrary.requests[0], 'https://openlibrary.org/isbn/9780000000001.json', 'ISBN cleaned');
+            });
+            
+            await this.itAsync('should enrich in batches and report progress', async () => {
+                const shortlist = ['1', '2', '3', '4'].map(n => ({ title: n, isbn: '9780000000002' }));
+                shortlist.push({ title: 'No ISBN' });
+                const progress = [];
+                const count = await enrichCandidates(shortlist, 10, (done, total) => progress.push(`${done}/${total}`));
+                this.assertEqual(count, 4, 'Only books with an ISBN');
+                this.assertEqual(progress.join(' '), '0/4 3/4 4/4', 'Progress per batch');
+                this.assertEqual(await enrichCandidates(shortlist), 0, 'Enriched books skipped');
+            });
+            
+            await this.itAsync('should re-rank the shortlist using the fetched subjects', async () => {
+                const savedState = { ...decisionState };
+                decisionState.pool = 'reread';
+                decisionState.behaviourProfile = { dominantGenres: [], genreCounts: {} };
+                decisionState.selections = { timeInvestment: 'any', genrePreference: 'fantasy', behaviourPreference: '', backlogPreference: '', riskPreference: '', format: 'any' };
+                
+                const candidates = [
+                    { bookId: 'a', title: 'Cookbook', isbn: '9780000000002', averageRating: 4.2 },
+                    { bookId: 'b', title: 'Dragons', isbn: '9780000000001', averageRating: 3.5 }
+                ];
+                const progress = [];
+                const ranked = await rankWithEnrichment(candidates, 1, (done, total) => progress.push(`${done}/${total}`));
+                this.assertEqual(ranked[0].book.title, 'Dragons', 'Fantasy subjects lift the lower-rated book');
+                this.assertTrue(ranked[0].breakdown.factors.some(f => f.key === 'genre' && f.points === 2), 'Genre bonus in the breakdown');
+                this.assertEqual(progress[progress.length - 1], '2/2', 'Progress reported');
+                
+                Object.assign(decisionState, savedState);
+            });
+            
+            await this.itAsync('should fall back to the local ranking if enrichment fails', async () => {
+                const originalWarn = console.warn;
+                console.warn = () => {};
+                const candidates = [
+                    { bookId: 'c', title: 'Lower', isbn: '9780000000003', averageRating: 3.1 },
+                    { bookId: 'd', title: 'Higher', isbn: '9780000000004', averageRating: 4.4 }
+                ];
+                const ranked = await rankWithEnrichment(candidates, 1, () => {
+                    throw new Error('Progress display failed');
+                });
+                console.warn = originalWarn;
+                this.assertEqual(ranked.length, 2, 'Every candidate ranked');
+                this.assertEqual(ranked[0].book.title, 'Higher', 'Ranked on local data');
+                this.assertEqual(candidates[0].enrichment, undefined, 'Nothing enriched');
+            });
+            
+            await this.itAsync('should store empty enrichment when Open Library has no record', async () => {
+                const book = { title: 'Unknown', isbn: '9789999999999' };
+                await enrichBook(book);
+                this.assertEqual(book.enrichment.subjectsRaw.length, 0, 'No subjects');
+                this.assertEqual(book.enrichment.coverId, null, 'No cover');
+            });
+            
+            globalThis.fetch = originalFetch;
+            enrichmentCache = originalCache;
+        });
+    },
+    
+    // Test Suite: Enrichment Cache
+    async testEnrichmentCache() {
+        await this.describe('Enrichment Cache', async () => {
+            const editions = {
+                '9780000000011': { works: [{ key: '/works/OL11W' }] },
+                '9780000000012': { works: [{ key: '/works/OL11W' }] },
+                '9780000000013': { works: [{ key: '/works/OL13W' }] },
+                '9780000000014': { works: [{ key: '/works/OL14W' }] }
+            };
+            const works = {
+                '/works/OL11W': { subjects: ['Science fiction'] },
+                '/works/OL13W': { subjects: ['Horror'] },
+                '/works/OL14W': { subjects: ['Poetry'] }
+            };
+            const originalFetch = globalThis.fetch;
+            const originalCache = enrichmentCache;
+            const originalTiming = enrichmentTiming;
+            const useOpenLibrary = failures => {
+                const openLibrary = createMockOpenLibrary(editions, works, failures);
+                globalThis.fetch = openLibrary.fetch;
+                return openLibrary;
+            };
+            enrichmentCache = createEmptyEnrichmentCache();
+            enrichmentTiming = { retryDelayMs: 0, timeoutMs: 20 };
+            
+            this.it('should expire records after their TTL', () => {
+                const now = new Date('2025-06-01');
+                this.assertTrue(isEnrichmentFresh({ fetchedAt: '2025-05-01' }, now), 'A month old');
+                this.assertFalse(isEnrichmentFresh({ fetchedAt: '2025-01-01' }, now), 'Five months old');
+                this.assertFalse(isEnrichmentFresh({ fetchedAt: '2025-05-01', notFound: true }, now), 'Not-found records expire sooner');
+                this.assertFalse(isEnrichmentFresh({ subjectsRaw: [] }, now), 'Enrichment saved before the cache is refreshed');
+                this.assertEqual(normaliseIsbn('0-330-25864-x'), '033025864X', 'ISBN normalised');
+            });
+            
+            await this.itAsync('should share cached lookups by ISBN and by work key', async () => {
+                const openLibrary = useOpenLibrary();
+                await enrichBook({ isbn: '9780000000011' });
+                await enrichBook({ isbn: '9780000000011' });
+                const book = { isbn: '9780000000012' };
+                await enrichBook(book);
+                this.assertEqual(openLibrary.requests.length, 3, 'Two editions, one work');
+                this.assertTrue(book.enrichment.genres.includes('Science Fiction'), 'Work subjects reused');
+                this.assertEqual(book.enrichment.workKey, '/works/OL11W', 'Work key kept');
+            });
+            
+            await this.itAsync('should retry a transient failure', async () => {
+                const openLibrary = useOpenLibrary({ '/isbn/9780000000013': [503, 'network'] });
+                const book = { isbn: '9780000000013' };
+                await enrichBook(book);
+                this.assertEqual(openLibrary.requests.length, 4, 'Two retries, then the work');
+                this.assertTrue(book.enrichment.genres.includes('Horror'), 'Enriched after retrying');
+                this.assertEqual(Object.keys(enrichmentCache.failures).length, 0, 'Nothing left to retry');
+            });
+            
+            await this.itAsync('should give up on a request with no response and retry it', async () => {
+                const openLibrary = useOpenLibrary({ '/isbn/9780000000016': ['hang', 'hang', 'hang'] });
+                const book = { isbn: '9780000000016' };
+                await enrichBook(book);
+                this.assertEqual(openLibrary.requests.length, 3, 'Every attempt timed out');
+                this.assertEqual(enrichmentCache.failures['/isbn/9780000000016'].message, 'No response after 0.02s', 'Timeout recorded');
+                delete enrichmentCache.failures['/isbn/9780000000016'];
+            });
+            
+            await this.itAsync('should record failures instead of storing empty enrichment', async () => {
+                useOpenLibrary({ '/isbn/9780000000014': [503, 503, 503] });
+                const book = { isbn: '9780000000014' };
+                await enrichBook(book);
+                this.assertEqual(book.enrichment, undefined, 'Left for the next lookup');
+                this.assertEqual(enrichmentCache.failures['/isbn/9780000000014'].status, 503, 'Failure recorded');
+                
+                useOpenLibrary();
+                await enrichBook(book);
+                this.assertTrue(book.enrichment.genres.includes('Poetry'), 'Retried on the next lookup');
+                this.assertEqual(enrichmentCache.failures['/isbn/9780000000014'], undefined, 'Failure cleared');
+            });
+            
+            await this.itAsync('should cache books Open Library does not know', async () => {
+                const openLibrary = useOpenLibrary();
+                await enrichBook({ isbn: '9789999999998' });
+                const book = { isbn: '9789999999998' };
+                await enrichBook(book);
+                this.assertEqual(openLibrary.requests.length, 1, 'Looked up once');
+                this.assertTrue(book.enrichment.notFound, 'Marked as not found');
+            });
+            
+            await this.itAsync('should fall back to stale records when Open Library is unreachable', async () => {
+                enrichmentCache.editions['9780000000015'] = { workKey: '/works/OL15W', coverId: null, fetchedAt: '2020-01-01T00:00:00.000Z' };
+                enrichmentCache.works['/works/OL15W'] = { subjects: ['Travel'], coverId: null, fetchedAt: '2020-01-01T00:00:00.000Z' };
+                useOpenLibrary({
+                    '/isbn/9780000000015': ['network', 'network', 'network'],
+                    '/works/OL15W': ['network', 'network', 'network']
+                });
+                const book = { isbn: '9780000000015' };
+                await enrichBook(book);
+                this.assertTrue(book.enrichment.genres.includes('Travel'), 'Stale record used');
+            });
+            
+            this.it('should round-trip a bundle for offline use', () => {
+                const bundle = parseEnrichmentBundle(JSON.stringify(createEnrichmentBundle()));
+                this.assertNotNull(bundle, 'Bundle parsed');
+                this.assertEqual(bundle.failures, undefined, 'Failures not shared');
+                
+                const cache = createEmptyEnrichmentCache();
+                this.assertEqual(mergeEnrichmentBundle(bundle, cache), Object.keys(bundle.editions).length + Object.keys(bundle.works).length, 'Every record merged');
+                this.assertEqual(mergeEnrichmentBundle(bundle, cache), 0, 'Same records not merged twice');
+                
+                const library = [{ isbn: '978-0-00-000001-3' }, { isbn: '9781111111111' }, { title: 'No ISBN' }];
+                this.assertEqual(applyEnrichmentCache(library), 1, 'Enriched without fetching');
+                this.assertTrue(library[0].enrichment.genres.includes('Horror'), 'Genres from the bundle');
+            });
+            
+            this.it('should reject files that are not bundles', () => {
+                this.assertEqual(parseEnrichmentBundle('not json'), null, 'Not JSON');
+                this.assertEqual(parseEnrichmentBundle('{"books": []}'), null, 'Other JSON');
+                this.assertEqual(parseEnrichmentBundle(JSON.stringify({ ...createEnrichmentBundle(), version: 99 })), null, 'Unknown version');
+            });
+            
+            this.it('should skip bundle records that lookups could not have produced', () => {
+                const fetchedAt = '2025-05-01T00:00:00.000Z';
+                const bundle = {
+                    editions: {
+                        '9780000000021': { workKey: '/works/OL21W', coverId: 7, fetchedAt },
+                        '9780000000022': { workKey: '../../admin', coverId: null, fetchedAt },
+                        '9780000000023': { workKey: '/works/OL23W', coverId: '<img src=x onerror=alert(1)>', fetchedAt },
+                        '9780000000024': { notFound: true, fetchedAt }
+                    },
+                    works: {
+                        '/works/OL21W': { subjects: ['Travel'], coverId: null, fetchedAt },
+                        '/works/OL22W': { subjects: 'Travel', coverId: null, fetchedAt },
+                        '/works/OL23W': { subjects: ['Travel', 42], coverId: null, fetchedAt },
+                        '/works/OL24W': { subjects: [], coverId: null, fetchedAt: 'last week' },
+                        '/works/OL26W': { subjects: ['Travel'], coverId: null, fetchedAt: '2999-01-01T00:00:00.000Z' },
+                        'OL25W': { subjects: [], coverId: null, fetchedAt }
+                    }
+                };
+                const cache = createEmptyEnrichmentCache();
+                this.assertEqual(mergeEnrichmentBundle(bundle, cache), 3, 'Only well-formed records merged');
+                this.assertEqual(Object.keys(cache.editions).join(','), '9780000000021,9780000000024', 'Bad work key and cover ID skipped');
+                this.assertEqual(Object.keys(cache.works).join(','), '/works/OL21W', 'Bad subjects, dates and key skipped');
+            });
+            
+            globalThis.fetch = originalFetch;
+            enrichmentCache = originalCache;
+            enrichmentTiming = originalTiming;
+        });
     }
 };
 
+/**
+ * Creates a mock Open Library that answers ISBN and work lookups from fixtures.
+ * Unknown paths get a 404, like the real API. Scripted failures are used up
+ * first, one per request: an HTTP status, 'network' for a failed fetch, or
+ * 'hang' for a request that is only answered by being aborted.
+ * @param {Object} editions - Edition JSON by ISBN
+ * @param {Object} works - Work JSON by work key
+ * @param {Object} failures - Failures to return first, by path (optional)
+ * @returns {Object} { fetch, requests }
+ */
+function createMockOpenLibrary(editions, works, failures = {}) {
+    const requests = [];
+    const respond = (data, status = data ? 200 : 404) => Promise.resolve({
+        ok: status === 200,
+        status,
+        json: () => Promise.resolve(data)
+    });
+    
+    const fetch = (url, options = {}) => {
+        requests.push(url);
+        const path = url.replace('https://openlibrary.org', '').replace(/\.json$/, '');
+        
+        const scripted = failures[path] && failures[path].shift();
+        if (scripted === 'network') {
+            return Promise.reject(new TypeError('Failed to fetch'));
+        }
+        if (scripted === 'hang') {
+            return new Promise((resolve, reject) => {
+                options.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+            });
+        }
+        if (scripted) {
+            return respond(null, scripted);
+        }
+        
+        const isbnMatch = path.match(/^\/isbn\/(.+)$/);
+        return respond(isbnMatch ? editions[isbnMatch[1]] : works[path]);
+    };
+    
+    return { fetch, requests };
+}
+
 // ============================================
 // Sample Data Validation Tests
 // ============================================
@@ -297,12 +1616,12 @@ const SampleDataValidator = {
 // Manual trigger only - no auto-run
 // ============================================
 
-function runAllTests() {
+async function runAllTests() {
     console.log('🚀 GoodReads Library Explorer - Test Suite\n');
     console.log('Running tests... This may take a moment.\n');
     
     // Run all unit tests
-    const testResults = TestRunner.runAll();
+    const testResults = await TestRunner.runAll();
     
     // Validate sample data
     SampleDataValidator.validate();